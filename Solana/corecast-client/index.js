@@ -0,0 +1,293 @@
+const {
+  ALERT_QUOTES,
+  ALERT_SINK_TYPES,
+  alertOptions,
+  createAlertEngine,
+  createAlertSinks,
+  formatAlert,
+} = require("./lib/alerts");
+const {
+  PRICE_PRECISION,
+  calculateTradePrice,
+  divideAmounts,
+  formatAmount,
+  formatDecimal,
+  formatPrice,
+  toBigInt,
+  toDecimalString,
+  toRawAmount,
+} = require("./lib/amounts");
+const {
+  PUMPFUN_CURVE,
+  PUMPFUN_PROGRAM,
+  bondingCurveOptions,
+  createBondingCurveTracker,
+  formatBondingCurveEvent,
+} = require("./lib/bonding");
+const {
+  balanceChanges,
+  buildCallTree,
+  callTreeOptions,
+  formatBalanceTrace,
+  formatCallTree,
+  traceTokenBalance,
+} = require("./lib/calltree");
+const {
+  candleOptions,
+  createCandleEngine,
+  formatCandle,
+  parseInterval,
+} = require("./lib/candles");
+const { QUOTE_MINTS, classifyTrade } = require("./lib/classify");
+const { createClient, DEFAULT_CHANNEL_OPTIONS } = require("./lib/client");
+const {
+  DEFAULT_CONFIG_FILE,
+  ENV_OVERRIDES,
+  createRedactor,
+  getConfigPath,
+  loadConfig,
+  redactConfig,
+  validateConfig,
+} = require("./lib/config");
+const { createDeduplicator, dedupeOptions, eventKey } = require("./lib/dedupe");
+const {
+  TRADE_FILTERS,
+  createTradeFilter,
+  describeFilters,
+} = require("./lib/filters");
+const { formatNumber, getBase58CacheSize, toBase58 } = require("./lib/format");
+const {
+  createMessageHandler,
+  formatBalanceUpdate,
+  formatOrder,
+  formatPoolEvent,
+  formatTrade,
+  formatTransaction,
+  formatTransfer,
+  getMessageKind,
+  getTradeLabel,
+} = require("./lib/handlers");
+const {
+  createHealthMonitor,
+  createHealthServer,
+  healthOptions,
+} = require("./lib/health");
+const {
+  decodeArgument,
+  formatInstruction,
+  instructionData,
+  namedAccounts,
+} = require("./lib/idl");
+const {
+  LAUNCHLAB_PROGRAM,
+  LAUNCH_PROGRAMS,
+  createLaunchFollower,
+  detectLaunches,
+  formatLaunch,
+  launchOptions,
+} = require("./lib/launches");
+const { createLogger, isStdoutBusy } = require("./lib/logger");
+const {
+  DEFAULT_BUCKETS,
+  createMetricsRegistry,
+  createMetricsServer,
+  metricsOptions,
+} = require("./lib/metrics");
+const {
+  formatNdjson,
+  normalizeMessage,
+  toJSONValue,
+} = require("./lib/normalize");
+const {
+  OVERFLOW_POLICIES,
+  createPipeline,
+  pipelineOptions,
+} = require("./lib/pipeline");
+const {
+  createPortfolioTracker,
+  formatPortfolio,
+  portfolioOptions,
+} = require("./lib/portfolio");
+const { loadCoreCast, loadPackageDefinition } = require("./lib/protos");
+const {
+  FATAL_STATUS_CODES,
+  RETRYABLE_STATUS_CODES,
+  createReconnector,
+  describeResume,
+  isRetryableError,
+  reconnectOptions,
+  statusName,
+} = require("./lib/reconnect");
+const {
+  FILTER_KEYS,
+  STREAM_METHODS,
+  createRequest,
+  getRequestSchema,
+  openStream,
+} = require("./lib/request");
+const { run } = require("./lib/runner");
+const {
+  createSlotMonitor,
+  formatSlotWarning,
+  slotMonitorOptions,
+} = require("./lib/slots");
+const {
+  createStats,
+  formatPerformanceStats,
+  formatStats,
+} = require("./lib/stats");
+const {
+  SQLITE_TABLES,
+  createSqliteSink,
+  sqliteOptions,
+} = require("./lib/sqlite");
+const { OUTPUT_FORMATS, resolveStreams } = require("./lib/streams");
+const { createSubscription } = require("./lib/subscription");
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  createWebhookSink,
+  signPayload,
+  webhookOptions,
+} = require("./lib/webhook");
+const {
+  SLOW_CLIENT_POLICIES,
+  SUBSCRIPTION_FILTERS,
+  createBroadcastServer,
+  websocketOptions,
+} = require("./lib/websocket");
+
+module.exports = {
+  // Configuration
+  DEFAULT_CONFIG_FILE,
+  ENV_OVERRIDES,
+  OUTPUT_FORMATS,
+  createRedactor,
+  getConfigPath,
+  loadConfig,
+  redactConfig,
+  resolveStreams,
+  validateConfig,
+
+  // Connection
+  DEFAULT_CHANNEL_OPTIONS,
+  FILTER_KEYS,
+  STREAM_METHODS,
+  createClient,
+  createRequest,
+  createSubscription,
+  getRequestSchema,
+  loadCoreCast,
+  loadPackageDefinition,
+  openStream,
+  run,
+
+  // Message handling
+  ALERT_QUOTES,
+  ALERT_SINK_TYPES,
+  LAUNCHLAB_PROGRAM,
+  LAUNCH_PROGRAMS,
+  PUMPFUN_CURVE,
+  PUMPFUN_PROGRAM,
+  QUOTE_MINTS,
+  TRADE_FILTERS,
+  alertOptions,
+  balanceChanges,
+  bondingCurveOptions,
+  buildCallTree,
+  callTreeOptions,
+  candleOptions,
+  classifyTrade,
+  createAlertEngine,
+  createAlertSinks,
+  createBondingCurveTracker,
+  createCandleEngine,
+  createLaunchFollower,
+  createMessageHandler,
+  createPortfolioTracker,
+  createTradeFilter,
+  decodeArgument,
+  describeFilters,
+  detectLaunches,
+  formatAlert,
+  formatBalanceTrace,
+  formatBalanceUpdate,
+  formatBondingCurveEvent,
+  formatCallTree,
+  formatCandle,
+  formatInstruction,
+  formatLaunch,
+  formatNdjson,
+  formatOrder,
+  formatPoolEvent,
+  formatPortfolio,
+  formatTrade,
+  formatTransaction,
+  formatTransfer,
+  getMessageKind,
+  getTradeLabel,
+  instructionData,
+  launchOptions,
+  namedAccounts,
+  normalizeMessage,
+  parseInterval,
+  portfolioOptions,
+  toJSONValue,
+  traceTokenBalance,
+
+  // Helpers
+  PRICE_PRECISION,
+  calculateTradePrice,
+  divideAmounts,
+  formatAmount,
+  formatDecimal,
+  formatNumber,
+  formatPrice,
+  getBase58CacheSize,
+  toBase58,
+  toBigInt,
+  toDecimalString,
+  toRawAmount,
+
+  // Output, stats and resilience
+  DEFAULT_BUCKETS,
+  FATAL_STATUS_CODES,
+  OVERFLOW_POLICIES,
+  RETRYABLE_STATUS_CODES,
+  SIGNATURE_HEADER,
+  SLOW_CLIENT_POLICIES,
+  SQLITE_TABLES,
+  SUBSCRIPTION_FILTERS,
+  TIMESTAMP_HEADER,
+  createBroadcastServer,
+  createDeduplicator,
+  createHealthMonitor,
+  createHealthServer,
+  createLogger,
+  createMetricsRegistry,
+  createMetricsServer,
+  createPipeline,
+  createReconnector,
+  createSlotMonitor,
+  createSqliteSink,
+  createStats,
+  createWebhookSink,
+  dedupeOptions,
+  describeResume,
+  eventKey,
+  formatPerformanceStats,
+  formatSlotWarning,
+  formatStats,
+  healthOptions,
+  isRetryableError,
+  isStdoutBusy,
+  metricsOptions,
+  pipelineOptions,
+  reconnectOptions,
+  signPayload,
+  slotMonitorOptions,
+  sqliteOptions,
+  statusName,
+  webhookOptions,
+  websocketOptions,
+};
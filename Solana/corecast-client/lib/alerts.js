@@ -0,0 +1,397 @@
+const {
+  formatDecimal,
+  toBigInt,
+  toDecimalString,
+  toRawAmount,
+} = require("./amounts");
+const { parseInterval } = require("./candles");
+const { QUOTE_MINTS, classifyTrade } = require("./classify");
+const { toBase58 } = require("./format");
+const { KIND_FIELDS, getMessageKind } = require("./kinds");
+const { createLogger } = require("./logger");
+const { tradeAddresses } = require("./portfolio");
+const { createWebhookSink, webhookOptions } = require("./webhook");
+
+// `quote` values of a rule; SOL matches native SOL and WSOL quotes
+const ALERT_QUOTES = ["SOL", "USDC", "USDT"];
+// `type` values of the `alerts.sinks` entries
+const ALERT_SINK_TYPES = ["file", "webhook"];
+// Events remembered per rule to drop duplicates (e.g. replays after a
+// reconnect or the same trade on two streams)
+const MAX_SEEN_EVENTS = 10000;
+// How often windows and cooldowns that ran out are forgotten
+const SWEEP_INTERVAL_MS = 60000;
+
+function getMint(currency) {
+  return currency?.MintAddress?.length ? toBase58(currency.MintAddress) : null;
+}
+
+function accountAddresses(...accounts) {
+  return accounts
+    .flatMap((account) => [account?.Address, account?.Token?.Owner])
+    .filter((address) => address?.length)
+    .map((address) => toBase58(address));
+}
+
+// What rules look at in a message: { kind, side, mint, symbol, decimals,
+// amount, quoteMint, quoteSymbol, quoteDecimals, quoteAmount, addresses,
+// instructionIndex }. Amounts are raw BigInt values.
+function describeEvent(message, kind) {
+  if (kind === "trade") {
+    const { side, baseMint, quoteMint, base, quote } = classifyTrade(
+      message.Trade
+    );
+    return {
+      kind,
+      side,
+      mint: baseMint,
+      symbol: base?.Currency?.Symbol || null,
+      decimals: base?.Currency?.Decimals || 0,
+      amount: toBigInt(base?.Amount),
+      quoteMint,
+      quoteSymbol: quote?.Currency?.Symbol || QUOTE_MINTS[quoteMint] || null,
+      quoteDecimals: quote?.Currency?.Decimals || 0,
+      quoteAmount: toBigInt(quote?.Amount),
+      addresses: tradeAddresses(message),
+      instructionIndex: message.Trade.InstructionIndex,
+    };
+  }
+
+  if (kind === "transfer") {
+    const transfer = message.Transfer;
+    return {
+      kind,
+      side: null,
+      mint: getMint(transfer.Currency),
+      symbol: transfer.Currency?.Symbol || null,
+      decimals: transfer.Currency?.Decimals || 0,
+      amount: toBigInt(transfer.Amount),
+      addresses: accountAddresses(
+        transfer.Sender,
+        transfer.Receiver,
+        transfer.Authority
+      ),
+      from: transfer.Sender?.Address?.length
+        ? toBase58(transfer.Sender.Address)
+        : null,
+      to: transfer.Receiver?.Address?.length
+        ? toBase58(transfer.Receiver.Address)
+        : null,
+      instructionIndex: transfer.InstructionIndex,
+    };
+  }
+
+  const header = message.Transaction?.Header;
+  return {
+    kind,
+    side: null,
+    mint: null,
+    amount: null,
+    addresses: [header?.Signer, header?.FeePayer]
+      .filter((address) => address?.length)
+      .map((address) => toBase58(address)),
+    instructionIndex: message[KIND_FIELDS[kind]]?.InstructionIndex,
+  };
+}
+
+function quoteMatches(event, quote) {
+  const name = QUOTE_MINTS[event.quoteMint];
+  return quote === "SOL" ? name === "SOL" || name === "WSOL" : name === quote;
+}
+
+// The trader a rule matched on (null when it has no `traders`), or false
+// when the event doesn't pass the rule's conditions
+function matchRule(rule, event) {
+  if (rule.kind !== event.kind) return false;
+  if (rule.side && rule.side !== event.side) return false;
+  if (rule.tokens && !rule.tokens.includes(event.mint)) return false;
+  if (rule.quote && !quoteMatches(event, rule.quote)) return false;
+
+  if (rule.minQuoteAmount !== undefined) {
+    const min = toRawAmount(rule.minQuoteAmount, event.quoteDecimals);
+    if (event.quoteAmount === null || event.quoteAmount === undefined) {
+      return false;
+    }
+    if (event.quoteAmount < min) return false;
+  }
+  if (rule.minAmount !== undefined) {
+    if (event.amount === null) return false;
+    if (event.amount < toRawAmount(rule.minAmount, event.decimals)) {
+      return false;
+    }
+  }
+  if (rule.minSupplyPercent !== undefined) {
+    if (event.amount === null) return false;
+    // amount / supply >= percent / 100, with the percent to 4 decimals
+    const supply = toRawAmount(rule.supply, event.decimals);
+    const percent = toRawAmount(rule.minSupplyPercent, 4);
+    if (event.amount * 100n * 10000n < supply * percent) return false;
+  }
+
+  if (!rule.traders) return null;
+  const trader = event.addresses.find((address) =>
+    rule.traders.includes(address)
+  );
+  return trader || false;
+}
+
+// Evaluate declarative alert rules against stream messages. Each rule
+// names a message `kind` and conditions that must all hold:
+//
+//   side             - buy or sell (trades, see classifyTrade())
+//   tokens           - mints: a trade's base token or a transfer's currency
+//   traders          - wallets taking part (accounts, their owners, signer)
+//   quote            - SOL, USDC or USDT quoted trades
+//   minQuoteAmount   - trade quote amount, in quote currency units
+//   minAmount        - trade base amount or transfer amount, in token units
+//   minSupplyPercent - amount as a percentage of `supply` (token units)
+//   count, windowMs  - fire on the `count`th match within `windowMs`,
+//                      counted per token (default 1, every match)
+//   cooldownMs       - quiet time per rule and token after an alert
+//
+// An event that was already seen by a rule (same signature, kind and
+// instruction index) is ignored by it. Windows use the time each event was
+// received; the windows and cooldowns of tokens that ran out are dropped
+// once a minute, so quiet tokens don't pile up.
+//
+// options.rules - rules as returned by alertOptions()
+function createAlertEngine(options = {}) {
+  const rules = (options.rules || []).map((rule) => ({
+    ...rule,
+    count: rule.count || 1,
+    seen: new Set(),
+    // token -> receive times of the matches in the current window
+    windows: new Map(),
+    // token -> end of the cooldown
+    cooldowns: new Map(),
+  }));
+  let fired = 0;
+  let suppressed = 0;
+  let lastSweep = 0;
+
+  // Forget windows without a match left in them and ended cooldowns
+  function sweep(now) {
+    lastSweep = now;
+    for (const rule of rules) {
+      for (const [group, times] of rule.windows) {
+        if (times[times.length - 1] <= now - rule.windowMs) {
+          rule.windows.delete(group);
+        }
+      }
+      for (const [group, end] of rule.cooldowns) {
+        if (end <= now) rule.cooldowns.delete(group);
+      }
+    }
+  }
+
+  function remember(rule, key) {
+    if (rule.seen.has(key)) return false;
+    if (rule.seen.size >= MAX_SEEN_EVENTS) {
+      rule.seen.delete(rule.seen.values().next().value);
+    }
+    rule.seen.add(key);
+    return true;
+  }
+
+  function createAlert(rule, event, trader, count, message, ts) {
+    fired++;
+    return {
+      type: "alert",
+      rule: rule.name,
+      kind: event.kind,
+      side: event.side,
+      mint: event.mint,
+      symbol: event.symbol || null,
+      trader,
+      amount: toDecimalString(event.amount, event.decimals),
+      quote_amount:
+        event.quoteAmount === undefined
+          ? null
+          : toDecimalString(event.quoteAmount, event.quoteDecimals),
+      quote: event.quoteSymbol || null,
+      from: event.from || null,
+      to: event.to || null,
+      count,
+      window_ms: rule.count > 1 ? rule.windowMs : null,
+      slot:
+        message.Block?.Slot !== undefined ? Number(message.Block.Slot) : null,
+      signature: message.Transaction?.Signature
+        ? toBase58(message.Transaction.Signature)
+        : null,
+      received_at: new Date(ts).toISOString(),
+    };
+  }
+
+  // Alerts raised by a message, in rule order (empty when none fired)
+  function check(message, receivedTimestamp = Date.now()) {
+    const kind = getMessageKind(message);
+    if (!kind || !rules.length) return [];
+    if (receivedTimestamp - lastSweep >= SWEEP_INTERVAL_MS) {
+      sweep(receivedTimestamp);
+    }
+
+    const event = describeEvent(message, kind);
+    const signature = message.Transaction?.Signature
+      ? toBase58(message.Transaction.Signature)
+      : null;
+    const key = `${signature}:${kind}:${event.instructionIndex ?? ""}`;
+    const alerts = [];
+
+    for (const rule of rules) {
+      const trader = matchRule(rule, event);
+      if (trader === false) continue;
+      if (signature && !remember(rule, key)) continue;
+
+      const group = event.mint || "*";
+      let count = 1;
+      if (rule.count > 1) {
+        const times = (rule.windows.get(group) || []).filter(
+          (time) => time > receivedTimestamp - rule.windowMs
+        );
+        times.push(receivedTimestamp);
+        rule.windows.set(group, times);
+        if (times.length < rule.count) continue;
+        count = times.length;
+        rule.windows.delete(group);
+      }
+
+      if ((rule.cooldowns.get(group) || 0) > receivedTimestamp) {
+        suppressed++;
+        continue;
+      }
+      if (rule.cooldownMs) {
+        rule.cooldowns.set(group, receivedTimestamp + rule.cooldownMs);
+      }
+      alerts.push(
+        createAlert(rule, event, trader, count, message, receivedTimestamp)
+      );
+    }
+    return alerts;
+  }
+
+  return {
+    check,
+    get rules() {
+      return rules.map((rule) => rule.name);
+    },
+    get fired() {
+      return fired;
+    },
+    get suppressed() {
+      return suppressed;
+    },
+    // Windows and cooldowns kept across rules
+    get tracked() {
+      return rules.reduce(
+        (sum, rule) => sum + rule.windows.size + rule.cooldowns.size,
+        0
+      );
+    },
+  };
+}
+
+// Extra destinations of alerts from the `alerts.sinks` entries:
+// { type: "file", file } appends one JSON line per alert, { type: "webhook",
+// url, ... } posts them with createWebhookSink().
+//
+// options.onError - webhook delivery errors, see createWebhookSink()
+function createAlertSinks(sinks = [], options = {}) {
+  const outputs = sinks.map((sink) => {
+    if (sink.type === "webhook") {
+      return createWebhookSink({
+        ...webhookOptions(sink),
+        onError: options.onError,
+      });
+    }
+
+    const logger = createLogger({ file: sink.file });
+    return {
+      send: (alert) => logger.log(JSON.stringify(alert)),
+      close: () => logger.close(),
+      busy: false,
+    };
+  });
+
+  return {
+    send(alert) {
+      for (const output of outputs) output.send(alert);
+    },
+    close() {
+      for (const output of outputs) output.close();
+    },
+    get size() {
+      return outputs.length;
+    },
+    // True while a webhook output is backed up
+    get busy() {
+      return outputs.some((output) => output.busy);
+    },
+  };
+}
+
+function describeAlert(alert) {
+  const token = alert.symbol || alert.mint || "";
+  if (alert.count > 1) {
+    const what = alert.side ? `${alert.side}s` : `${alert.kind}s`;
+    return `${alert.count} ${what} of ${token} within ${
+      alert.window_ms / 1000
+    }s`;
+  }
+  if (alert.kind === "trade") {
+    return `${alert.side?.toUpperCase() || "TRADE"} ${formatDecimal(
+      alert.amount
+    )} ${token} for ${formatDecimal(alert.quote_amount)} ${alert.quote || ""}`;
+  }
+  if (alert.kind === "transfer") {
+    return `Transfer of ${formatDecimal(alert.amount)} ${token} from ${
+      alert.from
+    } to ${alert.to}`;
+  }
+  return alert.kind;
+}
+
+// Highlighted text block of an alert, as printed by the examples
+function formatAlert(alert) {
+  return [
+    `\n🚨🚨🚨 ALERT [${alert.rule}] 🚨🚨🚨`,
+    describeAlert(alert).trim(),
+    ...(alert.trader ? [`Trader: ${alert.trader}`] : []),
+    ...(alert.mint ? [`Mint: ${alert.mint}`] : []),
+    `Block Slot: ${alert.slot}`,
+    `Signature: ${alert.signature}`,
+    `Timestamp: ${alert.received_at}`,
+  ].join("\n");
+}
+
+// Engine and sink options for the `alerts` section of config.yaml, or
+// null when the section is missing
+function alertOptions(section) {
+  if (!section) return null;
+  return {
+    rules: (section.rules || []).map((rule) => ({
+      name: rule.name,
+      kind: rule.kind,
+      side: rule.side,
+      tokens: rule.tokens,
+      traders: rule.traders,
+      quote: rule.quote,
+      minQuoteAmount: rule.min_quote_amount,
+      minAmount: rule.min_amount,
+      minSupplyPercent: rule.min_supply_percent,
+      supply: rule.supply,
+      count: rule.count,
+      windowMs: rule.window ? parseInterval(rule.window) : undefined,
+      cooldownMs: rule.cooldown ? parseInterval(rule.cooldown) : undefined,
+    })),
+    sinks: section.sinks || [],
+  };
+}
+
+module.exports = {
+  ALERT_QUOTES,
+  ALERT_SINK_TYPES,
+  alertOptions,
+  createAlertEngine,
+  createAlertSinks,
+  formatAlert,
+};
@@ -0,0 +1,191 @@
+// Exact handling of the uint64/int64 amounts that proto-loader hands out as
+// strings (`longs: String`). Amounts stay BigInt until they are printed, so
+// 9-decimal SOL and 6-decimal token amounts never go through floats.
+
+// Fraction digits kept in computed prices
+const PRICE_PRECISION = 18;
+// Significant digits shown when printing a price
+const PRICE_SIGNIFICANT_DIGITS = 8;
+
+// Raw integer amount (decimal string, number or bigint) as BigInt, or null
+// when it is missing or not an integer
+function toBigInt(raw) {
+  if (typeof raw === "bigint") return raw;
+  if (typeof raw === "number") {
+    return Number.isSafeInteger(raw) ? BigInt(raw) : null;
+  }
+  if (typeof raw === "string" && /^-?\d+$/.test(raw)) return BigInt(raw);
+  return null;
+}
+
+// Scaled integer as a decimal string with exactly `fractionDigits` digits
+// after the point (none for 0)
+function scaledToString(value, fractionDigits) {
+  const negative = value < 0n;
+  const digits = (negative ? -value : value)
+    .toString()
+    .padStart(fractionDigits + 1, "0");
+  const sign = negative ? "-" : "";
+  if (fractionDigits === 0) return sign + digits;
+  return `${sign}${digits.slice(0, -fractionDigits)}.${digits.slice(
+    -fractionDigits
+  )}`;
+}
+
+// Exact decimal value of a raw amount: ("1500000000", 9) -> "1.5".
+// Returns null for missing amounts.
+function toDecimalString(raw, decimals = 0) {
+  const value = toBigInt(raw);
+  if (value === null) return null;
+
+  const text = scaledToString(value, decimals || 0);
+  return text.includes(".") ? text.replace(/\.?0+$/, "") : text;
+}
+
+// Raw integer amount of a decimal value, the reverse of toDecimalString():
+// ("1.5", 9) -> 1500000000n. Digits past `decimals` are cut off. Returns
+// null for values that aren't plain decimal numbers.
+function toRawAmount(value, decimals = 0) {
+  const text =
+    typeof value === "number" ? value.toFixed(decimals || 0) : String(value);
+  const match = /^(-?)(\d+)(?:\.(\d*))?$/.exec(text.trim());
+  if (!match) return null;
+
+  const fraction = (match[3] || "")
+    .slice(0, decimals || 0)
+    .padEnd(decimals || 0, "0");
+  const raw = BigInt(match[2] + fraction);
+  return match[1] ? -raw : raw;
+}
+
+// (a / 10^aDecimals) / (b / 10^bDecimals) as a decimal string with exactly
+// `precision` fraction digits, rounded half up. Returns null when either
+// amount is missing or b is zero.
+function divideAmounts(
+  a,
+  aDecimals,
+  b,
+  bDecimals,
+  precision = PRICE_PRECISION
+) {
+  const numerator = toBigInt(a);
+  const denominator = toBigInt(b);
+  if (numerator === null || denominator === null || denominator === 0n) {
+    return null;
+  }
+
+  const scaledNumerator =
+    numerator * 10n ** BigInt((bDecimals || 0) + precision);
+  const scaledDenominator = denominator * 10n ** BigInt(aDecimals || 0);
+
+  let quotient = scaledNumerator / scaledDenominator;
+  const remainder = scaledNumerator % scaledDenominator;
+  const absolute = (value) => (value < 0n ? -value : value);
+  if (absolute(remainder) * 2n >= absolute(scaledDenominator)) {
+    quotient += scaledNumerator < 0n !== scaledDenominator < 0n ? -1n : 1n;
+  }
+
+  return scaledToString(quotient, precision);
+}
+
+// Human-readable form of a decimal string: grouped integer digits, at most
+// `maxFractionDigits` fraction digits (rounded half up), no trailing zeros.
+// formatDecimal("1234567.250") -> "1,234,567.25"
+function formatDecimal(value, maxFractionDigits = Infinity) {
+  if (value === null || value === undefined) return "N/A";
+
+  let [integer, fraction = ""] = String(value).split(".");
+  const negative = integer.startsWith("-");
+  if (negative) integer = integer.slice(1);
+
+  if (fraction.length > maxFractionDigits) {
+    const roundUp = fraction[maxFractionDigits] >= "5";
+    let scaled = BigInt(integer + fraction.slice(0, maxFractionDigits));
+    if (roundUp) scaled += 1n;
+    [integer, fraction = ""] = scaledToString(scaled, maxFractionDigits).split(
+      "."
+    );
+  }
+
+  fraction = fraction.replace(/0+$/, "");
+  const grouped = integer.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  const sign = negative && /[1-9]/.test(integer + fraction) ? "-" : "";
+  return `${sign}${grouped}${fraction ? `.${fraction}` : ""}`;
+}
+
+// Price with PRICE_SIGNIFICANT_DIGITS significant digits, without
+// scientific notation: "0.000000028630000000" -> "0.00000002863"
+function formatPrice(price, significantDigits = PRICE_SIGNIFICANT_DIGITS) {
+  if (price === null || price === undefined) return "N/A";
+
+  const [integer, fraction = ""] = String(price).replace("-", "").split(".");
+  const fractionDigits =
+    integer === "0"
+      ? fraction.search(/[1-9]/) + significantDigits
+      : significantDigits - integer.length;
+
+  return formatDecimal(price, Math.max(0, fractionDigits));
+}
+
+// Raw amount with its currency's decimals and symbol: "1.5 SOL"
+function formatAmount(raw, currency) {
+  const value = toDecimalString(raw, currency?.Decimals);
+  if (value === null) return "N/A";
+  return `${formatDecimal(value)} ${currency?.Symbol || ""}`.trim();
+}
+
+// Price of a trade in both directions from the raw side amounts and their
+// currencies' decimals. Prices are decimal strings with `precision`
+// fraction digits:
+//
+//   pricePerBuyToken  - sell currency per 1 unit of the buy currency
+//   pricePerSellToken - buy currency per 1 unit of the sell currency
+//
+// options.buyDecimals / options.sellDecimals - Currency.Decimals (default 0)
+// options.precision                         - default PRICE_PRECISION
+function calculateTradePrice(buyAmount, sellAmount, options = {}) {
+  const { buyDecimals = 0, sellDecimals = 0 } = options;
+  const precision = options.precision ?? PRICE_PRECISION;
+  const buy = toBigInt(buyAmount);
+  const sell = toBigInt(sellAmount);
+
+  if (!buy || !sell) {
+    return {
+      pricePerBuyToken: null,
+      pricePerSellToken: null,
+      precision,
+      valid: false,
+    };
+  }
+
+  return {
+    pricePerBuyToken: divideAmounts(
+      sell,
+      sellDecimals,
+      buy,
+      buyDecimals,
+      precision
+    ),
+    pricePerSellToken: divideAmounts(
+      buy,
+      buyDecimals,
+      sell,
+      sellDecimals,
+      precision
+    ),
+    precision,
+    valid: true,
+  };
+}
+
+module.exports = {
+  PRICE_PRECISION,
+  calculateTradePrice,
+  divideAmounts,
+  formatAmount,
+  formatDecimal,
+  formatPrice,
+  toBigInt,
+  toDecimalString,
+  toRawAmount,
+};
@@ -0,0 +1,378 @@
+const {
+  divideAmounts,
+  formatDecimal,
+  formatPrice,
+  toBigInt,
+  toDecimalString,
+} = require("./amounts");
+const { QUOTE_MINTS, classifyTrade } = require("./classify");
+const { toBase58 } = require("./format");
+
+const PUMPFUN_PROGRAM = "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P";
+
+// Pump.fun bonding curve parameters as raw amounts (tokens have 6 decimals,
+// SOL 9). Every curve starts from the same virtual reserves, and its
+// virtual token * virtual SOL product stays constant until it completes.
+const PUMPFUN_CURVE = {
+  tokenDecimals: 6,
+  solDecimals: 9,
+  totalSupply: 1000000000n * 10n ** 6n,
+  initialVirtualTokenReserves: 1073000000n * 10n ** 6n,
+  initialVirtualSolReserves: 30n * 10n ** 9n,
+  initialRealTokenReserves: 793100000n * 10n ** 6n,
+};
+
+// Tokens that stay in the curve account for the migration, on top of the
+// real reserves a PoolEvent's PostAmount reports
+const RESERVED_TOKENS =
+  PUMPFUN_CURVE.totalSupply - PUMPFUN_CURVE.initialRealTokenReserves;
+// Virtual token reserves = real token reserves + VIRTUAL_TOKEN_OFFSET
+const VIRTUAL_TOKEN_OFFSET =
+  PUMPFUN_CURVE.initialVirtualTokenReserves -
+  PUMPFUN_CURVE.initialRealTokenReserves;
+const CURVE_INVARIANT =
+  PUMPFUN_CURVE.initialVirtualTokenReserves *
+  PUMPFUN_CURVE.initialVirtualSolReserves;
+
+const SOL_MINTS = Object.keys(QUOTE_MINTS).filter((mint) =>
+  ["SOL", "WSOL"].includes(QUOTE_MINTS[mint])
+);
+
+const DEFAULT_THRESHOLDS = [50, 80, 100];
+const MAX_TRACKED_TOKENS = 10000;
+
+// Base58 address of a bytes field, null when it is empty
+function addressOf(bytes) {
+  return bytes?.length ? toBase58(bytes) : null;
+}
+
+function isqrt(value) {
+  if (value < 2n) return value;
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+// Compare [slot, tx index, instruction index] positions on chain
+function compareOrder(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+function clampReserves(reserves) {
+  if (reserves < 0n) return 0n;
+  if (reserves > PUMPFUN_CURVE.initialRealTokenReserves) {
+    return PUMPFUN_CURVE.initialRealTokenReserves;
+  }
+  return reserves;
+}
+
+// Real token reserves after a curve trade of `tokens` for `lamports`, from
+// the trade alone. Solves (x + S)(y - T) = x * y = CURVE_INVARIANT for the
+// virtual reserves before a buy (and the mirror equation for a sell).
+// Approximate when the SOL amount includes fees.
+function estimateReserves(tokens, lamports, side) {
+  if (!tokens || !lamports || tokens <= 0n || lamports <= 0n) return null;
+  const root = isqrt(
+    tokens * tokens + (4n * CURVE_INVARIANT * tokens) / lamports
+  );
+  const virtualTokens =
+    side === "buy" ? (root - tokens) / 2n : (root + tokens) / 2n;
+  return clampReserves(virtualTokens - VIRTUAL_TOKEN_OFFSET);
+}
+
+// Percent of the curve sold, price (SOL per token) and market cap (SOL) at
+// the given real token reserves, as decimal strings
+function curveState(realTokenReserves) {
+  const { initialRealTokenReserves, solDecimals, tokenDecimals, totalSupply } =
+    PUMPFUN_CURVE;
+  const virtualTokens = realTokenReserves + VIRTUAL_TOKEN_OFFSET;
+  const virtualSol = CURVE_INVARIANT / virtualTokens;
+
+  return {
+    progress: divideAmounts(
+      (initialRealTokenReserves - realTokenReserves) * 100n,
+      0,
+      initialRealTokenReserves,
+      0,
+      2
+    ),
+    price: divideAmounts(virtualSol, solDecimals, virtualTokens, tokenDecimals),
+    marketCap: divideAmounts(
+      virtualSol * totalSupply,
+      solDecimals + tokenDecimals,
+      virtualTokens,
+      tokenDecimals,
+      solDecimals
+    ),
+  };
+}
+
+function messagePosition(message, instructionIndex) {
+  return [
+    message.Block?.Slot !== undefined ? Number(message.Block.Slot) : 0,
+    message.Transaction?.Index ?? 0,
+    instructionIndex ?? 0,
+  ];
+}
+
+// Token side of a pump.fun PoolEvent: the side whose mint isn't SOL
+function getPoolToken(poolEvent) {
+  const market = poolEvent.Market || {};
+  const baseMint = addressOf(market.BaseCurrency?.MintAddress);
+  const quoteMint = addressOf(market.QuoteCurrency?.MintAddress);
+
+  if (baseMint && !SOL_MINTS.includes(baseMint)) {
+    return { mint: baseMint, side: poolEvent.BaseCurrency };
+  }
+  if (quoteMint && !SOL_MINTS.includes(quoteMint)) {
+    return { mint: quoteMint, side: poolEvent.QuoteCurrency };
+  }
+  return null;
+}
+
+// Track Pump.fun bonding curves from DexTrades and DexPools messages, and
+// raise an event when a token's curve passes a completion threshold or the
+// token first trades on another program (its migration after graduating).
+//
+// Real token reserves come from pump.fun PoolEvents (PoolSide.PostAmount
+// minus the tokens reserved for the migration). Pump.fun trades after the
+// last PoolEvent move them by the traded amount; trades of tokens without
+// a PoolEvent yet estimate them from the trade amounts (`source: "trade"`).
+// Progress is the percentage of the 793.1M curve tokens sold, the market
+// cap the curve price times the 1B token supply, both in SOL.
+//
+// Thresholds fire once per token, the highest one passed by an update,
+// even if a sell takes the curve below it again.
+//
+// options.thresholds - completion percentages (default [50, 80, 100])
+function createBondingCurveTracker(options = {}) {
+  const thresholds = [...(options.thresholds || DEFAULT_THRESHOLDS)].sort(
+    (a, b) => a - b
+  );
+
+  // mint -> { mint, market, reserves, source, position, reached, migrated },
+  // market null when the messages don't name it
+  const tokens = new Map();
+  let events = 0;
+
+  function track(mint, market) {
+    let token = tokens.get(mint);
+    if (token) {
+      tokens.delete(mint);
+      token.market = token.market || market;
+    } else {
+      if (tokens.size >= MAX_TRACKED_TOKENS) {
+        tokens.delete(tokens.keys().next().value);
+      }
+      token = {
+        mint,
+        market,
+        reserves: null,
+        source: null,
+        position: null,
+        reached: -1,
+        migrated: false,
+      };
+    }
+    tokens.set(mint, token);
+    return token;
+  }
+
+  function createEvent(kind, token, message, receivedTimestamp, extra) {
+    // A token can migrate before any of its curve reserves were seen
+    const state =
+      token.reserves === null
+        ? { progress: null, price: null, marketCap: null }
+        : curveState(token.reserves);
+    events++;
+    return {
+      type: "bonding_curve",
+      event: kind,
+      mint: token.mint,
+      market: token.market,
+      ...extra,
+      progress: state.progress,
+      price: state.price,
+      market_cap: state.marketCap,
+      real_token_reserves: toDecimalString(
+        token.reserves,
+        PUMPFUN_CURVE.tokenDecimals
+      ),
+      source: token.source,
+      slot:
+        message.Block?.Slot !== undefined ? Number(message.Block.Slot) : null,
+      signature: addressOf(message.Transaction?.Signature),
+      received_at: new Date(receivedTimestamp).toISOString(),
+    };
+  }
+
+  function update(token, reserves, source, position, message, ts) {
+    token.reserves = clampReserves(reserves);
+    token.source = source;
+    token.position = position;
+
+    const progress = Number(curveState(token.reserves).progress);
+    let passed = token.reached;
+    while (
+      passed + 1 < thresholds.length &&
+      progress >= thresholds[passed + 1]
+    ) {
+      passed++;
+    }
+    if (passed === token.reached) return [];
+
+    token.reached = passed;
+    return [
+      createEvent("threshold", token, message, ts, {
+        threshold: thresholds[passed],
+      }),
+    ];
+  }
+
+  function migrate(token, dex, message, ts) {
+    if (token.migrated) return [];
+    token.migrated = true;
+    return [
+      createEvent("migration", token, message, ts, {
+        program: addressOf(dex?.ProgramAddress),
+        protocol: dex?.ProtocolName || null,
+      }),
+    ];
+  }
+
+  function addPoolEvent(message, ts) {
+    const poolEvent = message.PoolEvent;
+    const program = addressOf(poolEvent.Dex?.ProgramAddress);
+    const pool = getPoolToken(poolEvent);
+    if (!pool) return [];
+
+    if (program !== PUMPFUN_PROGRAM) {
+      const token = tokens.get(pool.mint);
+      return token ? migrate(token, poolEvent.Dex, message, ts) : [];
+    }
+
+    const balance = toBigInt(pool.side?.PostAmount);
+    if (balance === null) return [];
+
+    const token = track(pool.mint, addressOf(poolEvent.Market?.MarketAddress));
+    const position = messagePosition(message, poolEvent.InstructionIndex);
+    if (token.position && compareOrder(position, token.position) < 0) {
+      return [];
+    }
+    return update(
+      token,
+      balance - RESERVED_TOKENS,
+      "pool",
+      position,
+      message,
+      ts
+    );
+  }
+
+  function addTrade(message, ts) {
+    const trade = message.Trade;
+    const program = addressOf(trade.Dex?.ProgramAddress);
+    const { side, baseMint, quoteMint, base, quote } = classifyTrade(trade);
+    if (!side) return [];
+
+    if (program !== PUMPFUN_PROGRAM) {
+      const token = tokens.get(baseMint);
+      return token ? migrate(token, trade.Dex, message, ts) : [];
+    }
+
+    const token = track(baseMint, addressOf(trade.Market?.MarketAddress));
+    const position = messagePosition(message, trade.InstructionIndex);
+    if (token.position && compareOrder(position, token.position) <= 0) {
+      return [];
+    }
+
+    const amount = toBigInt(base.Amount);
+    if (token.reserves !== null && token.source === "pool") {
+      if (amount === null) return [];
+      const reserves =
+        side === "buy" ? token.reserves - amount : token.reserves + amount;
+      return update(token, reserves, "pool", position, message, ts);
+    }
+
+    if (!SOL_MINTS.includes(quoteMint)) return [];
+    const reserves = estimateReserves(amount, toBigInt(quote.Amount), side);
+    if (reserves === null) return [];
+    return update(token, reserves, "trade", position, message, ts);
+  }
+
+  // Update the curve of a message's token. Returns the events it raised
+  // (empty for other messages).
+  function add(message, receivedTimestamp = Date.now()) {
+    if (message.PoolEvent) return addPoolEvent(message, receivedTimestamp);
+    if (message.Trade) return addTrade(message, receivedTimestamp);
+    return [];
+  }
+
+  // Current curve of a tracked token, null when it wasn't seen
+  function get(mint) {
+    const token = tokens.get(mint);
+    if (!token || token.reserves === null) return null;
+    return {
+      mint,
+      market: token.market,
+      ...curveState(token.reserves),
+      source: token.source,
+      migrated: token.migrated,
+    };
+  }
+
+  return {
+    add,
+    get,
+    get thresholds() {
+      return thresholds;
+    },
+    get tracked() {
+      return tokens.size;
+    },
+    get events() {
+      return events;
+    },
+  };
+}
+
+// One line per bonding curve event, as printed by the pumpfun example
+function formatBondingCurveEvent(event) {
+  const estimated = event.source === "trade" ? " (estimated)" : "";
+  const state = [
+    event.progress === null
+      ? "curve not seen"
+      : `curve ${formatDecimal(event.progress)}%${estimated}`,
+    `price ${formatPrice(event.price)} SOL`,
+    `mcap ${formatDecimal(event.market_cap, 2)} SOL`,
+  ].join("  ");
+
+  if (event.event === "migration") {
+    return `🚀 ${event.mint} migrated to ${event.protocol || event.program}  ${state}`;
+  }
+  return `🎯 ${event.mint} passed ${event.threshold}%  ${state}`;
+}
+
+// Tracker options for the `bonding_curve` section of config.yaml, or null
+// when the section is missing
+function bondingCurveOptions(section) {
+  if (!section) return null;
+  return {
+    thresholds: section.thresholds,
+  };
+}
+
+module.exports = {
+  PUMPFUN_CURVE,
+  PUMPFUN_PROGRAM,
+  bondingCurveOptions,
+  createBondingCurveTracker,
+  formatBondingCurveEvent,
+};
@@ -0,0 +1,268 @@
+const { formatDecimal, toBigInt, toDecimalString } = require("./amounts");
+const { toBase58 } = require("./format");
+
+const SOL_DECIMALS = 9;
+
+// Whether `node` is `caller` or somewhere below it in the tree
+function isCalledBy(node, caller) {
+  for (let current = node; current; current = current.parent) {
+    if (current === caller) return true;
+  }
+  return false;
+}
+
+// Arrange a transaction's ParsedIdlInstructions as a tree of CPI calls.
+// An instruction's caller is CallerIndex (-1 for top-level instructions),
+// or the last of its AncestorIndexes / the CallPath prefix when that is
+// missing. A caller that would close a cycle (malformed indexes) is
+// skipped for the next one, so every node ends up under a root. Returns the
+// top-level nodes; each node is { instruction, index, depth, parent,
+// children }.
+function buildCallTree(instructions) {
+  const nodes = new Map();
+  for (const instruction of instructions || []) {
+    nodes.set(instruction.Index, {
+      instruction,
+      index: instruction.Index,
+      depth: instruction.Depth ?? 0,
+      parent: null,
+      children: [],
+    });
+  }
+
+  const byPath = new Map();
+  for (const node of nodes.values()) {
+    const path = node.instruction.CallPath || [];
+    if (path.length) byPath.set(path.join("."), node);
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const { instruction } = node;
+    const path = instruction.CallPath || [];
+    const ancestors = instruction.AncestorIndexes || [];
+
+    const callers = [
+      instruction.CallerIndex !== undefined && instruction.CallerIndex >= 0
+        ? nodes.get(instruction.CallerIndex)
+        : null,
+      ancestors.length ? nodes.get(ancestors[ancestors.length - 1]) : null,
+      path.length > 1 ? byPath.get(path.slice(0, -1).join(".")) : null,
+    ];
+    const parent = callers.find(
+      (caller) => caller && !isCalledBy(caller, node)
+    );
+
+    if (parent) {
+      node.parent = parent;
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  return roots;
+}
+
+// Balance changes of BalanceUpdates (lamports) or TokenBalanceUpdates, with
+// the account resolved from Header.Accounts[AccountIndex]:
+// [{ account, mint, owner, decimals, pre, post, change }]. Amounts are raw
+// integer strings; unchanged balances are left out.
+function balanceChanges(updates, accounts, { token = false } = {}) {
+  const changes = [];
+  for (const update of updates || []) {
+    const pre = toBigInt(update.PreBalance) ?? 0n;
+    const post = toBigInt(update.PostBalance) ?? 0n;
+    if (pre === post) continue;
+
+    const account = accounts?.[update.AccountIndex];
+    const tokenInfo = token ? account?.Token : null;
+    changes.push({
+      account: account?.Address?.length
+        ? toBase58(account.Address)
+        : `#${update.AccountIndex}`,
+      mint: tokenInfo?.Mint?.length ? toBase58(tokenInfo.Mint) : null,
+      owner: tokenInfo?.Owner?.length ? toBase58(tokenInfo.Owner) : null,
+      decimals: token ? (tokenInfo?.Decimals ?? 0) : SOL_DECIMALS,
+      pre: pre.toString(),
+      post: post.toString(),
+      change: (post - pre).toString(),
+    });
+  }
+  return changes;
+}
+
+function formatChange(change, symbol) {
+  const amount = formatDecimal(toDecimalString(change.change, change.decimals));
+  const sign = change.change.startsWith("-") ? "" : "+";
+  const holder = change.owner
+    ? `${change.account} (owner ${change.owner})`
+    : change.account;
+  return `${sign}${amount} ${symbol} ${holder}`;
+}
+
+function describeNode(node) {
+  const program = node.instruction.Program;
+  const address = program?.Address?.length
+    ? toBase58(program.Address)
+    : "unknown";
+  const call = [program?.Name, program?.Method].filter(Boolean).join(".");
+  return `#${node.index} ${call || "unparsed"} (${address})`;
+}
+
+// A transaction's instructions as an indented tree of CPI calls. Each node
+// shows its program and method, its logs, and the SOL and token balance
+// changes the instruction reports.
+function formatCallTree(message) {
+  const transaction = message.Transaction;
+  const accounts = transaction.Header?.Accounts;
+  const lines = [];
+
+  function render(node, prefix, last) {
+    lines.push(`${prefix}${last ? "└─ " : "├─ "}${describeNode(node)}`);
+    const inner = `${prefix}${last ? "   " : "│  "}`;
+    const { instruction } = node;
+
+    const details = [
+      ...(instruction.Logs || []).map((log) => `log: ${log}`),
+      ...balanceChanges(instruction.BalanceUpdates, accounts).map(
+        (change) => `Δ ${formatChange(change, "SOL")}`
+      ),
+      ...balanceChanges(instruction.TokenBalanceUpdates, accounts, {
+        token: true,
+      }).map((change) => `Δ ${formatChange(change, change.mint || "token")}`),
+    ];
+    const bar = node.children.length ? "│ " : "  ";
+    for (const detail of details) lines.push(`${inner}${bar} ${detail}`);
+
+    node.children.forEach((child, index) =>
+      render(child, inner, index === node.children.length - 1)
+    );
+  }
+
+  const roots = buildCallTree(transaction.ParsedIdlInstructions);
+  lines.push("Call tree:");
+  roots.forEach((root, index) =>
+    render(root, "  ", index === roots.length - 1)
+  );
+  return lines;
+}
+
+function nodeSummary(node) {
+  const program = node.instruction.Program;
+  return {
+    index: node.index,
+    program: program?.Address?.length ? toBase58(program.Address) : null,
+    name: program?.Name || null,
+    method: program?.Method || null,
+  };
+}
+
+// Find the top-level instruction behind each token balance change of `mint`
+// in a transaction (optionally only for one token account or owner). The
+// change is attributed to the deepest instruction that reports it; `path`
+// runs from the top-level instruction down to that one.
+//
+// Returns [{ type: "balance_trace", mint, account, owner, change, pre,
+// post, decimals, instruction, path, slot, signature, received_at }].
+// Changes only in TotalTokenBalanceUpdates have a null instruction.
+function traceTokenBalance(message, query, receivedTimestamp = Date.now()) {
+  const transaction = message.Transaction;
+  if (!transaction?.ParsedIdlInstructions) return [];
+
+  const accounts = transaction.Header?.Accounts;
+  const matches = (change) =>
+    change.mint === query.mint &&
+    (!query.account ||
+      change.account === query.account ||
+      change.owner === query.account);
+
+  // account -> deepest node reporting a change of it
+  const sources = new Map();
+  function visit(node) {
+    const changes = balanceChanges(
+      node.instruction.TokenBalanceUpdates,
+      accounts,
+      { token: true }
+    ).filter(matches);
+    for (const change of changes) {
+      const known = sources.get(change.account);
+      if (!known || node.depth >= known.node.depth) {
+        sources.set(change.account, { node, change });
+      }
+    }
+    node.children.forEach(visit);
+  }
+  buildCallTree(transaction.ParsedIdlInstructions).forEach(visit);
+
+  // Totals are the authoritative amounts; instructions tell the cause
+  const totals = balanceChanges(
+    transaction.TotalTokenBalanceUpdates,
+    accounts,
+    { token: true }
+  ).filter(matches);
+  for (const change of totals) {
+    const source = sources.get(change.account);
+    if (source) {
+      source.change = change;
+    } else {
+      sources.set(change.account, { node: null, change });
+    }
+  }
+
+  const results = [];
+  for (const { node, change } of sources.values()) {
+    const path = [];
+    for (let current = node; current; current = current.parent) {
+      path.unshift(nodeSummary(current));
+    }
+    results.push({
+      type: "balance_trace",
+      ...change,
+      instruction: path[0] || null,
+      path,
+      slot:
+        message.Block?.Slot !== undefined ? Number(message.Block.Slot) : null,
+      signature: transaction.Signature ? toBase58(transaction.Signature) : null,
+      received_at: new Date(receivedTimestamp).toISOString(),
+    });
+  }
+  return results;
+}
+
+// One line per balance trace result: the change and the top-level
+// instruction that caused it, via the inner calls down to the reporting one
+function formatBalanceTrace(trace) {
+  const change = formatChange(trace, trace.mint);
+  if (!trace.instruction) {
+    return `🔎 ${change} in ${trace.signature}: no instruction reports it`;
+  }
+  const [top, ...inner] = trace.path.map(
+    (step) =>
+      `#${step.index} ${
+        [step.name, step.method].filter(Boolean).join(".") || step.program
+      }`
+  );
+  const via = inner.length ? ` via ${inner.join(" → ")}` : "";
+  return `🔎 ${change} in ${trace.signature}: caused by ${top}${via}`;
+}
+
+// Options for the `call_tree` section of config.yaml, or null when the
+// section is missing
+function callTreeOptions(section) {
+  if (!section) return null;
+  return {
+    enabled: section.enabled !== false,
+    trace: section.trace_token
+      ? { mint: section.trace_token, account: section.trace_account }
+      : null,
+  };
+}
+
+module.exports = {
+  balanceChanges,
+  buildCallTree,
+  callTreeOptions,
+  formatBalanceTrace,
+  formatCallTree,
+  traceTokenBalance,
+};
@@ -0,0 +1,340 @@
+const {
+  calculateTradePrice,
+  formatDecimal,
+  formatPrice,
+  toBigInt,
+  toDecimalString,
+} = require("./amounts");
+const { classifyTrade } = require("./classify");
+const { toBase58 } = require("./format");
+
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+const DEFAULT_INTERVALS = ["1m"];
+const DEFAULT_LATE_MS = 2000;
+const DEFAULT_MAX_GAP_CANDLES = 1000;
+const CANDLE_TICK_MS = 1000;
+
+// Approximate Solana slot time, to place trades of slots that were never
+// seen (they arrived after a newer slot) in the right interval
+const SLOT_DURATION_MS = 400;
+const MAX_SLOT_TIMES = 10000;
+
+// Milliseconds of an interval like "1s", "1m", "5m" or "1h"
+function parseInterval(interval) {
+  const match = /^(\d+)([smh])$/.exec(interval);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(
+      `Invalid candle interval "${interval}", use e.g. 1s, 1m, 5m or 1h`
+    );
+  }
+  return Number(match[1]) * INTERVAL_UNITS[match[2]];
+}
+
+// Raw base and quote amounts of a trade with their currencies' decimals,
+// base and quote as classifyTrade() tells them apart
+function getTradeAmounts(trade) {
+  const { baseMint, quoteMint, base, quote } = classifyTrade(trade);
+
+  return {
+    baseMint,
+    quoteMint,
+    baseAmount: toBigInt(base?.Amount),
+    baseDecimals: base?.Currency?.Decimals || 0,
+    quoteAmount: toBigInt(quote?.Amount),
+    quoteDecimals: quote?.Currency?.Decimals || 0,
+  };
+}
+
+// Prices share PRICE_PRECISION fraction digits, so their digits compare
+// as integers
+function priceValue(price) {
+  return BigInt(price.replace(".", ""));
+}
+
+// Compare [slot, tx index, instruction index] positions on chain
+function compareOrder(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+function emptyCandle(market, interval, start, mints) {
+  return {
+    type: "candle",
+    market,
+    interval: interval.name,
+    start: new Date(start).toISOString(),
+    end: new Date(start + interval.ms).toISOString(),
+    base_mint: mints.baseMint,
+    quote_mint: mints.quoteMint,
+    open: null,
+    high: null,
+    low: null,
+    close: null,
+    volume: "0",
+    quote_volume: "0",
+    trades: 0,
+    first_slot: null,
+    last_slot: null,
+  };
+}
+
+// Build OHLCV candles per market (Market.MarketAddress) from DexTrades
+// messages. Prices are quote per base currency (decimal strings with
+// PRICE_PRECISION fraction digits), volumes exact base and quote amounts,
+// all adjusted for Currency.Decimals.
+//
+// A trade's interval comes from the time its slot was first received, so
+// trades of an older slot that arrive late still land in that slot's
+// candle, and open/close follow chain order rather than arrival order.
+// Candles are emitted `lateMs` after their interval ends; trades for an
+// interval already emitted are counted in `late` and dropped. Intervals
+// without trades between two trades of a market are emitted as flat
+// candles (close of the previous candle, zero volume).
+//
+// options.intervals     - e.g. ["1s", "1m", "5m", "1h"] (default ["1m"])
+// options.onCandle      - called with every closed candle
+// options.lateMs        - wait for late trades after an interval (default 2000)
+// options.fillGaps      - emit flat candles for empty intervals (default true)
+// options.maxGapCandles - longest gap filled, in candles (default 1000)
+function createCandleEngine(options = {}) {
+  const intervals = (options.intervals || DEFAULT_INTERVALS).map((name) => ({
+    name,
+    ms: parseInterval(name),
+  }));
+  const onCandle = options.onCandle || (() => {});
+  const lateMs = options.lateMs ?? DEFAULT_LATE_MS;
+  const fillGaps = options.fillGaps !== false;
+  const maxGapCandles = options.maxGapCandles ?? DEFAULT_MAX_GAP_CANDLES;
+
+  // `${interval}|${market}` -> { interval, market, open: Map(start -> state), lastClosed }
+  const series = new Map();
+  const slotTimes = new Map();
+  let latestSlot = null;
+  let late = 0;
+  let skipped = 0;
+  let tickTimer = null;
+
+  function slotTime(slot, receivedTimestamp) {
+    if (slot === null) return receivedTimestamp;
+    if (slotTimes.has(slot)) return slotTimes.get(slot);
+
+    let time = receivedTimestamp;
+    if (latestSlot !== null && slot < latestSlot) {
+      time =
+        (slotTimes.get(latestSlot) ?? receivedTimestamp) -
+        (latestSlot - slot) * SLOT_DURATION_MS;
+    } else {
+      latestSlot = slot;
+    }
+
+    if (slotTimes.size >= MAX_SLOT_TIMES) {
+      slotTimes.delete(slotTimes.keys().next().value);
+    }
+    slotTimes.set(slot, time);
+    return time;
+  }
+
+  // Queue a trade. Returns false for other messages and trades without a
+  // price or for intervals already emitted.
+  function add(message, receivedTimestamp = Date.now()) {
+    const trade = message.Trade;
+    if (!trade) return false;
+
+    const amounts = getTradeAmounts(trade);
+    // Base bought with quote: quote per base is the price per "buy token"
+    const { pricePerBuyToken: price, valid } = calculateTradePrice(
+      amounts.baseAmount,
+      amounts.quoteAmount,
+      { buyDecimals: amounts.baseDecimals, sellDecimals: amounts.quoteDecimals }
+    );
+    if (!valid) {
+      skipped++;
+      return false;
+    }
+
+    const market = toBase58(trade.Market?.MarketAddress);
+    const slot =
+      message.Block?.Slot !== undefined ? Number(message.Block.Slot) : null;
+    const time = slotTime(slot, receivedTimestamp);
+    const order = [
+      slot ?? 0,
+      message.Transaction?.Index ?? 0,
+      trade.InstructionIndex ?? 0,
+    ];
+
+    let added = false;
+    for (const interval of intervals) {
+      const start = Math.floor(time / interval.ms) * interval.ms;
+      const key = `${interval.name}|${market}`;
+
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { interval, market, open: new Map(), lastClosed: null };
+        series.set(key, entry);
+      }
+      if (entry.lastClosed && start <= entry.lastClosed.start) continue;
+
+      let state = entry.open.get(start);
+      if (!state) {
+        state = {
+          start,
+          candle: emptyCandle(market, interval, start, amounts),
+          openOrder: order,
+          closeOrder: order,
+          baseVolume: 0n,
+          quoteVolume: 0n,
+        };
+        entry.open.set(start, state);
+      }
+
+      const { candle } = state;
+      if (candle.trades === 0 || compareOrder(order, state.openOrder) < 0) {
+        candle.open = price;
+        state.openOrder = order;
+      }
+      if (candle.trades === 0 || compareOrder(order, state.closeOrder) >= 0) {
+        candle.close = price;
+        state.closeOrder = order;
+      }
+      if (candle.trades === 0 || priceValue(price) > priceValue(candle.high)) {
+        candle.high = price;
+      }
+      if (candle.trades === 0 || priceValue(price) < priceValue(candle.low)) {
+        candle.low = price;
+      }
+      state.baseVolume += amounts.baseAmount;
+      state.quoteVolume += amounts.quoteAmount;
+      candle.volume = toDecimalString(state.baseVolume, amounts.baseDecimals);
+      candle.quote_volume = toDecimalString(
+        state.quoteVolume,
+        amounts.quoteDecimals
+      );
+      candle.trades++;
+      if (slot !== null) {
+        candle.first_slot = Math.min(candle.first_slot ?? slot, slot);
+        candle.last_slot = Math.max(candle.last_slot ?? slot, slot);
+      }
+      added = true;
+    }
+
+    if (!added) late++;
+    if (!tickTimer) {
+      tickTimer = setInterval(tick, CANDLE_TICK_MS);
+    }
+    return added;
+  }
+
+  function emit(entry, state) {
+    const { interval, lastClosed } = entry;
+    const gap = lastClosed
+      ? (state.start - lastClosed.start) / interval.ms - 1
+      : 0;
+
+    if (fillGaps && gap > 0 && gap <= maxGapCandles) {
+      for (let i = 1; i <= gap; i++) {
+        const flat = emptyCandle(
+          entry.market,
+          interval,
+          lastClosed.start + i * interval.ms,
+          {
+            baseMint: state.candle.base_mint,
+            quoteMint: state.candle.quote_mint,
+          }
+        );
+        flat.open = flat.high = flat.low = flat.close = lastClosed.close;
+        onCandle(flat);
+      }
+    }
+
+    onCandle(state.candle);
+    entry.lastClosed = { start: state.start, close: state.candle.close };
+  }
+
+  // Emit the candles whose interval ended `lateMs` before `now`
+  function tick(now = Date.now()) {
+    for (const [key, entry] of series) {
+      const { interval, open } = entry;
+      const closed = [...open.values()]
+        .filter((state) => state.start + interval.ms + lateMs <= now)
+        .sort((a, b) => a.start - b.start);
+
+      for (const state of closed) {
+        open.delete(state.start);
+        emit(entry, state);
+      }
+
+      // Forget markets idle for longer than a gap that would still be filled
+      if (
+        open.size === 0 &&
+        entry.lastClosed &&
+        now - entry.lastClosed.start > (maxGapCandles + 1) * interval.ms
+      ) {
+        series.delete(key);
+      }
+    }
+  }
+
+  // Emit every candle whose interval has ended, without waiting for late
+  // trades, and stop the timer. Candles still in progress are dropped.
+  function close() {
+    tick(Date.now() + lateMs);
+    if (tickTimer) {
+      clearInterval(tickTimer);
+      tickTimer = null;
+    }
+  }
+
+  return {
+    add,
+    tick,
+    close,
+    get intervals() {
+      return intervals.map((interval) => interval.name);
+    },
+    get openCandles() {
+      let count = 0;
+      for (const entry of series.values()) count += entry.open.size;
+      return count;
+    },
+    get late() {
+      return late;
+    },
+    get skipped() {
+      return skipped;
+    },
+  };
+}
+
+// One line per candle, as printed by the examples
+function formatCandle(candle) {
+  return [
+    `🕯️ [${candle.interval}] ${candle.market} ${candle.start}`,
+    `O ${formatPrice(candle.open)}`,
+    `H ${formatPrice(candle.high)}`,
+    `L ${formatPrice(candle.low)}`,
+    `C ${formatPrice(candle.close)}`,
+    `V ${formatDecimal(candle.volume)}`,
+    `(${candle.trades} trades)`,
+  ].join("  ");
+}
+
+// Engine options for the `candles` section of config.yaml, or null when the
+// section is missing
+function candleOptions(section) {
+  if (!section) return null;
+  return {
+    intervals: section.intervals,
+    lateMs: section.late_ms,
+    fillGaps: section.fill_gaps,
+    maxGapCandles: section.max_gap_candles,
+  };
+}
+
+module.exports = {
+  candleOptions,
+  createCandleEngine,
+  formatCandle,
+  parseInterval,
+};
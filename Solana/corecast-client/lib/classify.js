@@ -0,0 +1,87 @@
+const { toBase58 } = require("./format");
+
+// Mints that are the quote currency whenever they appear in a trade, in
+// order of preference (a SOL/USDC trade is quoted in USDC)
+const QUOTE_MINTS = {
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: "USDC",
+  Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: "USDT",
+  So11111111111111111111111111111111111111112: "WSOL",
+  "11111111111111111111111111111111": "SOL",
+};
+
+const QUOTE_RANKS = Object.keys(QUOTE_MINTS);
+
+const UNCLASSIFIED = Object.freeze({
+  side: null,
+  baseMint: null,
+  quoteMint: null,
+  base: null,
+  quote: null,
+});
+
+// Base58 mint of a Currency, null when it has none
+function getMint(currency) {
+  const mint = currency?.MintAddress;
+  return mint && mint.length > 0 ? toBase58(mint) : null;
+}
+
+function quoteRank(mint) {
+  const rank = QUOTE_RANKS.indexOf(mint);
+  return rank === -1 ? Infinity : rank;
+}
+
+// Classify a DexTradeEvent as a BUY or SELL of its base token. The quote
+// currency is the side with a QUOTE_MINTS mint, else the market's
+// QuoteCurrency (or the side that isn't its BaseCurrency). Buying the base
+// with the quote is a "buy", selling the base for the quote a "sell".
+//
+// Returns { side, baseMint, quoteMint, base, quote } where base and quote
+// are the trade's Buy/Sell sides; side is null when neither side can be
+// told apart.
+function classifyTrade(trade) {
+  const buyMint = getMint(trade.Buy?.Currency);
+  const sellMint = getMint(trade.Sell?.Currency);
+  if (!buyMint || !sellMint || buyMint === sellMint) return UNCLASSIFIED;
+
+  let side = null;
+  const buyRank = quoteRank(buyMint);
+  const sellRank = quoteRank(sellMint);
+
+  if (buyRank !== sellRank) {
+    side = sellRank < buyRank ? "buy" : "sell";
+  } else {
+    const marketQuote = getMint(trade.Market?.QuoteCurrency);
+    const marketBase = getMint(trade.Market?.BaseCurrency);
+
+    if (sellMint === marketQuote || buyMint === marketBase) {
+      side = "buy";
+    } else if (buyMint === marketQuote || sellMint === marketBase) {
+      side = "sell";
+    }
+  }
+
+  if (side === "buy") {
+    return {
+      side,
+      baseMint: buyMint,
+      quoteMint: sellMint,
+      base: trade.Buy,
+      quote: trade.Sell,
+    };
+  }
+  if (side === "sell") {
+    return {
+      side,
+      baseMint: sellMint,
+      quoteMint: buyMint,
+      base: trade.Sell,
+      quote: trade.Buy,
+    };
+  }
+  return UNCLASSIFIED;
+}
+
+module.exports = {
+  QUOTE_MINTS,
+  classifyTrade,
+};
@@ -0,0 +1,48 @@
+const grpc = require("@grpc/grpc-js");
+
+const { loadPackageDefinition } = require("./protos");
+
+const DEFAULT_CHANNEL_OPTIONS = {
+  "grpc.keepalive_time_ms": 30000,
+  "grpc.keepalive_timeout_ms": 5000,
+  "grpc.keepalive_permit_without_calls": true,
+  "grpc.http2.max_pings_without_data": 0,
+  "grpc.http2.min_time_between_pings_ms": 10000,
+  "grpc.http2.min_ping_interval_without_data_ms": 300000,
+  "grpc.max_receive_message_length": 4 * 1024 * 1024,
+  "grpc.max_send_message_length": 4 * 1024 * 1024,
+  "grpc.enable_retries": 1,
+  "grpc.max_connection_idle_ms": 30000,
+  "grpc.max_connection_age_ms": 300000,
+  "grpc.max_connection_age_grace_ms": 5000,
+};
+
+// Create a CoreCast client and the authorization metadata for `server`
+// ({ address, authorization, insecure } from config.yaml). The loaded
+// packageDefinition is returned as well, for createRequest().
+//
+// options.protoDir       - load local protos instead of bitquery-corecast-proto
+// options.channelOptions - extra/overriding gRPC channel options
+function createClient(server, options = {}) {
+  const packageDefinition = loadPackageDefinition(options.protoDir);
+  const solanaCorecast =
+    grpc.loadPackageDefinition(packageDefinition).solana_corecast;
+
+  const client = new solanaCorecast.CoreCast(
+    server.address,
+    server.insecure
+      ? grpc.credentials.createInsecure()
+      : grpc.credentials.createSsl(),
+    { ...DEFAULT_CHANNEL_OPTIONS, ...options.channelOptions }
+  );
+
+  const metadata = new grpc.Metadata();
+  metadata.add("authorization", server.authorization);
+
+  return { client, metadata, packageDefinition };
+}
+
+module.exports = {
+  DEFAULT_CHANNEL_OPTIONS,
+  createClient,
+};
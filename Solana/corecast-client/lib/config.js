@@ -0,0 +1,875 @@
+const fs = require("fs");
+const util = require("util");
+const bs58 = require("bs58");
+const yaml = require("js-yaml");
+
+const { ALERT_QUOTES, ALERT_SINK_TYPES } = require("./alerts");
+const { toRawAmount } = require("./amounts");
+const { parseInterval } = require("./candles");
+const { TRADE_FILTERS } = require("./filters");
+const { KIND_FIELDS } = require("./kinds");
+const { OVERFLOW_POLICIES } = require("./pipeline");
+const { STREAM_METHODS } = require("./request");
+const { OUTPUT_FORMATS } = require("./streams");
+const { SLOW_CLIENT_POLICIES } = require("./websocket");
+
+const DEFAULT_CONFIG_FILE = "./config.yaml";
+const REDACTED = "[REDACTED]";
+const TOKEN_PLACEHOLDER = "ory_at_";
+
+// Environment variables that override config.yaml values
+const ENV_OVERRIDES = {
+  CORECAST_TOKEN: ["server", "authorization"],
+  CORECAST_ADDRESS: ["server", "address"],
+  CORECAST_INSECURE: ["server", "insecure"],
+  CORECAST_STREAM_TYPE: ["stream", "type"],
+};
+
+// Config file path from `--config <path>` / `--config=<path>`, then the
+// CORECAST_CONFIG environment variable, then ./config.yaml
+function getConfigPath(argv = process.argv.slice(2), env = process.env) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--config" && argv[i + 1]) return argv[i + 1];
+    if (argv[i].startsWith("--config=")) return argv[i].slice(9);
+  }
+  return env.CORECAST_CONFIG || DEFAULT_CONFIG_FILE;
+}
+
+// Find the 1-based line of `path` (e.g. ["streams", 1, "type"]) in block
+// style YAML source. Returns the line of the deepest segment found, or null.
+function findLine(lines, path) {
+  let start = 0;
+  let parentIndent = -1;
+  let sameLine = true; // First key of a list item sits on the item's line
+  let found = null;
+
+  for (const segment of path) {
+    let match = null;
+    let childIndent = null;
+    let items = -1;
+
+    for (let i = sameLine ? start : start + 1; i < lines.length; i++) {
+      const line = lines[i];
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) continue;
+
+      const indent = line.search(/\S/);
+      const isItem = trimmed.startsWith("- ") || trimmed === "-";
+
+      if (typeof segment === "number") {
+        if (indent < parentIndent || (!isItem && indent <= parentIndent)) {
+          break;
+        }
+        if (isItem && (childIndent === null || indent === childIndent)) {
+          childIndent = indent;
+          if (++items === segment) {
+            match = { line: i, indent };
+            break;
+          }
+        }
+      } else {
+        if (i !== start && indent <= parentIndent) break;
+
+        // Keys after "- " belong to the item's mapping
+        const keyIndent = isItem ? indent + 2 : indent;
+        const key = (isItem ? trimmed.slice(2) : trimmed).match(
+          /^["']?([^"':#]+)["']?\s*:/
+        );
+        if (childIndent === null) childIndent = keyIndent;
+        if (keyIndent === childIndent && key && key[1].trim() === segment) {
+          match = { line: i, indent: keyIndent };
+          break;
+        }
+      }
+    }
+
+    if (!match) break;
+    found = match.line + 1;
+    start = match.line;
+    parentIndent = match.indent;
+    sameLine = typeof segment === "number";
+  }
+
+  return found;
+}
+
+function formatPath(path) {
+  return path
+    .map((segment, index) =>
+      typeof segment === "number"
+        ? `[${segment}]`
+        : index === 0
+          ? segment
+          : `.${segment}`
+    )
+    .join("");
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isAddress(value) {
+  try {
+    return bs58.decode(value).length === 32;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Validate the `filters` mapping of the top level or a `streams` entry
+function checkFilters(filters, path, problem) {
+  if (filters === undefined || filters === null) return;
+  if (!isObject(filters)) {
+    problem(path, "must be a mapping of filter name to address list");
+    return;
+  }
+
+  for (const [key, addresses] of Object.entries(filters)) {
+    if (addresses === null || addresses === undefined) continue;
+    if (!Array.isArray(addresses)) {
+      problem([...path, key], "must be a list of addresses");
+      continue;
+    }
+    addresses.forEach((address, index) => {
+      if (typeof address !== "string" || !isAddress(address)) {
+        problem(
+          [...path, key, index],
+          `"${address}" is not a base58 Solana address`
+        );
+      }
+    });
+  }
+}
+
+function checkStreamType(type, path, problem) {
+  if (!STREAM_METHODS[type]) {
+    problem(
+      path,
+      `must be one of: ${Object.keys(STREAM_METHODS).join(", ")} (got "${type}")`
+    );
+  }
+}
+
+function checkTradeFilter(tradeFilter, path, problem) {
+  if (tradeFilter !== undefined && !TRADE_FILTERS.includes(tradeFilter)) {
+    problem(
+      path,
+      `must be one of: ${TRADE_FILTERS.join(", ")} (got "${tradeFilter}")`
+    );
+  }
+}
+
+// `output` mapping: { format: text|ndjson|none, file }
+function checkOutput(output, path, problem) {
+  if (output === undefined) return;
+  if (!isObject(output)) {
+    problem(path, "must be a mapping with format and/or file");
+    return;
+  }
+  if (output.format !== undefined && !OUTPUT_FORMATS.includes(output.format)) {
+    problem(
+      [...path, "format"],
+      `must be one of: ${OUTPUT_FORMATS.join(", ")} (got "${output.format}")`
+    );
+  }
+  if (output.file !== undefined && typeof output.file !== "string") {
+    problem([...path, "file"], "must be a file path");
+  }
+}
+
+function checkNumber(value, path, problem, { min = 0, max = Infinity } = {}) {
+  if (value === undefined) return;
+  if (typeof value !== "number" || value < min || value > max) {
+    problem(
+      path,
+      max === Infinity
+        ? `must be a number >= ${min}`
+        : `must be a number between ${min} and ${max}`
+    );
+  }
+}
+
+// A number compared as a raw token amount (see toRawAmount()), which
+// rules out NaN, infinities and values too large to write out in full
+function checkAmount(value, path, problem, range) {
+  if (value === undefined) return;
+  if (typeof value === "number" && toRawAmount(value) === null) {
+    problem(path, `"${value}" is not a plain decimal number, e.g. 1.5`);
+    return;
+  }
+  checkNumber(value, path, problem, range);
+}
+
+function checkInterval(value, path, problem) {
+  if (value === undefined) return;
+  try {
+    parseInterval(value);
+  } catch (error) {
+    problem(path, `"${value}" is not an interval like 30s, 1m or 1h`);
+  }
+}
+
+// The `webhook` section or a `webhook` entry of `alerts.sinks`
+function checkWebhook(webhook, path, problem) {
+  if (typeof webhook.url !== "string" || !/^https?:\/\//.test(webhook.url)) {
+    problem([...path, "url"], "is required, an http:// or https:// URL");
+  }
+  if (webhook.secret !== undefined && typeof webhook.secret !== "string") {
+    problem([...path, "secret"], "must be a string");
+  }
+  if (
+    webhook.headers !== undefined &&
+    (!isObject(webhook.headers) ||
+      Object.values(webhook.headers).some((value) => typeof value !== "string"))
+  ) {
+    problem([...path, "headers"], "must be a mapping of header name to text");
+  }
+  if (
+    webhook.queue_file !== undefined &&
+    (typeof webhook.queue_file !== "string" || !webhook.queue_file)
+  ) {
+    problem([...path, "queue_file"], "must be a file path");
+  }
+  for (const key of [
+    "batch_size",
+    "flush_interval_ms",
+    "timeout_ms",
+    "max_queue",
+  ]) {
+    checkNumber(webhook[key], [...path, key], problem, { min: 1 });
+  }
+
+  const retry = webhook.retry;
+  if (retry !== undefined) {
+    if (!isObject(retry)) {
+      problem([...path, "retry"], "must be a mapping");
+    } else {
+      checkNumber(
+        retry.initial_delay_ms,
+        [...path, "retry", "initial_delay_ms"],
+        problem
+      );
+      checkNumber(
+        retry.max_delay_ms,
+        [...path, "retry", "max_delay_ms"],
+        problem
+      );
+      checkNumber(retry.jitter, [...path, "retry", "jitter"], problem, {
+        max: 1,
+      });
+    }
+  }
+}
+
+// port and host of a section that starts a local server, and the `keys`
+// naming its other text values
+function checkListener(section, path, problem, examplePort, keys = []) {
+  if (section.port === undefined) {
+    problem([...path, "port"], `is required, e.g. ${examplePort}`);
+  }
+  checkNumber(section.port, [...path, "port"], problem, { max: 65535 });
+  for (const key of ["host", ...keys]) {
+    if (
+      section[key] !== undefined &&
+      (typeof section[key] !== "string" || !section[key])
+    ) {
+      problem([...path, key], "must be a non-empty string");
+    }
+  }
+}
+
+// One entry of `alerts.rules`; `names` collects the names seen so far
+function checkAlertRule(rule, path, problem, names) {
+  if (!isObject(rule)) {
+    problem(path, "must be a mapping with a name and a kind");
+    return;
+  }
+
+  if (typeof rule.name !== "string" || !rule.name) {
+    problem([...path, "name"], "is required");
+  } else if (names.has(rule.name)) {
+    problem([...path, "name"], `duplicate rule name "${rule.name}"`);
+  } else {
+    names.add(rule.name);
+  }
+
+  const kinds = Object.keys(KIND_FIELDS);
+  if (!kinds.includes(rule.kind)) {
+    problem([...path, "kind"], `must be one of: ${kinds.join(", ")}`);
+  }
+  if (rule.kind !== "trade") {
+    for (const key of ["side", "quote", "min_quote_amount"]) {
+      if (rule[key] !== undefined) {
+        problem([...path, key], "only applies to trade rules");
+      }
+    }
+  }
+  if (rule.side !== undefined && !["buy", "sell"].includes(rule.side)) {
+    problem([...path, "side"], "must be buy or sell");
+  }
+  if (rule.quote !== undefined && !ALERT_QUOTES.includes(rule.quote)) {
+    problem([...path, "quote"], `must be one of: ${ALERT_QUOTES.join(", ")}`);
+  }
+  checkFilters({ tokens: rule.tokens, traders: rule.traders }, path, problem);
+
+  checkAmount(rule.min_quote_amount, [...path, "min_quote_amount"], problem);
+  checkAmount(rule.min_amount, [...path, "min_amount"], problem);
+  checkAmount(
+    rule.min_supply_percent,
+    [...path, "min_supply_percent"],
+    problem,
+    { min: 0, max: 100 }
+  );
+  if (rule.min_supply_percent !== undefined) {
+    if (typeof rule.supply !== "number" || rule.supply <= 0) {
+      problem([...path, "supply"], "is required, the token's total supply");
+    } else {
+      checkAmount(rule.supply, [...path, "supply"], problem);
+    }
+  }
+
+  checkNumber(rule.count, [...path, "count"], problem, { min: 1 });
+  if (rule.count > 1 && rule.window === undefined) {
+    problem([...path, "window"], "is required with a count, e.g. 30s");
+  }
+  checkInterval(rule.window, [...path, "window"], problem);
+  checkInterval(rule.cooldown, [...path, "cooldown"], problem);
+}
+
+// Check a parsed config and return the problems as [{ path, message }]
+function validateConfig(config) {
+  const problems = [];
+  const problem = (path, message) => problems.push({ path, message });
+
+  if (!isObject(config)) {
+    problem([], "config must be a YAML mapping");
+    return problems;
+  }
+
+  const server = config.server;
+  if (!isObject(server)) {
+    problem(["server"], "is required (address and authorization)");
+  } else {
+    if (typeof server.address !== "string" || !server.address) {
+      problem(["server", "address"], "is required, e.g. corecast.bitquery.io");
+    }
+    if (typeof server.authorization !== "string" || !server.authorization) {
+      problem(
+        ["server", "authorization"],
+        "is required; set it here or in the CORECAST_TOKEN environment variable"
+      );
+    } else if (server.authorization === TOKEN_PLACEHOLDER) {
+      problem(
+        ["server", "authorization"],
+        "is still the placeholder; get a token at https://account.bitquery.io/user/api_v2/access_tokens"
+      );
+    }
+    if (typeof server.insecure !== "boolean") {
+      problem(["server", "insecure"], "must be true or false");
+    }
+  }
+
+  if (config.streams !== undefined) {
+    // Also set by CORECAST_STREAM_TYPE, which can't pick one of the streams
+    if (config.stream !== undefined) {
+      problem(
+        ["streams"],
+        "replaces stream and CORECAST_STREAM_TYPE; set the type of each entry instead"
+      );
+    }
+    if (!Array.isArray(config.streams) || config.streams.length === 0) {
+      problem(["streams"], "must be a non-empty list");
+    } else {
+      config.streams.forEach((entry, index) => {
+        const path = ["streams", index];
+        if (!isObject(entry)) {
+          problem(path, "must be a mapping with at least a type");
+          return;
+        }
+        if (entry.type === undefined) {
+          problem([...path, "type"], "is required");
+        } else {
+          checkStreamType(entry.type, [...path, "type"], problem);
+        }
+        checkTradeFilter(
+          entry.trade_filter,
+          [...path, "trade_filter"],
+          problem
+        );
+        checkFilters(entry.filters, [...path, "filters"], problem);
+        if (typeof entry.output !== "string") {
+          checkOutput(entry.output, [...path, "output"], problem);
+        }
+      });
+    }
+  } else if (!isObject(config.stream)) {
+    problem(["stream"], "must be a mapping with a type");
+  } else {
+    checkStreamType(config.stream.type, ["stream", "type"], problem);
+  }
+
+  checkTradeFilter(config.trade_filter, ["trade_filter"], problem);
+  checkFilters(config.filters, ["filters"], problem);
+  checkOutput(config.output, ["output"], problem);
+
+  const reconnect = config.reconnect;
+  if (reconnect !== undefined) {
+    if (!isObject(reconnect)) {
+      problem(["reconnect"], "must be a mapping");
+    } else {
+      if (
+        reconnect.enabled !== undefined &&
+        typeof reconnect.enabled !== "boolean"
+      ) {
+        problem(["reconnect", "enabled"], "must be true or false");
+      }
+      checkNumber(
+        reconnect.initial_delay_ms,
+        ["reconnect", "initial_delay_ms"],
+        problem,
+        { min: 1 }
+      );
+      checkNumber(
+        reconnect.max_delay_ms,
+        ["reconnect", "max_delay_ms"],
+        problem,
+        { min: 1 }
+      );
+      checkNumber(
+        reconnect.max_attempts,
+        ["reconnect", "max_attempts"],
+        problem
+      );
+      checkNumber(reconnect.jitter, ["reconnect", "jitter"], problem, {
+        max: 1,
+      });
+    }
+  }
+
+  const candles = config.candles;
+  if (candles !== undefined && candles !== null) {
+    if (!isObject(candles)) {
+      problem(["candles"], "must be a mapping with intervals");
+    } else {
+      if (candles.intervals !== undefined) {
+        if (!Array.isArray(candles.intervals) || !candles.intervals.length) {
+          problem(["candles", "intervals"], "must be a list like [1m, 5m]");
+        } else {
+          candles.intervals.forEach((interval, index) => {
+            try {
+              parseInterval(interval);
+            } catch (error) {
+              problem(
+                ["candles", "intervals", index],
+                `"${interval}" is not an interval like 1s, 1m, 5m or 1h`
+              );
+            }
+          });
+        }
+      }
+      checkNumber(candles.late_ms, ["candles", "late_ms"], problem);
+      checkNumber(
+        candles.max_gap_candles,
+        ["candles", "max_gap_candles"],
+        problem
+      );
+      if (
+        candles.fill_gaps !== undefined &&
+        typeof candles.fill_gaps !== "boolean"
+      ) {
+        problem(["candles", "fill_gaps"], "must be true or false");
+      }
+    }
+  }
+
+  const bondingCurve = config.bonding_curve;
+  if (bondingCurve !== undefined && bondingCurve !== null) {
+    if (!isObject(bondingCurve)) {
+      problem(["bonding_curve"], "must be a mapping with thresholds");
+    } else if (bondingCurve.thresholds !== undefined) {
+      const { thresholds } = bondingCurve;
+      if (!Array.isArray(thresholds) || !thresholds.length) {
+        problem(
+          ["bonding_curve", "thresholds"],
+          "must be a list of percentages like [50, 80, 100]"
+        );
+      } else {
+        thresholds.forEach((threshold, index) => {
+          checkNumber(
+            threshold,
+            ["bonding_curve", "thresholds", index],
+            problem,
+            { min: 0, max: 100 }
+          );
+        });
+      }
+    }
+  }
+
+  const launches = config.launches;
+  if (launches !== undefined && launches !== null) {
+    if (!isObject(launches)) {
+      problem(["launches"], "must be a mapping");
+    } else {
+      if (
+        launches.subscribe_trades !== undefined &&
+        typeof launches.subscribe_trades !== "boolean"
+      ) {
+        problem(["launches", "subscribe_trades"], "must be true or false");
+      }
+      checkNumber(
+        launches.max_subscriptions,
+        ["launches", "max_subscriptions"],
+        problem,
+        { min: 1 }
+      );
+    }
+  }
+
+  const callTree = config.call_tree;
+  if (callTree !== undefined && callTree !== null) {
+    if (!isObject(callTree)) {
+      problem(["call_tree"], "must be a mapping");
+    } else {
+      if (
+        callTree.enabled !== undefined &&
+        typeof callTree.enabled !== "boolean"
+      ) {
+        problem(["call_tree", "enabled"], "must be true or false");
+      }
+      for (const key of ["trace_token", "trace_account"]) {
+        if (callTree[key] !== undefined && !isAddress(callTree[key])) {
+          problem(["call_tree", key], "must be a base58 address");
+        }
+      }
+      if (callTree.trace_account !== undefined && !callTree.trace_token) {
+        problem(["call_tree", "trace_account"], "needs trace_token");
+      }
+    }
+  }
+
+  const portfolio = config.portfolio;
+  if (portfolio !== undefined && portfolio !== null) {
+    if (!isObject(portfolio)) {
+      problem(["portfolio"], "must be a mapping");
+    } else {
+      if (portfolio.traders !== undefined) {
+        if (!Array.isArray(portfolio.traders) || !portfolio.traders.length) {
+          problem(["portfolio", "traders"], "must be a list of addresses");
+        } else {
+          portfolio.traders.forEach((trader, index) => {
+            if (typeof trader !== "string" || !isAddress(trader)) {
+              problem(
+                ["portfolio", "traders", index],
+                "must be a base58 address"
+              );
+            }
+          });
+        }
+      } else if (
+        !config.filters?.traders &&
+        !(
+          Array.isArray(config.streams) &&
+          config.streams.some((entry) => entry?.filters?.traders)
+        )
+      ) {
+        problem(
+          ["portfolio", "traders"],
+          "is required without filters.traders"
+        );
+      }
+      checkInterval(
+        portfolio.summary_interval,
+        ["portfolio", "summary_interval"],
+        problem
+      );
+    }
+  }
+
+  const alerts = config.alerts;
+  if (alerts !== undefined && alerts !== null) {
+    if (!isObject(alerts)) {
+      problem(["alerts"], "must be a mapping with rules");
+    } else {
+      if (!Array.isArray(alerts.rules) || !alerts.rules.length) {
+        problem(["alerts", "rules"], "must be a non-empty list of rules");
+      } else {
+        const names = new Set();
+        alerts.rules.forEach((rule, index) => {
+          checkAlertRule(rule, ["alerts", "rules", index], problem, names);
+        });
+      }
+      if (alerts.sinks !== undefined) {
+        if (!Array.isArray(alerts.sinks)) {
+          problem(["alerts", "sinks"], "must be a list of sinks");
+        } else {
+          alerts.sinks.forEach((sink, index) => {
+            const path = ["alerts", "sinks", index];
+            if (!isObject(sink) || !ALERT_SINK_TYPES.includes(sink.type)) {
+              problem(
+                [...path, "type"],
+                `must be one of: ${ALERT_SINK_TYPES.join(", ")}`
+              );
+            } else if (sink.type === "webhook") {
+              checkWebhook(sink, path, problem);
+            } else if (typeof sink.file !== "string" || !sink.file) {
+              problem([...path, "file"], "is required, e.g. alerts.ndjson");
+            }
+          });
+        }
+      }
+    }
+  }
+
+  const webhook = config.webhook;
+  if (webhook !== undefined && webhook !== null) {
+    if (!isObject(webhook)) {
+      problem(["webhook"], "must be a mapping with a url");
+    } else {
+      checkWebhook(webhook, ["webhook"], problem);
+    }
+  }
+
+  const websocket = config.websocket;
+  if (websocket !== undefined && websocket !== null) {
+    if (!isObject(websocket)) {
+      problem(["websocket"], "must be a mapping with a port");
+    } else {
+      checkListener(websocket, ["websocket"], problem, 8090, ["path"]);
+      if (
+        websocket.slow_clients !== undefined &&
+        !SLOW_CLIENT_POLICIES.includes(websocket.slow_clients)
+      ) {
+        problem(
+          ["websocket", "slow_clients"],
+          `must be one of: ${SLOW_CLIENT_POLICIES.join(", ")} (got "${
+            websocket.slow_clients
+          }")`
+        );
+      }
+      for (const key of ["max_clients", "max_buffered_bytes"]) {
+        checkNumber(websocket[key], ["websocket", key], problem, { min: 1 });
+      }
+      checkNumber(
+        websocket.heartbeat_ms,
+        ["websocket", "heartbeat_ms"],
+        problem
+      );
+    }
+  }
+
+  const metrics = config.metrics;
+  if (metrics !== undefined && metrics !== null) {
+    if (!isObject(metrics)) {
+      problem(["metrics"], "must be a mapping with a port");
+    } else {
+      checkListener(metrics, ["metrics"], problem, 9464, ["path"]);
+    }
+  }
+
+  const health = config.health;
+  if (health !== undefined && health !== null) {
+    if (!isObject(health)) {
+      problem(["health"], "must be a mapping with a port");
+    } else {
+      checkListener(health, ["health"], problem, 8081);
+      checkInterval(health.stale_after, ["health", "stale_after"], problem);
+    }
+  }
+
+  const dedupe = config.dedupe;
+  if (dedupe !== undefined && dedupe !== null) {
+    if (!isObject(dedupe)) {
+      problem(["dedupe"], "must be a mapping, e.g. { window: 100000 }");
+    } else {
+      if (
+        dedupe.file !== undefined &&
+        (typeof dedupe.file !== "string" || !dedupe.file)
+      ) {
+        problem(["dedupe", "file"], "must be a file path");
+      }
+      for (const key of ["window", "flush_interval_ms"]) {
+        checkNumber(dedupe[key], ["dedupe", key], problem, { min: 1 });
+      }
+    }
+  }
+
+  const pipeline = config.pipeline;
+  if (pipeline !== undefined && pipeline !== null) {
+    if (!isObject(pipeline)) {
+      problem(["pipeline"], "must be a mapping, e.g. { overflow: block }");
+    } else {
+      if (
+        pipeline.overflow !== undefined &&
+        !OVERFLOW_POLICIES.includes(pipeline.overflow)
+      ) {
+        problem(
+          ["pipeline", "overflow"],
+          `must be one of: ${OVERFLOW_POLICIES.join(", ")} (got "${
+            pipeline.overflow
+          }")`
+        );
+      }
+      for (const key of ["queue_size", "sample_every", "batch_size"]) {
+        checkNumber(pipeline[key], ["pipeline", key], problem, { min: 1 });
+      }
+    }
+  }
+
+  const slots = config.slots;
+  if (slots !== undefined && slots !== null) {
+    if (!isObject(slots)) {
+      problem(["slots"], "must be a mapping, e.g. { lag_warn_slots: 150 }");
+    } else {
+      for (const key of ["slot_time_ms", "lag_warn_slots", "max_gap_slots"]) {
+        checkNumber(slots[key], ["slots", key], problem, { min: 1 });
+      }
+      checkNumber(
+        slots.max_reorder_slots,
+        ["slots", "max_reorder_slots"],
+        problem
+      );
+      checkInterval(slots.window, ["slots", "window"], problem);
+    }
+  }
+
+  const sqlite = config.sqlite;
+  if (sqlite !== undefined && sqlite !== null) {
+    if (!isObject(sqlite)) {
+      problem(["sqlite"], "must be a mapping with a file");
+    } else {
+      if (typeof sqlite.file !== "string" || !sqlite.file) {
+        problem(["sqlite", "file"], "is required, e.g. corecast.db");
+      }
+      checkNumber(sqlite.batch_size, ["sqlite", "batch_size"], problem, {
+        min: 1,
+      });
+      checkNumber(
+        sqlite.flush_interval_ms,
+        ["sqlite", "flush_interval_ms"],
+        problem,
+        { min: 1 }
+      );
+    }
+  }
+
+  return problems;
+}
+
+// Fill in optional values so the scripts can read them without checks
+function applyDefaults(config) {
+  config.server = { insecure: false, ...config.server };
+  if (!config.streams) {
+    config.stream = { type: "dex_trades", ...config.stream };
+  }
+  config.trade_filter = config.trade_filter || "alltrades";
+  config.filters = config.filters || {};
+  config.reconnect = config.reconnect || {};
+  return config;
+}
+
+// Apply ENV_OVERRIDES. Returns { "server.authorization": "CORECAST_TOKEN", ... }
+// for the values that came from the environment.
+function applyEnvOverrides(config, env) {
+  const sources = {};
+
+  for (const [name, [section, key]] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] === undefined || env[name] === "") continue;
+
+    let value = env[name];
+    if (key === "insecure") value = value === "true" || value === "1";
+
+    config[section] = { ...config[section], [key]: value };
+    sources[`${section}.${key}`] = name;
+  }
+
+  return sources;
+}
+
+// Load, override and validate a config file. Problems are reported together
+// in one Error, each with the file and line it refers to:
+//
+//   config.yaml:12: streams[1].type must be one of: dex_trades, ...
+//
+// options.env - environment for ENV_OVERRIDES (default process.env)
+function loadConfig(file = DEFAULT_CONFIG_FILE, options = {}) {
+  const env = options.env || process.env;
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file}: config file not found (use --config <path>)`);
+  }
+  const source = fs.readFileSync(file, "utf8");
+
+  let config;
+  try {
+    config = yaml.load(source) || {};
+  } catch (error) {
+    const line = error.mark ? `:${error.mark.line + 1}` : "";
+    throw new Error(`${file}${line}: ${error.reason || error.message}`);
+  }
+
+  const sources = isObject(config) ? applyEnvOverrides(config, env) : {};
+  if (isObject(config)) applyDefaults(config);
+
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    const lines = source.split("\n");
+    const messages = problems.map(({ path, message }) => {
+      const name = formatPath(path);
+      const fromEnv = sources[name];
+      if (fromEnv) return `${fromEnv}: ${name} ${message}`;
+
+      const line = findLine(lines, path);
+      return `${file}${line ? `:${line}` : ""}: ${name} ${message}`.trim();
+    });
+    throw new Error(`Invalid configuration:\n  ${messages.join("\n  ")}`);
+  }
+
+  return config;
+}
+
+// Create a function that renders any value (string, error, request, config)
+// as text with the given secrets masked, for printing and logging
+function createRedactor(secrets) {
+  const values = secrets.filter((secret) => secret && secret.length >= 4);
+
+  return function redact(value) {
+    let text = typeof value === "string" ? value : util.inspect(value);
+    for (const secret of values) {
+      text = text.split(secret).join(REDACTED);
+    }
+    return text;
+  };
+}
+
+// Copy of `config` with server.authorization and the webhook secrets
+// masked
+function redactConfig(config) {
+  const redacted = { ...config };
+  if (config.server?.authorization) {
+    redacted.server = { ...config.server, authorization: REDACTED };
+  }
+  if (config.webhook?.secret) {
+    redacted.webhook = { ...config.webhook, secret: REDACTED };
+  }
+  if (Array.isArray(config.alerts?.sinks)) {
+    redacted.alerts = {
+      ...config.alerts,
+      sinks: config.alerts.sinks.map((sink) =>
+        sink?.secret ? { ...sink, secret: REDACTED } : sink
+      ),
+    };
+  }
+  return redacted;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  ENV_OVERRIDES,
+  createRedactor,
+  findLine,
+  getConfigPath,
+  loadConfig,
+  redactConfig,
+  validateConfig,
+};
@@ -0,0 +1,152 @@
+const fs = require("fs");
+
+const { toBase58 } = require("./format");
+const { KIND_FIELDS, getMessageKind } = require("./kinds");
+
+const DEFAULT_WINDOW = 100000;
+const DEFAULT_FLUSH_INTERVAL_MS = 1000;
+
+// Key of the event a message carries: its kind, transaction signature and
+// position in the transaction. Balance updates have no instruction index
+// and are told apart by account index and mint. Null for messages without
+// a signature, which can't be recognized again.
+function eventKey(message) {
+  const kind = getMessageKind(message);
+  const signature = message.Transaction?.Signature;
+  if (!kind || !signature?.length) return null;
+
+  const event = message[KIND_FIELDS[kind]];
+  let position = "";
+  if (kind === "balanceUpdate") {
+    const mint = event.Currency?.MintAddress;
+    position = `${event.BalanceUpdate?.AccountIndex ?? ""}:${
+      mint?.length ? toBase58(mint) : ""
+    }`;
+  } else if (kind !== "transaction") {
+    position = String(event.InstructionIndex ?? "");
+  }
+  return `${kind}:${toBase58(signature)}:${position}`;
+}
+
+// Drop events that were already delivered, e.g. replayed by the server
+// after a reconnect or received again after a restart.
+//
+// The last `window` keys (see eventKey()) are kept in memory, oldest
+// evicted first. With `file` they are also appended to an index file,
+// read back on start, so duplicates are recognized across restarts. Keys
+// are written every `flushIntervalMs` and on close(); the file is
+// compacted to the window once it holds twice as many lines.
+//
+// options.window          - keys remembered (default 100000)
+// options.file            - index file of seen keys, one per line
+// options.flushIntervalMs - longest time a key waits to be written (default 1000)
+function createDeduplicator(options = {}) {
+  const window = options.window || DEFAULT_WINDOW;
+  const flushIntervalMs = options.flushIntervalMs || DEFAULT_FLUSH_INTERVAL_MS;
+  const { file } = options;
+
+  // Insertion ordered, so the first key is the oldest
+  const seen = new Set();
+  let unwritten = [];
+  let fileLines = 0;
+  let flushTimer = null;
+  let duplicates = 0;
+  let restored = 0;
+
+  function remember(key) {
+    seen.add(key);
+    if (seen.size > window) seen.delete(seen.values().next().value);
+  }
+
+  if (file && fs.existsSync(file)) {
+    const lines = fs
+      .readFileSync(file, "utf8")
+      .split("\n")
+      .filter((line) => line);
+    fileLines = lines.length;
+    for (const line of lines.slice(-window)) remember(line);
+    restored = seen.size;
+  }
+
+  // Rewrite the index with the keys still in the window
+  function compact() {
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, [...seen].map((key) => `${key}\n`).join(""));
+    fs.renameSync(temp, file);
+    fileLines = seen.size;
+  }
+
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (!file || !unwritten.length) return;
+
+    if (fileLines + unwritten.length > window * 2) {
+      compact();
+    } else {
+      fs.appendFileSync(file, unwritten.map((key) => `${key}\n`).join(""));
+      fileLines += unwritten.length;
+    }
+    unwritten = [];
+  }
+
+  // True when the message's event was seen before (in `scope`, e.g. the
+  // stream name), otherwise remember it and return false
+  function isDuplicate(message, scope = "") {
+    const key = eventKey(message);
+    if (key === null) return false;
+
+    const scoped = scope ? `${scope}|${key}` : key;
+    if (seen.has(scoped)) {
+      duplicates++;
+      return true;
+    }
+
+    remember(scoped);
+    if (file) {
+      unwritten.push(scoped);
+      if (!flushTimer) flushTimer = setTimeout(flush, flushIntervalMs);
+    }
+    return false;
+  }
+
+  return {
+    isDuplicate,
+    flush,
+    close: flush,
+    get size() {
+      return seen.size;
+    },
+    get window() {
+      return window;
+    },
+    get duplicates() {
+      return duplicates;
+    },
+    get restored() {
+      return restored;
+    },
+    get file() {
+      return file;
+    },
+  };
+}
+
+// Deduplicator options for the `dedupe` section of config.yaml, or null
+// when the section is missing
+function dedupeOptions(section) {
+  if (!section) return null;
+  return {
+    window: section.window,
+    file: section.file,
+    flushIntervalMs: section.flush_interval_ms,
+  };
+}
+
+module.exports = {
+  createDeduplicator,
+  dedupeOptions,
+  eventKey,
+};
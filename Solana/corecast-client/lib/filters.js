@@ -0,0 +1,101 @@
+const { classifyTrade } = require("./classify");
+const { toBase58 } = require("./format");
+
+const TRADE_FILTERS = ["alltrades", "buys", "sells"];
+
+// Create the client-side trade filter for `trade_filter` and the configured
+// token mints. Returns a predicate over DexTradeEvent messages.
+//
+// With tokens, "buys" / "sells" keep trades with a token on the Buy / Sell
+// side. Without tokens they keep trades classifyTrade() calls a buy / sell
+// of their base token.
+function createTradeFilter(tradeFilter = "alltrades", tokens = []) {
+  if (!TRADE_FILTERS.includes(tradeFilter)) {
+    throw new Error(
+      `Invalid trade_filter: "${tradeFilter}". Must be one of: ${TRADE_FILTERS.join(
+        ", "
+      )}`
+    );
+  }
+
+  return function shouldShowTrade(trade) {
+    // Without a token filter, use the trade's own direction
+    if (!tokens || tokens.length === 0) {
+      if (tradeFilter === "alltrades") return true;
+      const side = tradeFilter === "buys" ? "buy" : "sell";
+      return classifyTrade(trade).side === side;
+    }
+
+    const buyMint = toBase58(trade.Buy?.Currency?.MintAddress);
+    const sellMint = toBase58(trade.Sell?.Currency?.MintAddress);
+
+    // Check if any filtered token is involved in the trade
+    const tokenOnBuySide = tokens.some((token) => token === buyMint);
+    const tokenOnSellSide = tokens.some((token) => token === sellMint);
+
+    // Apply filter logic
+    if (tradeFilter === "buys") {
+      // Show only trades where the filtered token is being BOUGHT (on buy side)
+      return tokenOnBuySide;
+    } else if (tradeFilter === "sells") {
+      // Show only trades where the filtered token is being SOLD (on sell side)
+      return tokenOnSellSide;
+    } else {
+      // alltrades: show if token is on either side
+      return tokenOnBuySide || tokenOnSellSide;
+    }
+  };
+}
+
+// Human-readable summary of the active filters, as printed on startup
+function describeFilters(filters = {}, tradeFilter) {
+  const lines = ["\n=== Active Filters ==="];
+
+  if (tradeFilter) {
+    lines.push(`Trade Filter: ${tradeFilter.toUpperCase()}`);
+
+    const hasTokens = filters.tokens && filters.tokens.length > 0;
+    if (tradeFilter === "buys") {
+      lines.push(
+        hasTokens
+          ? "  → Showing only trades where filtered tokens are BOUGHT"
+          : "  → Showing only BUYS of each trade's base token"
+      );
+    } else if (tradeFilter === "sells") {
+      lines.push(
+        hasTokens
+          ? "  → Showing only trades where filtered tokens are SOLD"
+          : "  → Showing only SELLS of each trade's base token"
+      );
+    } else {
+      lines.push("  → Showing all trades involving filtered tokens");
+    }
+  }
+
+  const sections = [
+    ["Programs", filters.programs],
+    ["Tokens", filters.tokens],
+    ["Traders", filters.traders],
+    ["Pools", filters.pool],
+    ["Signers", filters.signers],
+    ["Senders", filters.senders],
+    ["Receivers", filters.receivers],
+    ["Addresses", filters.addresses],
+  ];
+
+  for (const [title, addresses] of sections) {
+    if (addresses && addresses.length > 0) {
+      lines.push(`\n${title}:`);
+      addresses.forEach((address) => lines.push(`  - ${address}`));
+    }
+  }
+
+  lines.push("======================\n");
+  return lines.join("\n");
+}
+
+module.exports = {
+  TRADE_FILTERS,
+  createTradeFilter,
+  describeFilters,
+};
@@ -0,0 +1,56 @@
+const bs58 = require("bs58");
+
+// Performance optimization: Cache for base58 conversions
+const base58Cache = new Map();
+const MAX_CACHE_SIZE = 10000;
+
+// Optimized helper function to convert bytes to base58 with caching
+function toBase58(bytes) {
+  if (!bytes || bytes.length === 0) return "undefined";
+
+  const cacheKey = Buffer.from(bytes).toString("hex");
+
+  if (base58Cache.has(cacheKey)) {
+    return base58Cache.get(cacheKey);
+  }
+
+  try {
+    const result = bs58.encode(bytes);
+
+    if (base58Cache.size >= MAX_CACHE_SIZE) {
+      const firstKey = base58Cache.keys().next().value;
+      base58Cache.delete(firstKey);
+    }
+    base58Cache.set(cacheKey, result);
+
+    return result;
+  } catch (error) {
+    return "invalid_address";
+  }
+}
+
+function getBase58CacheSize() {
+  return base58Cache.size;
+}
+
+// Helper function to format large numbers
+function formatNumber(num) {
+  if (num === null || num === undefined) return "N/A";
+
+  // Use scientific notation for very large or very small numbers
+  if (Math.abs(num) >= 1e9 || (Math.abs(num) < 1e-6 && Math.abs(num) > 0)) {
+    return num.toExponential(6);
+  }
+
+  // Otherwise use fixed decimal places
+  return num.toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 8,
+  });
+}
+
+module.exports = {
+  formatNumber,
+  getBase58CacheSize,
+  toBase58,
+};
@@ -0,0 +1,302 @@
+const {
+  calculateTradePrice,
+  divideAmounts,
+  formatAmount,
+  formatPrice,
+} = require("./amounts");
+const { classifyTrade } = require("./classify");
+const { formatCallTree } = require("./calltree");
+const { toBase58 } = require("./format");
+const { formatInstruction } = require("./idl");
+const { KIND_COUNTERS, getMessageKind } = require("./kinds");
+const { formatNdjson, normalizeMessage } = require("./normalize");
+
+function formatTrade(message, receivedTimestamp, tradeLabel) {
+  const trade = message.Trade;
+  const { side, base, quote } = classifyTrade(trade);
+  // e.g. "BUY PUMPTOKEN/SOL": the base token bought with the quote
+  const direction = side
+    ? `${side.toUpperCase()} ${base.Currency?.Symbol || "base"}/${
+        quote.Currency?.Symbol || "quote"
+      }`
+    : "N/A";
+
+  // Extract detailed account information
+  const buyAccount = trade.Buy?.Account;
+  const sellAccount = trade.Sell?.Account;
+  const buyCurrency = trade.Buy?.Currency;
+  const sellCurrency = trade.Sell?.Currency;
+  // Fee and Royalty are in the quote currency's base units
+  const quoteCurrency = quote ? quote.Currency : trade.Market?.QuoteCurrency;
+
+  // Quote per base whichever way the trade went, e.g. "1 PUMPTOKEN = 0.005
+  // SOL"; the sell currency per buy currency when the sides can't be told
+  // apart
+  let price;
+  if (side) {
+    price = `1 ${base.Currency?.Symbol || "base"} = ${formatPrice(
+      divideAmounts(
+        quote.Amount,
+        quote.Currency?.Decimals,
+        base.Amount,
+        base.Currency?.Decimals
+      )
+    )} ${quote.Currency?.Symbol || "quote"}`;
+  } else {
+    const { pricePerBuyToken } = calculateTradePrice(
+      trade.Buy?.Amount,
+      trade.Sell?.Amount,
+      {
+        buyDecimals: buyCurrency?.Decimals,
+        sellDecimals: sellCurrency?.Decimals,
+      }
+    );
+    price = `1 ${buyCurrency?.Symbol || "buy token"} = ${formatPrice(
+      pricePerBuyToken
+    )} ${sellCurrency?.Symbol || "sell token"}`;
+  }
+
+  return [
+    "\n" + "=".repeat(80),
+    tradeLabel || getTradeLabel(side),
+    "=".repeat(80),
+    `Block Slot: ${message.Block?.Slot}`,
+    `Timestamp: ${new Date(receivedTimestamp).toISOString()}`,
+    `Instruction Index: ${trade.InstructionIndex}`,
+    "",
+    "📍 DEX Info:",
+    `  Program: ${toBase58(trade.Dex?.ProgramAddress)}`,
+    `  Protocol: ${trade.Dex?.ProtocolName} (${trade.Dex?.ProtocolFamily})`,
+    "",
+    "🏪 Market Info:",
+    `  Address: ${toBase58(trade.Market?.MarketAddress)}`,
+    `  Base Currency: ${trade.Market?.BaseCurrency?.Symbol || "N/A"}`,
+    `  Quote Currency: ${trade.Market?.QuoteCurrency?.Symbol || "N/A"}`,
+    `  Direction: ${direction}`,
+    "",
+    "💰 Buy Side:",
+    `  Amount: ${formatAmount(trade.Buy?.Amount, buyCurrency)} (raw ${
+      trade.Buy?.Amount
+    })`,
+    `  Currency: ${buyCurrency?.Symbol || "N/A"} (${
+      buyCurrency?.Name || "Unknown"
+    })`,
+    `  Mint: ${toBase58(buyCurrency?.MintAddress)}`,
+    `  Decimals: ${buyCurrency?.Decimals}`,
+    `  Account: ${toBase58(buyAccount?.Address)}`,
+    `  Is Signer: ${buyAccount?.IsSigner}`,
+    `  Is Writable: ${buyAccount?.IsWritable}`,
+    `  Order ID: ${toBase58(trade.Buy?.Order?.OrderId)}`,
+    "",
+    "💸 Sell Side:",
+    `  Amount: ${formatAmount(trade.Sell?.Amount, sellCurrency)} (raw ${
+      trade.Sell?.Amount
+    })`,
+    `  Currency: ${sellCurrency?.Symbol || "N/A"} (${
+      sellCurrency?.Name || "Unknown"
+    })`,
+    `  Mint: ${toBase58(sellCurrency?.MintAddress)}`,
+    `  Decimals: ${sellCurrency?.Decimals}`,
+    `  Account: ${toBase58(sellAccount?.Address)}`,
+    `  Is Signer: ${sellAccount?.IsSigner}`,
+    `  Is Writable: ${sellAccount?.IsWritable}`,
+    `  Order ID: ${toBase58(trade.Sell?.Order?.OrderId)}`,
+    "",
+    `💱 Price: ${price}`,
+    `💵 Fee: ${formatAmount(trade.Fee, quoteCurrency)}`,
+    `👑 Royalty: ${formatAmount(trade.Royalty, quoteCurrency)}`,
+    "=".repeat(80),
+  ].join("\n");
+}
+
+function formatOrder(message, receivedTimestamp) {
+  const order = message.Order.Order;
+  const market = message.Order.Market;
+
+  return [
+    "\n=== Order Event ===",
+    `Block Slot: ${message.Block?.Slot}`,
+    `Timestamp: ${new Date(receivedTimestamp).toISOString()}`,
+    `Type: ${message.Order.Type}`,
+    `Order ID: ${toBase58(order?.OrderId)}`,
+    `Buy Side: ${order?.BuySide}`,
+    // The limit price is in quote base units, the amount in base units
+    `Limit Price: ${formatAmount(order?.LimitPrice, market?.QuoteCurrency)}`,
+    `Limit Amount: ${formatAmount(order?.LimitAmount, market?.BaseCurrency)}`,
+    `Account: ${toBase58(order?.Account)}`,
+    `Owner: ${toBase58(order?.Owner)}`,
+    `Payer: ${toBase58(order?.Payer)}`,
+    `Mint: ${toBase58(order?.Mint)}`,
+  ].join("\n");
+}
+
+function formatPoolEvent(message, receivedTimestamp) {
+  const baseCurrency = message.PoolEvent.Market?.BaseCurrency;
+  const quoteCurrency = message.PoolEvent.Market?.QuoteCurrency;
+
+  return [
+    "\n=== Pool Event ===",
+    `Block Slot: ${message.Block?.Slot}`,
+    `Timestamp: ${new Date(receivedTimestamp).toISOString()}`,
+    `Market: ${toBase58(message.PoolEvent.Market?.MarketAddress)}`,
+    `Base Currency Change: ${formatAmount(
+      message.PoolEvent.BaseCurrency?.ChangeAmount,
+      baseCurrency
+    )}`,
+    `Base Currency Post Amount: ${formatAmount(
+      message.PoolEvent.BaseCurrency?.PostAmount,
+      baseCurrency
+    )}`,
+    `Quote Currency Change: ${formatAmount(
+      message.PoolEvent.QuoteCurrency?.ChangeAmount,
+      quoteCurrency
+    )}`,
+    `Quote Currency Post Amount: ${formatAmount(
+      message.PoolEvent.QuoteCurrency?.PostAmount,
+      quoteCurrency
+    )}`,
+  ].join("\n");
+}
+
+function formatTransfer(message, receivedTimestamp) {
+  return [
+    "\n=== Transfer Event ===",
+    `Block Slot: ${message.Block?.Slot}`,
+    `Timestamp: ${new Date(receivedTimestamp).toISOString()}`,
+    `Amount: ${formatAmount(
+      message.Transfer.Amount,
+      message.Transfer.Currency
+    )}`,
+    `Sender: ${toBase58(message.Transfer.Sender?.Address)}`,
+    `Receiver: ${toBase58(message.Transfer.Receiver?.Address)}`,
+    `Authority: ${toBase58(message.Transfer.Authority?.Address)}`,
+    `Currency: ${message.Transfer.Currency?.Symbol || "N/A"}`,
+  ].join("\n");
+}
+
+function formatBalanceUpdate(message, receivedTimestamp) {
+  return [
+    "\n=== Balance Update ===",
+    `Block Slot: ${message.Block?.Slot}`,
+    `Timestamp: ${new Date(receivedTimestamp).toISOString()}`,
+    `Pre Balance: ${formatAmount(
+      message.BalanceUpdate.BalanceUpdate?.PreBalance,
+      message.BalanceUpdate.Currency
+    )}`,
+    `Post Balance: ${formatAmount(
+      message.BalanceUpdate.BalanceUpdate?.PostBalance,
+      message.BalanceUpdate.Currency
+    )}`,
+    `Account Index: ${message.BalanceUpdate.BalanceUpdate?.AccountIndex}`,
+    `Currency: ${message.BalanceUpdate.Currency?.Symbol || "N/A"}`,
+  ].join("\n");
+}
+
+// Transaction header and its instructions, each decoded in full, or as a
+// tree of CPI calls with logs and balance changes when `options.callTree`
+function formatTransaction(message, receivedTimestamp, options = {}) {
+  const logLines = [
+    "\n=== Parsed Transaction ===",
+    `Block Slot: ${message.Block?.Slot}`,
+    `Timestamp: ${new Date(receivedTimestamp).toISOString()}`,
+    `Index: ${message.Transaction.Index}`,
+    `Signature: ${toBase58(message.Transaction.Signature)}`,
+    `Success: ${message.Transaction.Status?.Success}`,
+    `Error: ${message.Transaction.Status?.ErrorMessage || "None"}`,
+  ];
+
+  const instructions = message.Transaction.ParsedIdlInstructions || [];
+  logLines.push(`ParsedIdlInstructions count: ${instructions.length}`);
+
+  if (options.callTree) {
+    logLines.push(...formatCallTree(message));
+  } else {
+    for (const instruction of instructions) {
+      logLines.push(...formatInstruction(instruction));
+    }
+  }
+  return logLines.join("\n");
+}
+
+// Label printed above a trade, from its classifyTrade() side
+function getTradeLabel(side) {
+  if (side === "buy") return "🟢 BUY Trade";
+  if (side === "sell") return "🔴 SELL Trade";
+  return "Trade Event";
+}
+
+// Create the `stream.on("data")` handler used by the filtered streamers.
+//
+// options.log             - line sink, usually logger.log
+// options.stats           - stats from createStats()
+// options.shouldShowTrade - predicate from createTradeFilter()
+// options.measureSize     - count JSON size into stats.bytes (default true)
+// options.format          - "text" (default), "ndjson" (one JSON per event)
+//                           or "none" (counted, not logged)
+// options.callTree        - print transactions as CPI call trees
+// options.onEvent         - called with normalizeMessage() of every event
+//                           that is logged, e.g. a webhook sink's send
+function createMessageHandler(options) {
+  const { log, stats, shouldShowTrade, onEvent } = options;
+  const measureSize = options.measureSize !== false;
+  const ndjson = options.format === "ndjson";
+
+  return function handleMessage(message) {
+    const receivedTimestamp = Date.now();
+    stats.increment("messages");
+
+    if (measureSize) {
+      const messageSize = Buffer.byteLength(JSON.stringify(message), "utf8");
+      stats.increment("bytes", messageSize);
+    }
+
+    const kind = getMessageKind(message);
+
+    if (kind === "trade") {
+      // Apply client-side trade filtering
+      if (shouldShowTrade && !shouldShowTrade(message.Trade)) {
+        stats.increment("filteredOut");
+        return; // Skip this trade
+      }
+    }
+
+    if (options.format === "none") {
+      // Counted below without formatting
+    } else if (ndjson) {
+      if (kind) log(formatNdjson(message, receivedTimestamp));
+    } else if (kind === "trade") {
+      log(formatTrade(message, receivedTimestamp));
+    } else if (kind === "order") {
+      log(formatOrder(message, receivedTimestamp));
+    } else if (kind === "poolEvent") {
+      log(formatPoolEvent(message, receivedTimestamp));
+    } else if (kind === "transfer") {
+      log(formatTransfer(message, receivedTimestamp));
+    } else if (kind === "balanceUpdate") {
+      log(formatBalanceUpdate(message, receivedTimestamp));
+    } else if (kind === "transaction") {
+      log(
+        formatTransaction(message, receivedTimestamp, {
+          callTree: options.callTree,
+        })
+      );
+    }
+
+    if (kind) {
+      stats.increment(KIND_COUNTERS[kind]);
+      if (onEvent) onEvent(normalizeMessage(message, receivedTimestamp));
+    }
+  };
+}
+
+module.exports = {
+  createMessageHandler,
+  formatBalanceUpdate,
+  formatOrder,
+  formatPoolEvent,
+  formatTrade,
+  formatTransaction,
+  formatTransfer,
+  getMessageKind,
+  getTradeLabel,
+};
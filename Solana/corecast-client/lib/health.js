@@ -0,0 +1,129 @@
+const { parseInterval } = require("./candles");
+const { createHttpServer } = require("./http");
+const { STREAM_METHODS } = require("./request");
+
+const DEFAULT_STALE_AFTER = "2m";
+const JSON_TYPE = "application/json; charset=utf-8";
+
+// Health of the running subscriptions, as served on /healthz and /readyz.
+//
+// A stream is stale when its last message (or its start, before the first
+// one) is older than `staleAfterMs`, whatever its connection state: a
+// connected stream that stopped delivering is as stuck as one that keeps
+// failing to reconnect. The process is healthy while no stream is stale or
+// failed, and ready once every stream is connected.
+//
+// options.streams      - returns the current [{ stream, subscription }], with
+//                        stream the resolveStreams() entry and subscription
+//                        from createSubscription() (required)
+// options.staleAfterMs - longest quiet time of a healthy stream (default 2m)
+function createHealthMonitor(options = {}) {
+  if (!options.streams) {
+    throw new Error("createHealthMonitor requires options.streams");
+  }
+  const staleAfterMs =
+    options.staleAfterMs || parseInterval(DEFAULT_STALE_AFTER);
+  const startTime = Date.now();
+
+  function describeStream({ stream, subscription }, now) {
+    const { lastMessageAt, startedAt, state } = subscription;
+    const quietSince = lastMessageAt ?? startedAt ?? now;
+    const stale =
+      state !== "stopped" &&
+      state !== "failed" &&
+      now - quietSince > staleAfterMs;
+    return {
+      name: stream.name,
+      type: stream.type,
+      rpc: STREAM_METHODS[stream.type],
+      state,
+      stale,
+      last_message_at:
+        lastMessageAt === null ? null : new Date(lastMessageAt).toISOString(),
+      last_message_age_ms: lastMessageAt === null ? null : now - lastMessageAt,
+      last_slot:
+        subscription.lastSlot === null ? null : Number(subscription.lastSlot),
+      reconnect_attempt: subscription.reconnectAttempt,
+      trade_filter: stream.tradeFilter,
+      filters: stream.filters,
+    };
+  }
+
+  // { status, healthy, ready, stale_after_ms, uptime_ms, streams, checked_at }
+  // with status "ok", "stale", "failed" or "starting"
+  function report(now = Date.now()) {
+    const streams = options
+      .streams()
+      .map((entry) => describeStream(entry, now));
+    const failed = streams.some((stream) => stream.state === "failed");
+    const stale = streams.some((stream) => stream.stale);
+    const ready =
+      streams.length > 0 &&
+      streams.every((stream) => stream.state === "connected");
+
+    let status = "ok";
+    if (failed) status = "failed";
+    else if (stale) status = "stale";
+    else if (!ready) status = "starting";
+
+    return {
+      status,
+      healthy: !failed && !stale,
+      ready,
+      stale_after_ms: staleAfterMs,
+      uptime_ms: now - startTime,
+      streams,
+      checked_at: new Date(now).toISOString(),
+    };
+  }
+
+  return {
+    report,
+    get staleAfterMs() {
+      return staleAfterMs;
+    },
+  };
+}
+
+// Serve a monitor's report on /healthz (503 unless healthy) and /readyz
+// (503 unless ready), see createHttpServer() for the listening options.
+//
+// options.monitor - from createHealthMonitor() (required)
+function createHealthServer(options = {}) {
+  if (!options.monitor) {
+    throw new Error("createHealthServer requires options.monitor");
+  }
+
+  function respond(check) {
+    return () => {
+      const report = options.monitor.report();
+      return {
+        status: report[check] ? 200 : 503,
+        type: JSON_TYPE,
+        body: JSON.stringify(report, null, 2),
+      };
+    };
+  }
+
+  return createHttpServer(
+    { "/healthz": respond("healthy"), "/readyz": respond("ready") },
+    options
+  );
+}
+
+// Monitor and server options for the `health` section of config.yaml, or
+// null when the section is missing
+function healthOptions(section) {
+  if (!section) return null;
+  return {
+    port: section.port,
+    host: section.host,
+    staleAfterMs: parseInterval(section.stale_after || DEFAULT_STALE_AFTER),
+  };
+}
+
+module.exports = {
+  createHealthMonitor,
+  createHealthServer,
+  healthOptions,
+};
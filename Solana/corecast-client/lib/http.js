@@ -0,0 +1,60 @@
+const http = require("http");
+
+const DEFAULT_HOST = "127.0.0.1";
+
+// Local HTTP server answering GET and HEAD requests on fixed paths, for the
+// metrics and health endpoints. Other paths get 404, other methods 405 and
+// request targets that aren't a URL path (e.g. "//[") 400.
+//
+// routes              - path -> handler returning { status, type, body }
+// options.port        - port to listen on (required, 0 picks one)
+// options.host        - interface to listen on (default 127.0.0.1)
+// options.onListening - called with the bound { address, port }
+// options.onError     - called with server errors
+function createHttpServer(routes, options = {}) {
+  if (options.port === undefined || options.port === null) {
+    throw new Error("createHttpServer requires options.port");
+  }
+
+  const server = http.createServer((req, res) => {
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, "http://localhost"));
+    } catch (error) {
+      res.writeHead(400).end();
+      return;
+    }
+    const route = routes[pathname];
+    if (!route) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { Allow: "GET, HEAD" }).end();
+      return;
+    }
+
+    const { status = 200, type, body } = route(req);
+    res.writeHead(status, {
+      "Content-Type": type,
+      "Content-Length": Buffer.byteLength(body),
+    });
+    res.end(req.method === "HEAD" ? undefined : body);
+  });
+
+  server.on("error", options.onError || (() => {}));
+  server.listen(options.port, options.host || DEFAULT_HOST, () => {
+    if (options.onListening) options.onListening(server.address());
+  });
+
+  return {
+    close: () => server.close(),
+    get address() {
+      return server.address();
+    },
+  };
+}
+
+module.exports = {
+  createHttpServer,
+};
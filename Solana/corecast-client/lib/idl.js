@@ -0,0 +1,142 @@
+const { toBase58 } = require("./format");
+
+// Fields of the ParsedArgument `Value` oneof
+const ARGUMENT_FIELDS = [
+  "String",
+  "UInt",
+  "Int",
+  "Bool",
+  "Float",
+  "Json",
+  "Address",
+];
+
+// Decode a ParsedArgument into { name, type, kind, value }. `kind` is the
+// oneof field that is set (`oneofs: true` names it in `Value`); addresses
+// become base58 and Json values are parsed (kept as text when invalid).
+// UInt and Int stay the strings proto-loader produced.
+function decodeArgument(argument) {
+  const kind =
+    argument.Value ||
+    ARGUMENT_FIELDS.find(
+      (field) => argument[field] !== undefined && argument[field] !== null
+    ) ||
+    null;
+
+  let value = kind ? argument[kind] : null;
+  if (kind === "Address") {
+    value = value?.length ? toBase58(value) : null;
+  } else if (kind === "Json") {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      // Not valid JSON; keep the text
+    }
+  }
+
+  return { name: argument.Name, type: argument.Type, kind, value };
+}
+
+// Accounts of an instruction paired with their IDL names from
+// Program.AccountNames: [{ name, address, signer, writable }]. Accounts
+// past the end of AccountNames have a null name.
+function namedAccounts(instruction) {
+  const names = instruction.Program?.AccountNames || [];
+  return (instruction.Accounts || []).map((account, index) => ({
+    name: names[index] || null,
+    address: account.Address?.length ? toBase58(account.Address) : null,
+    signer: Boolean(account.IsSigner),
+    writable: Boolean(account.IsWritable),
+  }));
+}
+
+// Raw instruction data as hex, null when empty
+function instructionData(instruction) {
+  const data = instruction.Data;
+  return data?.length ? Buffer.from(data).toString("hex") : null;
+}
+
+// Program.Json parsed, null when empty or not valid JSON
+function instructionJson(instruction) {
+  const json = instruction.Program?.Json;
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Text lines of one instruction: arguments by type, named accounts, and the
+// hex data of instructions the IDL couldn't parse (Parsed = false).
+// Program.Json is printed only when there are no Arguments to show.
+function formatInstruction(instruction, indent = "  ") {
+  const program = instruction.Program;
+  const address = program?.Address?.length
+    ? toBase58(program.Address)
+    : "unknown";
+  const lines = [
+    `${indent}#${instruction.Index} program=${address} name=${
+      program?.Name || ""
+    } method=${program?.Method || ""} accounts=${
+      (instruction.Accounts || []).length
+    }`,
+  ];
+  const detail = `${indent}    `;
+
+  const args = (program?.Arguments || []).map(decodeArgument);
+  if (args.length > 0) {
+    lines.push(`${indent}  Arguments:`);
+    for (const arg of args) {
+      const label = `${detail}${arg.name} (${arg.type || arg.kind})`;
+      if (arg.kind === "Json" && typeof arg.value === "object") {
+        const json = JSON.stringify(arg.value, null, 2).replace(
+          /\n/g,
+          `\n${detail}`
+        );
+        lines.push(`${label}: ${json}`);
+      } else {
+        lines.push(`${label}: ${arg.value ?? "N/A"}`);
+      }
+    }
+  } else {
+    const json = instructionJson(instruction);
+    if (json !== null) {
+      lines.push(
+        `${indent}  Json: ${JSON.stringify(json, null, 2).replace(
+          /\n/g,
+          `\n${detail}`
+        )}`
+      );
+    }
+  }
+
+  const accounts = namedAccounts(instruction);
+  if (accounts.length > 0) {
+    lines.push(`${indent}  Accounts:`);
+    accounts.forEach((account, index) => {
+      const flags = [
+        account.signer && "signer",
+        account.writable && "writable",
+      ].filter(Boolean);
+      lines.push(
+        `${detail}${account.name || `#${index}`}: ${account.address}${
+          flags.length ? ` [${flags.join(", ")}]` : ""
+        }`
+      );
+    });
+  }
+
+  if (!program?.Parsed) {
+    lines.push(`${indent}  Data: ${instructionData(instruction) || "none"}`);
+  }
+  return lines;
+}
+
+module.exports = {
+  decodeArgument,
+  formatInstruction,
+  instructionData,
+  instructionJson,
+  namedAccounts,
+};
@@ -0,0 +1,38 @@
+// Identify the event carried by a stream message. Every stream message has
+// Block and (except parsed transactions) TransactionAttributes, so
+// `Transaction` only counts as the event for the Transactions RPC.
+function getMessageKind(message) {
+  if (message.Trade) return "trade";
+  if (message.Order) return "order";
+  if (message.PoolEvent) return "poolEvent";
+  if (message.Transfer) return "transfer";
+  if (message.BalanceUpdate) return "balanceUpdate";
+  if (message.Transaction?.ParsedIdlInstructions) return "transaction";
+  return null;
+}
+
+// Stats counter incremented for each message kind
+const KIND_COUNTERS = {
+  trade: "trades",
+  order: "orders",
+  poolEvent: "poolEvents",
+  transfer: "transfers",
+  balanceUpdate: "balanceUpdates",
+  transaction: "transactions",
+};
+
+// Stream message field holding the event of each message kind
+const KIND_FIELDS = {
+  trade: "Trade",
+  order: "Order",
+  poolEvent: "PoolEvent",
+  transfer: "Transfer",
+  balanceUpdate: "BalanceUpdate",
+  transaction: "Transaction",
+};
+
+module.exports = {
+  KIND_COUNTERS,
+  KIND_FIELDS,
+  getMessageKind,
+};
@@ -0,0 +1,199 @@
+const { PUMPFUN_PROGRAM } = require("./bonding");
+const { toBase58 } = require("./format");
+const { decodeArgument, namedAccounts } = require("./idl");
+
+const LAUNCHLAB_PROGRAM = "LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj";
+
+// Launchpad programs and the instructions that create a token. Method and
+// account names are compared without case and underscores, so IDLs with
+// camelCase names match too.
+//
+//   methods        - instructions that create the token
+//   mintAccount    - account name of the new mint
+//   creatorAccount - account name of the creator, unless a `creator`
+//                    argument is present
+const LAUNCH_PROGRAMS = {
+  [PUMPFUN_PROGRAM]: {
+    platform: "pump.fun",
+    methods: ["create", "create_v2"],
+    mintAccount: "mint",
+    creatorAccount: "user",
+  },
+  [LAUNCHLAB_PROGRAM]: {
+    platform: "launchlab",
+    methods: ["initialize", "initialize_v2", "initialize_with_token_2022"],
+    mintAccount: "base_mint",
+    creatorAccount: "creator",
+  },
+};
+
+const METADATA_FIELDS = ["name", "symbol", "uri"];
+const DEFAULT_MAX_SUBSCRIPTIONS = 10;
+function normalizeName(name) {
+  return String(name || "")
+    .replace(/_/g, "")
+    .toLowerCase();
+}
+
+// Arguments as { normalized name -> value }, with the fields of struct
+// arguments merged in after the top-level ones
+function collectArguments(args) {
+  const values = {};
+  const structs = [];
+
+  for (const argument of args || []) {
+    const { value } = decodeArgument(argument);
+    values[normalizeName(argument.Name)] = value;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      structs.push(value);
+    }
+  }
+
+  for (const struct of structs) {
+    for (const [key, value] of Object.entries(struct)) {
+      const name = normalizeName(key);
+      if (!(name in values)) values[name] = value;
+    }
+  }
+  return values;
+}
+
+// Base58 address of the account an instruction names `name`, or null
+function namedAccount(instruction, name) {
+  const account = namedAccounts(instruction).find(
+    (entry) => normalizeName(entry.name) === normalizeName(name)
+  );
+  return account?.address || null;
+}
+
+function asText(value) {
+  return typeof value === "string" && value.length > 0 ? value : null;
+}
+
+// "Token launched" events of a Transactions message: one per successful
+// create/initialize instruction of a LAUNCH_PROGRAMS program, inner
+// instructions included.
+//
+// Each event is { type: "launch", platform, program, method, mint, creator,
+// name, symbol, uri, slot, signature, received_at }. Instructions whose
+// new mint can't be told from Accounts/AccountNames are skipped.
+function detectLaunches(message, receivedTimestamp = Date.now()) {
+  const transaction = message.Transaction;
+  if (!transaction?.ParsedIdlInstructions) return [];
+  if (transaction.Status && transaction.Status.Success === false) return [];
+
+  const launches = [];
+  for (const instruction of transaction.ParsedIdlInstructions) {
+    const program = instruction.Program;
+    if (!program?.Address?.length) continue;
+
+    const address = toBase58(program.Address);
+    const launchpad = LAUNCH_PROGRAMS[address];
+    if (
+      !launchpad ||
+      !launchpad.methods
+        .map(normalizeName)
+        .includes(normalizeName(program.Method))
+    ) {
+      continue;
+    }
+
+    const mint = namedAccount(instruction, launchpad.mintAccount);
+    if (!mint) continue;
+
+    const args = collectArguments(program.Arguments);
+    const metadata = {};
+    for (const field of METADATA_FIELDS) {
+      metadata[field] = asText(args[field]);
+    }
+
+    launches.push({
+      type: "launch",
+      platform: launchpad.platform,
+      program: address,
+      method: program.Method,
+      mint,
+      creator:
+        asText(args.creator) ||
+        namedAccount(instruction, launchpad.creatorAccount),
+      ...metadata,
+      slot:
+        message.Block?.Slot !== undefined ? Number(message.Block.Slot) : null,
+      signature: transaction.Signature ? toBase58(transaction.Signature) : null,
+      received_at: new Date(receivedTimestamp).toISOString(),
+    });
+  }
+  return launches;
+}
+
+// Keep one subscription per launched mint, for the latest
+// `maxSubscriptions` launches. follow(event, ...args) calls
+// `start(event, ...args)` for a mint that isn't followed yet and keeps what
+// it returns; once more are followed, `stop` gets the oldest one.
+//
+// options.maxSubscriptions - launches followed at most (default 10)
+// options.start            - starts following a launch (required)
+// options.stop             - stops what start() returned (required)
+function createLaunchFollower(options = {}) {
+  if (!options.start || !options.stop) {
+    throw new Error("createLaunchFollower requires options.start and stop");
+  }
+  const maxSubscriptions =
+    options.maxSubscriptions ?? DEFAULT_MAX_SUBSCRIPTIONS;
+  // mint -> what start() returned, oldest first
+  const followed = new Map();
+
+  // Returns false for a mint that is already followed
+  function follow(event, ...args) {
+    if (followed.has(event.mint)) return false;
+    followed.set(event.mint, options.start(event, ...args));
+    if (followed.size > maxSubscriptions) {
+      const [mint, entry] = followed.entries().next().value;
+      followed.delete(mint);
+      options.stop(entry);
+    }
+    return true;
+  }
+
+  return {
+    follow,
+    get mints() {
+      return [...followed.keys()];
+    },
+  };
+}
+
+// Text block of a launch event, as printed by the examples
+function formatLaunch(event) {
+  return [
+    "\n=== 🆕 Token Launched ===",
+    `Platform: ${event.platform} (${event.method})`,
+    `Mint: ${event.mint}`,
+    `Name: ${event.name || "N/A"}`,
+    `Symbol: ${event.symbol || "N/A"}`,
+    `URI: ${event.uri || "N/A"}`,
+    `Creator: ${event.creator || "N/A"}`,
+    `Block Slot: ${event.slot}`,
+    `Signature: ${event.signature}`,
+    `Timestamp: ${event.received_at}`,
+  ].join("\n");
+}
+
+// Launch options for the `launches` section of config.yaml, or null when
+// the section is missing
+function launchOptions(section) {
+  if (!section) return null;
+  return {
+    subscribeTrades: section.subscribe_trades === true,
+    maxSubscriptions: section.max_subscriptions ?? DEFAULT_MAX_SUBSCRIPTIONS,
+  };
+}
+
+module.exports = {
+  LAUNCHLAB_PROGRAM,
+  LAUNCH_PROGRAMS,
+  createLaunchFollower,
+  detectLaunches,
+  formatLaunch,
+  launchOptions,
+};
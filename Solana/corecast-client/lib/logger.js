@@ -0,0 +1,83 @@
+const fs = require("fs");
+
+const LOG_FLUSH_INTERVAL_MS = 100;
+const MAX_LOG_BUFFER_SIZE = 1000;
+const MAX_PENDING_BYTES = 1024 * 1024;
+
+// True while stdout holds more than `maxPendingBytes` not yet written, e.g.
+// behind a slow terminal or pipe reader
+function isStdoutBusy(maxPendingBytes = MAX_PENDING_BYTES) {
+  return process.stdout.writableLength > maxPendingBytes;
+}
+
+// Performance optimization: Batch console output. Lines are buffered and
+// written in one console.log every `flushIntervalMs`, or as soon as
+// `maxBufferSize` lines are waiting. With `options.file` the lines are
+// appended to that file instead of the console.
+//
+// A console logger is `busy` while stdout holds more than
+// `maxPendingBytes` not yet written (a slow terminal or pipe reader), so
+// callers can stop producing lines. File output is written synchronously
+// and never busy.
+function createLogger(options = {}) {
+  const flushIntervalMs = options.flushIntervalMs || LOG_FLUSH_INTERVAL_MS;
+  const maxBufferSize = options.maxBufferSize || MAX_LOG_BUFFER_SIZE;
+  const maxPendingBytes = options.maxPendingBytes || MAX_PENDING_BYTES;
+  // Written synchronously so nothing is lost on process.exit()
+  let fd = options.file ? fs.openSync(options.file, "a") : null;
+
+  let logBuffer = [];
+  let logFlushInterval = null;
+
+  function flush() {
+    if (logBuffer.length > 0) {
+      if (fd !== null) {
+        fs.writeSync(fd, logBuffer.join("\n") + "\n");
+      } else {
+        console.log(logBuffer.join("\n"));
+      }
+      logBuffer = [];
+    }
+  }
+
+  function log(message) {
+    logBuffer.push(message);
+
+    if (logBuffer.length >= maxBufferSize) {
+      flush();
+    }
+
+    if (!logFlushInterval) {
+      logFlushInterval = setInterval(flush, flushIntervalMs);
+    }
+  }
+
+  function close() {
+    flush();
+    if (logFlushInterval) {
+      clearInterval(logFlushInterval);
+      logFlushInterval = null;
+    }
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+    }
+  }
+
+  return {
+    log,
+    flush,
+    close,
+    get size() {
+      return logBuffer.length;
+    },
+    get busy() {
+      return fd === null && isStdoutBusy(maxPendingBytes);
+    },
+  };
+}
+
+module.exports = {
+  createLogger,
+  isStdoutBusy,
+};
@@ -0,0 +1,250 @@
+const { getBase58CacheSize } = require("./format");
+const { createHttpServer } = require("./http");
+
+const DEFAULT_PATH = "/metrics";
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Histogram buckets in seconds, from 50µs to 1s
+const DEFAULT_BUCKETS = [
+  0.00005, 0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05,
+  0.1, 0.25, 0.5, 1,
+];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+// Series key and text of a label set, e.g. {stream="trades",rpc="DexTrades"}
+function labelText(labels = {}) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function createCounter(name, help) {
+  // label text -> value
+  const series = new Map();
+  return {
+    type: "counter",
+    name,
+    help,
+    inc(labels, amount = 1) {
+      const key = labelText(labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+    get(labels) {
+      return series.get(labelText(labels)) || 0;
+    },
+    remove(labels) {
+      series.delete(labelText(labels));
+    },
+    lines() {
+      return [...series].map(
+        ([labels, value]) => `${name}${labels} ${formatValue(value)}`
+      );
+    },
+  };
+}
+
+// `collect` returns the current value, or [{ labels, value }] for several
+// series, each time the registry is rendered
+function createGauge(name, help, collect) {
+  const series = new Map();
+  return {
+    type: "gauge",
+    name,
+    help,
+    set(labels, value) {
+      series.set(labelText(labels), value);
+    },
+    remove(labels) {
+      series.delete(labelText(labels));
+    },
+    lines() {
+      const values = new Map(series);
+      if (collect) {
+        const collected = collect();
+        if (Array.isArray(collected)) {
+          for (const { labels, value } of collected) {
+            values.set(labelText(labels), value);
+          }
+        } else {
+          values.set("", collected);
+        }
+      }
+      return [...values].map(
+        ([labels, value]) => `${name}${labels} ${formatValue(value)}`
+      );
+    },
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  // label text -> { labels, counts (per bucket), sum, count }
+  const series = new Map();
+  return {
+    type: "histogram",
+    name,
+    help,
+    buckets,
+    observe(labels, value) {
+      const key = labelText(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    get(labels) {
+      const entry = series.get(labelText(labels));
+      return entry
+        ? { sum: entry.sum, count: entry.count }
+        : { sum: 0, count: 0 };
+    },
+    remove(labels) {
+      series.delete(labelText(labels));
+    },
+    lines() {
+      const lines = [];
+      for (const [key, entry] of series) {
+        buckets.forEach((bound, index) => {
+          const labels = labelText({ ...entry.labels, le: bound });
+          lines.push(`${name}_bucket${labels} ${entry.counts[index]}`);
+        });
+        const inf = labelText({ ...entry.labels, le: "+Inf" });
+        lines.push(`${name}_bucket${inf} ${entry.count}`);
+        lines.push(`${name}_sum${key} ${entry.sum}`);
+        lines.push(`${name}_count${key} ${entry.count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+// Prometheus metrics of a process: counters, gauges and histograms with
+// labels, rendered in the text exposition format. Asking for a metric that
+// is already registered returns it, so several stats objects share one
+// metric with their own labels.
+//
+// Every registry starts with the process gauges corecast_heap_used_bytes
+// and corecast_base58_cache_size.
+function createMetricsRegistry() {
+  const metrics = new Map();
+
+  function register(name, type, create) {
+    const existing = metrics.get(name);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric ${name} is already a ${existing.type}`);
+      }
+      return existing;
+    }
+    const metric = create();
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  const registry = {
+    counter(name, help) {
+      return register(name, "counter", () => createCounter(name, help));
+    },
+    gauge(name, help, collect) {
+      return register(name, "gauge", () => createGauge(name, help, collect));
+    },
+    histogram(name, help, buckets = DEFAULT_BUCKETS) {
+      return register(name, "histogram", () =>
+        createHistogram(name, help, buckets)
+      );
+    },
+    // All metrics in the Prometheus text format
+    render() {
+      const lines = [];
+      for (const metric of metrics.values()) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        lines.push(...metric.lines());
+      }
+      return `${lines.join("\n")}\n`;
+    },
+    get names() {
+      return [...metrics.keys()];
+    },
+  };
+
+  registry.gauge(
+    "corecast_heap_used_bytes",
+    "V8 heap in use",
+    () => process.memoryUsage().heapUsed
+  );
+  registry.gauge(
+    "corecast_base58_cache_size",
+    "Entries in the base58 address cache",
+    getBase58CacheSize
+  );
+  return registry;
+}
+
+// Serve a registry over HTTP for Prometheus to scrape, see
+// createHttpServer() for the listening options.
+//
+// options.registry - registry from createMetricsRegistry() (required)
+// options.path     - URL path of the metrics (default /metrics)
+function createMetricsServer(options = {}) {
+  if (!options.registry) {
+    throw new Error("createMetricsServer requires options.registry");
+  }
+  let scrapes = 0;
+
+  const server = createHttpServer(
+    {
+      [options.path || DEFAULT_PATH]: () => {
+        scrapes++;
+        return { type: CONTENT_TYPE, body: options.registry.render() };
+      },
+    },
+    options
+  );
+
+  return {
+    close: server.close,
+    get address() {
+      return server.address;
+    },
+    get scrapes() {
+      return scrapes;
+    },
+  };
+}
+
+// Server options for the `metrics` section of config.yaml, or null when the
+// section is missing
+function metricsOptions(section) {
+  if (!section) return null;
+  return {
+    port: section.port,
+    host: section.host,
+    path: section.path,
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createMetricsRegistry,
+  createMetricsServer,
+  metricsOptions,
+};
@@ -0,0 +1,104 @@
+const { toBase58 } = require("./format");
+const { classifyTrade } = require("./classify");
+const {
+  decodeArgument,
+  instructionData,
+  instructionJson,
+  namedAccounts,
+} = require("./idl");
+const { KIND_FIELDS, getMessageKind } = require("./kinds");
+
+// Convert a decoded proto value into plain JSON: byte fields become base58
+// strings (null when empty), uint64 values stay the strings proto-loader
+// produced, everything else is copied as is.
+function toJSONValue(value) {
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return value.length > 0 ? toBase58(value) : null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJSONValue);
+  }
+  if (value !== null && typeof value === "object") {
+    const result = {};
+    for (const [key, field] of Object.entries(value)) {
+      result[key] = toJSONValue(field);
+    }
+    return result;
+  }
+  return value;
+}
+
+// A ParsedIdlInstruction as JSON with its IDL data decoded: Arguments as
+// { Name, Type, Value } (addresses base58, Json parsed), each account with
+// its AccountNames `Name`, Program.Json parsed and Data as hex
+function toJSONInstruction(instruction) {
+  // `_Program` only names the proto3 optional field that is set
+  const { _Program, ...json } = toJSONValue(instruction);
+  const names = namedAccounts(instruction);
+
+  return {
+    ...json,
+    Program: json.Program && {
+      ...json.Program,
+      Json: instructionJson(instruction),
+      Arguments: (instruction.Program.Arguments || []).map((argument) => {
+        const { name, type, value } = decodeArgument(argument);
+        return { Name: name, Type: type, Value: value };
+      }),
+    },
+    Accounts: json.Accounts.map((account, index) => ({
+      Name: names[index].name,
+      ...account,
+    })),
+    Data: instructionData(instruction),
+  };
+}
+
+// Normalize a stream message into one flat-enveloped event object:
+//
+//   { type, slot, signature, tx_index, success, received_at, event }
+//
+// `event` is the Trade/Order/... payload with the proto field names. Trades
+// also carry `side`, "buy" or "sell" of the base token (see classifyTrade);
+// transaction instructions are decoded by toJSONInstruction().
+// Returns null for messages without a known event.
+function normalizeMessage(message, receivedTimestamp = Date.now()) {
+  const kind = getMessageKind(message);
+  if (!kind) return null;
+
+  const transaction = message.Transaction || {};
+
+  let event = toJSONValue(message[KIND_FIELDS[kind]]);
+  if (kind === "transaction") {
+    // The envelope already carries the transaction attributes
+    const { Index, Signature, Status, ...rest } = event;
+    event = {
+      ...rest,
+      ParsedIdlInstructions:
+        transaction.ParsedIdlInstructions.map(toJSONInstruction),
+    };
+  }
+
+  return {
+    type: kind,
+    slot: message.Block?.Slot ?? null,
+    signature: toJSONValue(transaction.Signature) ?? null,
+    tx_index: transaction.Index ?? null,
+    success: transaction.Status?.Success ?? null,
+    received_at: new Date(receivedTimestamp).toISOString(),
+    ...(kind === "trade" && { side: classifyTrade(message.Trade).side }),
+    event,
+  };
+}
+
+// One NDJSON line for a stream message, or null for messages without an event
+function formatNdjson(message, receivedTimestamp) {
+  const normalized = normalizeMessage(message, receivedTimestamp);
+  return normalized ? JSON.stringify(normalized) : null;
+}
+
+module.exports = {
+  formatNdjson,
+  normalizeMessage,
+  toJSONValue,
+};
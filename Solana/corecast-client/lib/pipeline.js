@@ -0,0 +1,210 @@
+const DEFAULT_QUEUE_SIZE = 10000;
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_SAMPLE_EVERY = 10;
+// How often a busy output is checked again
+const BUSY_RETRY_MS = 10;
+// Handled entries at the head of the queue before it is compacted
+const COMPACT_AFTER = 1024;
+
+// What happens to messages arriving at a full queue
+const OVERFLOW_POLICIES = ["block", "drop-oldest", "sample"];
+
+// Bounded queue between a subscription and its handlers: the stream only
+// queues messages, and they are handled in batches of `batchSize` with the
+// event loop free in between, so log, file and network writes keep up
+// instead of piling up in memory.
+//
+// When the queue holds `queueSize` messages:
+// - "block" pauses the stream (`options.pause`) until the queue is half
+//   empty again (`options.resume`). The server holds back the rest, nothing
+//   is lost; messages already in flight are still queued.
+// - "drop-oldest" drops the oldest queued message for each new one.
+// - "sample" keeps every `sampleEvery`-th new message, in place of the
+//   oldest, and drops the others.
+//
+// Handling waits while `options.busy()` is true, e.g. while stdout is
+// behind, so a slow output fills the queue and the policy applies.
+// Dropped messages count as received and as `queueDropped` in `stats`.
+//
+// options.handle(message) - called for every message that is not dropped
+//                           (required)
+// options.pause()         - stop the stream's delivery, for "block"
+// options.resume()        - start it again
+// options.busy()          - true while handling should wait
+// options.queueSize       - messages queued before the policy applies
+//                           (default 10000)
+// options.overflow        - "block" (default), "drop-oldest" or "sample"
+// options.sampleEvery     - messages of a full queue kept by "sample" (1 in
+//                           10 by default)
+// options.batchSize       - messages handled per turn of the event loop
+//                           (default 100)
+// options.stats           - from createStats(), for the drop counts
+function createPipeline(options = {}) {
+  if (!options.handle) {
+    throw new Error("createPipeline requires options.handle");
+  }
+  const overflow = options.overflow || "block";
+  if (!OVERFLOW_POLICIES.includes(overflow)) {
+    throw new Error(
+      `Invalid overflow: "${overflow}". Must be one of: ${OVERFLOW_POLICIES.join(
+        ", "
+      )}`
+    );
+  }
+  const queueSize = options.queueSize || DEFAULT_QUEUE_SIZE;
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const sampleEvery = options.sampleEvery || DEFAULT_SAMPLE_EVERY;
+  const resumeAt = Math.floor(queueSize / 2);
+  const { stats } = options;
+
+  // Queued messages are items[head..]
+  let items = [];
+  let head = 0;
+  let scheduled = false;
+  let busyTimer = null;
+  let closed = false;
+  let paused = false;
+  let pauses = 0;
+  let dropped = 0;
+  let overflowed = 0;
+  let peak = 0;
+
+  function depth() {
+    return items.length - head;
+  }
+
+  function shift() {
+    const message = items[head];
+    items[head++] = undefined;
+    if (head >= COMPACT_AFTER && head * 2 >= items.length) {
+      items = items.slice(head);
+      head = 0;
+    }
+    return message;
+  }
+
+  function drop() {
+    dropped++;
+    if (stats) {
+      stats.increment("messages");
+      stats.increment("queueDropped");
+    }
+  }
+
+  function schedule() {
+    if (scheduled || busyTimer || closed || !depth()) return;
+    scheduled = true;
+    setImmediate(drain);
+  }
+
+  function drain() {
+    scheduled = false;
+    if (closed) return;
+    if (options.busy && options.busy()) {
+      busyTimer = setTimeout(() => {
+        busyTimer = null;
+        schedule();
+      }, BUSY_RETRY_MS);
+      return;
+    }
+
+    for (let i = 0; i < batchSize && depth(); i++) options.handle(shift());
+
+    if (paused && depth() <= resumeAt) {
+      paused = false;
+      if (options.resume) options.resume();
+    }
+    schedule();
+  }
+
+  // Queue a stream message
+  function push(message) {
+    if (closed) return;
+
+    if (depth() >= queueSize) {
+      if (overflow === "drop-oldest") {
+        shift();
+        drop();
+      } else if (overflow === "sample") {
+        overflowed++;
+        if (overflowed % sampleEvery !== 0) {
+          drop();
+          return;
+        }
+        shift();
+        drop();
+      }
+    }
+
+    items.push(message);
+    peak = Math.max(peak, depth());
+    if (overflow === "block" && !paused && depth() >= queueSize) {
+      paused = true;
+      pauses++;
+      if (options.pause) options.pause();
+    }
+    schedule();
+  }
+
+  // Handle everything queued right away, e.g. before shutting down
+  function flush() {
+    while (depth()) options.handle(shift());
+  }
+
+  function close() {
+    if (closed) return;
+    flush();
+    closed = true;
+    if (busyTimer) {
+      clearTimeout(busyTimer);
+      busyTimer = null;
+    }
+  }
+
+  return {
+    push,
+    flush,
+    close,
+    get depth() {
+      return depth();
+    },
+    // Highest depth so far
+    get peak() {
+      return peak;
+    },
+    get queueSize() {
+      return queueSize;
+    },
+    get overflow() {
+      return overflow;
+    },
+    get paused() {
+      return paused;
+    },
+    // Times the stream was paused for a full queue
+    get pauses() {
+      return pauses;
+    },
+    get dropped() {
+      return dropped;
+    },
+  };
+}
+
+// Pipeline options for the `pipeline` section of config.yaml. The queue
+// always runs; the section only tunes it.
+function pipelineOptions(section) {
+  if (!section) return {};
+  return {
+    queueSize: section.queue_size,
+    overflow: section.overflow,
+    sampleEvery: section.sample_every,
+    batchSize: section.batch_size,
+  };
+}
+
+module.exports = {
+  OVERFLOW_POLICIES,
+  createPipeline,
+  pipelineOptions,
+};
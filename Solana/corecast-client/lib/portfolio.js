@@ -0,0 +1,337 @@
+const {
+  divideAmounts,
+  formatDecimal,
+  formatPrice,
+  toBigInt,
+  toDecimalString,
+} = require("./amounts");
+const { parseInterval } = require("./candles");
+const { QUOTE_MINTS, classifyTrade } = require("./classify");
+const { toBase58 } = require("./format");
+
+const DEFAULT_SUMMARY_INTERVAL = "1m";
+
+// Native SOL and WSOL quotes share positions
+const NATIVE_SOL_MINT = "11111111111111111111111111111111";
+const WSOL_MINT = "So11111111111111111111111111111111111111112";
+
+// Compare [slot, tx index, instruction index] positions on chain
+function compareOrder(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+function quoteKey(mint) {
+  return mint === NATIVE_SOL_MINT ? WSOL_MINT : mint;
+}
+
+function accountAddresses(...values) {
+  return values
+    .filter((address) => address?.length)
+    .map((address) => toBase58(address));
+}
+
+// A trade side's account and the owner of that token account
+function sideAddresses(side) {
+  return accountAddresses(side?.Account?.Address, side?.Account?.Token?.Owner);
+}
+
+// Addresses a trade can belong to: both sides' accounts and the owners of
+// those token accounts, then the transaction's signer and fee payer
+function tradeAddresses(message) {
+  const header = message.Transaction?.Header;
+  return [
+    ...sideAddresses(message.Trade.Buy),
+    ...sideAddresses(message.Trade.Sell),
+    ...accountAddresses(header?.Signer, header?.FeePayer),
+  ];
+}
+
+// Track positions and PnL of the `traders` wallets from DexTrades
+// messages, per trader and per token (base mint) and quote currency.
+//
+// A trade is booked from the tracked wallet's side of it: classifyTrade()
+// names the side of the Buy account, so a wallet found on the Sell side
+// took the other side (a "buy" of the market is its sell). The signer and
+// fee payer count as the Buy side's taker.
+//
+// Buys add the base amount to the position and the quote amount plus the
+// trade's Fee to its cost; sells take the average cost of the tokens sold
+// out of it and realize proceeds (quote amount minus Fee) minus that cost.
+// Fee is taken to be in the quote currency's base units. `fees` adds them
+// up for reference only: they are already in the cost and the realized
+// and unrealized PnL, and are not to be taken off again. Tokens sold beyond
+// the tracked position (bought before tracking started) count as
+// `unmatched` and realize nothing. Unrealized PnL marks the position at
+// the last price seen for its token and quote currency in any trade.
+//
+// Amounts stay raw BigInt values until a summary turns them into decimal
+// strings with the currencies' decimals.
+//
+// options.traders - wallet addresses to track (required)
+function createPortfolioTracker(options = {}) {
+  const traders = new Set(options.traders || []);
+
+  // trader -> Map(`${mint}|${quoteMint}` -> position)
+  const portfolios = new Map();
+  // `${mint}|${quoteMint}` -> { base, quote, order } of the latest trade
+  const lastPrices = new Map();
+  let trades = 0;
+
+  function getPosition(trader, key, amounts) {
+    let positions = portfolios.get(trader);
+    if (!positions) {
+      positions = new Map();
+      portfolios.set(trader, positions);
+    }
+
+    let position = positions.get(key);
+    if (!position) {
+      position = {
+        mint: amounts.baseMint,
+        symbol: amounts.base.Currency?.Symbol || null,
+        decimals: amounts.base.Currency?.Decimals || 0,
+        quoteMint: quoteKey(amounts.quoteMint),
+        quoteSymbol: amounts.quote.Currency?.Symbol || null,
+        quoteDecimals: amounts.quote.Currency?.Decimals || 0,
+        size: 0n,
+        cost: 0n,
+        realized: 0n,
+        fees: 0n,
+        unmatched: 0n,
+        buys: 0,
+        sells: 0,
+      };
+      positions.set(key, position);
+    }
+    return position;
+  }
+
+  // Apply a trade. Returns the trader's updated position summary, or null
+  // for other messages, failed transactions and trades of other wallets.
+  function add(message) {
+    const trade = message.Trade;
+    if (!trade) return null;
+    if (message.Transaction?.Status?.Success === false) return null;
+
+    const classified = classifyTrade(trade);
+    if (!classified.side) return null;
+    const base = toBigInt(classified.base.Amount);
+    const quote = toBigInt(classified.quote.Amount);
+    if (!base || quote === null) return null;
+
+    // Every trade marks the price, whoever made it
+    const key = `${classified.baseMint}|${quoteKey(classified.quoteMint)}`;
+    const order = [
+      message.Block?.Slot !== undefined ? Number(message.Block.Slot) : 0,
+      message.Transaction?.Index ?? 0,
+      trade.InstructionIndex ?? 0,
+    ];
+    const last = lastPrices.get(key);
+    if (!last || compareOrder(order, last.order) >= 0) {
+      lastPrices.set(key, { base, quote, order });
+    }
+
+    const tracked = (address) => traders.has(address);
+    const header = message.Transaction?.Header;
+    let trader = sideAddresses(trade.Buy).find(tracked);
+    let side = classified.side;
+    if (!trader) {
+      trader = sideAddresses(trade.Sell).find(tracked);
+      if (trader) side = side === "buy" ? "sell" : "buy";
+    }
+    if (!trader) {
+      trader = accountAddresses(header?.Signer, header?.FeePayer).find(tracked);
+    }
+    if (!trader) return null;
+
+    const position = getPosition(trader, key, classified);
+    const fee = toBigInt(trade.Fee) ?? 0n;
+    position.fees += fee;
+
+    if (side === "buy") {
+      position.size += base;
+      position.cost += quote + fee;
+      position.buys++;
+    } else {
+      const sold = base < position.size ? base : position.size;
+      if (sold > 0n) {
+        const cost = (position.cost * sold) / position.size;
+        const proceeds = ((quote - fee) * sold) / base;
+        position.realized += proceeds - cost;
+        position.cost -= cost;
+        position.size -= sold;
+      }
+      position.unmatched += base - sold;
+      position.sells++;
+    }
+
+    trades++;
+    return summarizePosition(trader, key, position);
+  }
+
+  function summarizePosition(trader, key, position) {
+    const last = lastPrices.get(key);
+    const { decimals, quoteDecimals } = position;
+
+    // Position marked at the last price, in raw quote units
+    const value = last ? (position.size * last.quote) / last.base : null;
+    return {
+      trader,
+      mint: position.mint,
+      symbol: position.symbol,
+      quote_mint: position.quoteMint,
+      quote_symbol: position.quoteSymbol,
+      size: toDecimalString(position.size, decimals),
+      avg_cost: position.size
+        ? divideAmounts(position.cost, quoteDecimals, position.size, decimals)
+        : null,
+      cost_basis: toDecimalString(position.cost, quoteDecimals),
+      last_price: last
+        ? divideAmounts(last.quote, quoteDecimals, last.base, decimals)
+        : null,
+      market_value: toDecimalString(value, quoteDecimals),
+      realized_pnl: toDecimalString(position.realized, quoteDecimals),
+      unrealized_pnl:
+        value === null
+          ? null
+          : toDecimalString(value - position.cost, quoteDecimals),
+      fees: toDecimalString(position.fees, quoteDecimals),
+      unmatched: toDecimalString(position.unmatched, decimals),
+      buys: position.buys,
+      sells: position.sells,
+    };
+  }
+
+  // One summary per trader with trades:
+  // { type: "portfolio", trader, positions, totals, received_at }. Totals
+  // add up realized and unrealized PnL and fees per quote currency.
+  function summary(receivedTimestamp = Date.now()) {
+    const summaries = [];
+    for (const [trader, positions] of portfolios) {
+      const totals = new Map();
+      const entries = [];
+
+      for (const [key, position] of positions) {
+        entries.push(summarizePosition(trader, key, position));
+
+        let total = totals.get(position.quoteMint);
+        if (!total) {
+          total = {
+            quote_mint: position.quoteMint,
+            quote_symbol: position.quoteSymbol,
+            decimals: position.quoteDecimals,
+            realized: 0n,
+            unrealized: 0n,
+            fees: 0n,
+          };
+          totals.set(position.quoteMint, total);
+        }
+        const last = lastPrices.get(key);
+        total.realized += position.realized;
+        total.fees += position.fees;
+        if (last) {
+          total.unrealized +=
+            (position.size * last.quote) / last.base - position.cost;
+        }
+      }
+
+      summaries.push({
+        type: "portfolio",
+        trader,
+        positions: entries,
+        totals: [...totals.values()].map((total) => ({
+          quote_mint: total.quote_mint,
+          quote_symbol: total.quote_symbol,
+          realized_pnl: toDecimalString(total.realized, total.decimals),
+          unrealized_pnl: toDecimalString(total.unrealized, total.decimals),
+          fees: toDecimalString(total.fees, total.decimals),
+        })),
+        received_at: new Date(receivedTimestamp).toISOString(),
+      });
+    }
+    return summaries;
+  }
+
+  return {
+    add,
+    summary,
+    get traders() {
+      return [...traders];
+    },
+    get trades() {
+      return trades;
+    },
+  };
+}
+
+function signed(value, digits) {
+  if (value === null || value === undefined) return "N/A";
+  const text = formatDecimal(value, digits);
+  return text.startsWith("-") || text === "0" ? text : `+${text}`;
+}
+
+function quoteName(entry) {
+  return (
+    entry.quote_symbol || QUOTE_MINTS[entry.quote_mint] || entry.quote_mint
+  );
+}
+
+// Text block of a trader's portfolio summary, as printed by the examples
+function formatPortfolio(summary) {
+  const lines = [`\n=== 💼 Portfolio ${summary.trader} ===`];
+  for (const position of summary.positions) {
+    const quote = quoteName(position);
+    lines.push(
+      [
+        `${position.symbol || position.mint}: ${formatDecimal(position.size)}`,
+        `avg ${formatPrice(position.avg_cost)} ${quote}`,
+        `last ${formatPrice(position.last_price)} ${quote}`,
+        `realized ${signed(position.realized_pnl, 9)} ${quote}`,
+        `unrealized ${signed(position.unrealized_pnl, 9)} ${quote}`,
+        `incl. fees ${formatDecimal(position.fees)} ${quote}`,
+        `(${position.buys} buys, ${position.sells} sells)`,
+      ].join("  ")
+    );
+    if (position.unmatched !== "0") {
+      lines.push(
+        `  ${formatDecimal(position.unmatched)} sold without a tracked buy`
+      );
+    }
+  }
+  for (const total of summary.totals) {
+    const quote = quoteName(total);
+    lines.push(
+      `Total ${quote}: realized ${signed(
+        total.realized_pnl,
+        9
+      )}  unrealized ${signed(
+        total.unrealized_pnl,
+        9
+      )}  incl. fees ${formatDecimal(total.fees)}`
+    );
+  }
+  return lines.join("\n");
+}
+
+// Tracker options for the `portfolio` section of config.yaml, or null when
+// the section is missing. `traders` falls back to a stream's
+// filters.traders; `summaryIntervalMs` is how often summaries are printed.
+function portfolioOptions(section) {
+  if (!section) return null;
+  return {
+    traders: section.traders,
+    summaryIntervalMs: parseInterval(
+      section.summary_interval || DEFAULT_SUMMARY_INTERVAL
+    ),
+  };
+}
+
+module.exports = {
+  createPortfolioTracker,
+  formatPortfolio,
+  portfolioOptions,
+  tradeAddresses,
+};
@@ -0,0 +1,50 @@
+const grpc = require("@grpc/grpc-js");
+const protoLoader = require("@grpc/proto-loader");
+const path = require("path");
+
+const PROTO_FILES = [
+  "solana/corecast/corecast.proto",
+  "solana/corecast/request.proto",
+  "solana/corecast/stream_message.proto",
+  "solana/dex_block_message.proto",
+  "solana/block_message.proto",
+  "solana/token_block_message.proto",
+  "solana/parsed_idl_block_message.proto",
+];
+
+const LOADER_OPTIONS = {
+  keepCase: true,
+  longs: String,
+  enums: String,
+  defaults: true,
+  oneofs: true,
+  bytes: Buffer,
+  arrays: true,
+  objects: true,
+};
+
+// Load the CoreCast package definition. With `protoDir` (the directory that
+// contains the `solana/` proto tree) the local .proto files are used,
+// otherwise the definitions bundled in the bitquery-corecast-proto package.
+function loadPackageDefinition(protoDir) {
+  if (protoDir) {
+    return protoLoader.loadSync(
+      PROTO_FILES.map((file) => path.join(protoDir, file)),
+      { ...LOADER_OPTIONS, includeDirs: [protoDir] }
+    );
+  }
+
+  const { loadPackageDefination } = require("bitquery-corecast-proto");
+  return loadPackageDefination();
+}
+
+// Load the `solana_corecast` gRPC namespace (CoreCast service constructor)
+function loadCoreCast(protoDir) {
+  const packageDefinition = loadPackageDefinition(protoDir);
+  return grpc.loadPackageDefinition(packageDefinition).solana_corecast;
+}
+
+module.exports = {
+  loadCoreCast,
+  loadPackageDefinition,
+};
@@ -0,0 +1,173 @@
+const grpc = require("@grpc/grpc-js");
+
+const MAX_RECONNECT_DELAY = 30000; // 30 seconds max
+const INITIAL_RECONNECT_DELAY = 1000; // 1 second initial
+
+// Status codes that mean the request itself is wrong; reconnecting would
+// just fail the same way again.
+const FATAL_STATUS_CODES = [
+  grpc.status.UNAUTHENTICATED,
+  grpc.status.PERMISSION_DENIED,
+  grpc.status.INVALID_ARGUMENT,
+  grpc.status.NOT_FOUND,
+  grpc.status.UNIMPLEMENTED,
+  grpc.status.FAILED_PRECONDITION,
+];
+
+// Status codes of transient server or network problems
+const RETRYABLE_STATUS_CODES = [
+  grpc.status.UNAVAILABLE,
+  grpc.status.INTERNAL,
+  grpc.status.UNKNOWN,
+  grpc.status.CANCELLED,
+  grpc.status.DEADLINE_EXCEEDED,
+  grpc.status.RESOURCE_EXHAUSTED,
+  grpc.status.ABORTED,
+];
+
+// Name of a gRPC status code, e.g. 14 -> "UNAVAILABLE"
+function statusName(code) {
+  return (
+    Object.keys(grpc.status).find((name) => grpc.status[name] === code) ||
+    String(code)
+  );
+}
+
+// Whether a stream error is worth reconnecting for. Errors without a known
+// status code (and plain stream ends) are treated as retryable.
+function isRetryableError(error) {
+  if (!error || typeof error.code !== "number") return true;
+  return !FATAL_STATUS_CODES.includes(error.code);
+}
+
+// Exponential backoff between reconnect attempts.
+//
+// options.initialDelay - base delay in ms (default 1000)
+// options.maxDelay     - upper bound in ms (default 30000)
+// options.maxAttempts  - give up after this many attempts (default 0, unlimited)
+// options.jitter       - randomize each delay by +/- this fraction (default 0)
+function createReconnector(options = {}) {
+  const initialDelay = options.initialDelay || INITIAL_RECONNECT_DELAY;
+  const maxDelay = options.maxDelay || MAX_RECONNECT_DELAY;
+  const maxAttempts = options.maxAttempts || 0;
+  const jitter = options.jitter || 0;
+
+  let attempts = 0;
+  let timer = null;
+
+  // Calculate reconnect delay with exponential backoff
+  function getDelay() {
+    const delay = Math.min(initialDelay * Math.pow(2, attempts), maxDelay);
+    if (!jitter) return delay;
+
+    // Spread reconnects of many clients after a shared outage
+    return Math.round(delay * (1 + jitter * (Math.random() * 2 - 1)));
+  }
+
+  // Run `callback` after the next backoff delay. `hooks.onScheduled(delay,
+  // attempt)` is called right away, `hooks.onAttempt(attempt)` just before
+  // the callback and `hooks.onFailed(error)` if the callback throws, in
+  // which case another attempt is scheduled. Once `maxAttempts` is used up
+  // nothing is scheduled, `hooks.onExhausted(attempts)` is called and
+  // schedule() returns false.
+  function schedule(callback, hooks = {}) {
+    cancel();
+
+    if (maxAttempts && attempts >= maxAttempts) {
+      if (hooks.onExhausted) hooks.onExhausted(attempts);
+      return false;
+    }
+
+    attempts++;
+    const delay = getDelay();
+
+    if (hooks.onScheduled) hooks.onScheduled(delay, attempts);
+
+    timer = setTimeout(() => {
+      timer = null;
+      try {
+        if (hooks.onAttempt) hooks.onAttempt(attempts);
+        callback();
+      } catch (error) {
+        if (hooks.onFailed) hooks.onFailed(error);
+        schedule(callback, hooks); // Try again
+      }
+    }, delay);
+
+    return true;
+  }
+
+  function cancel() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  function reset() {
+    attempts = 0;
+  }
+
+  return {
+    getDelay,
+    schedule,
+    cancel,
+    reset,
+    get attempts() {
+      return attempts;
+    },
+    get maxAttempts() {
+      return maxAttempts;
+    },
+    get pending() {
+      return timer !== null;
+    },
+  };
+}
+
+// createReconnector() options from the `reconnect` section of config.yaml.
+// Returns false when reconnecting is disabled.
+function reconnectOptions(section = {}) {
+  if (section.enabled === false) return false;
+
+  return {
+    initialDelay: section.initial_delay_ms,
+    maxDelay: section.max_delay_ms,
+    maxAttempts: section.max_attempts,
+    jitter: section.jitter,
+  };
+}
+
+// One-line summary of a resumed stream for onReconnected(info)
+function describeResume(info) {
+  const parts = [
+    `Reconnected after ${info.attempts} attempt${
+      info.attempts === 1 ? "" : "s"
+    }`,
+  ];
+
+  if (info.lastSlot) {
+    parts.push(`last slot before drop: ${info.lastSlot}`);
+  }
+  if (info.resumedSlot) {
+    parts.push(`resumed at slot: ${info.resumedSlot}`);
+  }
+  if (info.lastSlot && info.resumedSlot) {
+    const gap = Number(info.resumedSlot) - Number(info.lastSlot) - 1;
+    parts.push(
+      gap >= 0 ? `gap: ${gap} slots` : `overlap: ${-gap} slots replayed`
+    );
+  }
+
+  return parts.join(", ");
+}
+
+module.exports = {
+  FATAL_STATUS_CODES,
+  RETRYABLE_STATUS_CODES,
+  createReconnector,
+  describeResume,
+  isRetryableError,
+  reconnectOptions,
+  statusName,
+};
@@ -0,0 +1,104 @@
+const SERVICE_NAME = "solana_corecast.CoreCast";
+
+// `stream.type` values and the CoreCast RPC each one calls
+const STREAM_METHODS = {
+  dex_trades: "DexTrades",
+  dex_orders: "DexOrders",
+  dex_pools: "DexPools",
+  transactions: "Transactions",
+  transfers: "Transfers",
+  balances: "Balances",
+};
+
+// Subscribe*Request AddressFilter field -> `filters` key in config.yaml.
+// Fields missing here are configured under their own name.
+const FILTER_KEYS = {
+  program: "programs",
+  pool: "pool",
+  token: "tokens",
+  trader: "traders",
+  signer: "signers",
+  sender: "senders",
+  receiver: "receivers",
+  address: "addresses",
+};
+
+function isAddressFilter(field) {
+  const typeName = field.typeName || "";
+  return typeName === "AddressFilter" || typeName.endsWith(".AddressFilter");
+}
+
+// Describe the request message of a stream type from the loaded proto
+// descriptors: { method, message, filters: { configKey: fieldName } }
+function getRequestSchema(packageDefinition, streamType) {
+  const method = STREAM_METHODS[streamType];
+  if (!method) {
+    throw new Error(`Unsupported stream type: ${streamType}`);
+  }
+
+  const service = packageDefinition[SERVICE_NAME];
+  const requestType = service && service[method] && service[method].requestType;
+  if (!requestType) {
+    throw new Error(`${SERVICE_NAME}.${method} not found in the loaded protos`);
+  }
+
+  const filters = {};
+  for (const field of requestType.type.field) {
+    if (isAddressFilter(field)) {
+      filters[FILTER_KEYS[field.name] || field.name] = field.name;
+    }
+  }
+
+  return { method, message: requestType.type.name, filters };
+}
+
+// Build the Subscribe*Request for `streamType` from the `filters` section of
+// config.yaml. Filters the RPC has no field for are rejected instead of
+// being dropped, since the stream would silently be wider than configured.
+function createRequest(packageDefinition, streamType, filters = {}) {
+  const schema = getRequestSchema(packageDefinition, streamType);
+  const supported = Object.keys(schema.filters);
+  const request = {};
+
+  for (const [key, addresses] of Object.entries(filters)) {
+    if (addresses === null || addresses === undefined) continue;
+
+    const field = schema.filters[key];
+    if (!field) {
+      throw new Error(
+        `filters.${key} is not supported by ${streamType} (${
+          schema.message
+        }). Supported filters: ${supported.join(", ")}`
+      );
+    }
+
+    if (!Array.isArray(addresses)) {
+      throw new Error(`filters.${key} must be a list of addresses`);
+    }
+
+    if (addresses.length > 0) {
+      request[field] = {
+        addresses,
+      };
+    }
+  }
+
+  return request;
+}
+
+// Open the server stream for a `stream.type`
+function openStream(client, streamType, request, metadata) {
+  const method = STREAM_METHODS[streamType];
+  if (!method) {
+    throw new Error(`Unsupported stream type: ${streamType}`);
+  }
+  return client[method](request, metadata);
+}
+
+module.exports = {
+  FILTER_KEYS,
+  STREAM_METHODS,
+  createRequest,
+  getRequestSchema,
+  openStream,
+};
@@ -0,0 +1,873 @@
+const fs = require("fs");
+
+const {
+  alertOptions,
+  createAlertEngine,
+  createAlertSinks,
+  formatAlert,
+} = require("./alerts");
+const {
+  bondingCurveOptions,
+  createBondingCurveTracker,
+  formatBondingCurveEvent,
+} = require("./bonding");
+const {
+  callTreeOptions,
+  formatBalanceTrace,
+  traceTokenBalance,
+} = require("./calltree");
+const {
+  candleOptions,
+  createCandleEngine,
+  formatCandle,
+} = require("./candles");
+const { createClient } = require("./client");
+const { createRedactor, loadConfig } = require("./config");
+const { createDeduplicator, dedupeOptions } = require("./dedupe");
+const { createTradeFilter, describeFilters } = require("./filters");
+const { getBase58CacheSize } = require("./format");
+const { createMessageHandler } = require("./handlers");
+const {
+  createHealthMonitor,
+  createHealthServer,
+  healthOptions,
+} = require("./health");
+const {
+  createLaunchFollower,
+  detectLaunches,
+  formatLaunch,
+  launchOptions,
+} = require("./launches");
+const { createLogger } = require("./logger");
+const {
+  createMetricsRegistry,
+  createMetricsServer,
+  metricsOptions,
+} = require("./metrics");
+const { createPipeline, pipelineOptions } = require("./pipeline");
+const {
+  createPortfolioTracker,
+  formatPortfolio,
+  portfolioOptions,
+} = require("./portfolio");
+const { describeResume, reconnectOptions, statusName } = require("./reconnect");
+const { STREAM_METHODS, createRequest } = require("./request");
+const {
+  createSlotMonitor,
+  formatSlotWarning,
+  slotMonitorOptions,
+} = require("./slots");
+const { createSqliteSink, sqliteOptions } = require("./sqlite");
+const { createStats, formatPerformanceStats, formatStats } = require("./stats");
+const { resolveStreams } = require("./streams");
+const { createSubscription } = require("./subscription");
+const { createWebhookSink, webhookOptions } = require("./webhook");
+const { createBroadcastServer, websocketOptions } = require("./websocket");
+
+const STATS_INTERVAL_MS = 30000;
+// How often a watched config file is checked for changes, and the wait
+// after the last one before it is reloaded
+const RELOAD_POLL_MS = 1000;
+const RELOAD_DELAY_MS = 300;
+// Config sections a reload applies; the others need a restart
+const RELOADED_SECTIONS = [
+  "server",
+  "stream",
+  "streams",
+  "filters",
+  "trade_filter",
+  "output",
+  "reconnect",
+  "pipeline",
+  "candles",
+];
+
+// Run the streams of a loaded config.yaml (see loadConfig()) the way the
+// pumpfun and letsbonk examples do, until SIGINT or SIGTERM: one
+// subscription per `streams` entry, each with its own output, stats and
+// reconnects, and the sinks, servers and trackers its sections turn on.
+// Startup errors are printed and end the process.
+//
+// With `configPath` the file is watched and every change restarts the
+// streams with the reloaded config (see reload()).
+//
+// options.protoDir   - directory with the `solana/` proto tree (default: the
+//                      bitquery-corecast-proto package)
+// options.configPath - config file to reload on changes
+function run(config, options = {}) {
+  let statsInterval = null;
+  let portfolioInterval = null;
+  let reloadTimer = null;
+
+  // Mask the token wherever config, requests or errors are printed
+  function createConfigRedactor(config) {
+    return createRedactor([
+      config.server.authorization,
+      config.webhook?.secret,
+      ...(config.alerts?.sinks || []).map((sink) => sink.secret),
+    ]);
+  }
+  let redact = createConfigRedactor(config);
+
+  // Create gRPC client from options.protoDir or bitquery-corecast-proto. All
+  // subscriptions share its channel and metadata.
+  let { client, metadata, packageDefinition } = createClient(config.server, {
+    protoDir: options.protoDir,
+  });
+
+  // Resolve the `streams` list (or the single `stream.type`), validate each
+  // trade filter and build each Subscribe*Request from the loaded proto
+  // schema, rejecting filters its RPC can't honour
+  function prepareStreams(config, packageDefinition) {
+    return resolveStreams(config).map((stream) => ({
+      ...stream,
+      shouldShowTrade: createTradeFilter(
+        stream.tradeFilter,
+        stream.filters.tokens
+      ),
+      request: createRequest(packageDefinition, stream.type, stream.filters),
+    }));
+  }
+  let streams;
+  try {
+    streams = prepareStreams(config, packageDefinition);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  let reconnect = reconnectOptions(config.reconnect);
+
+  // Optional SQLite database shared by all streams, with every event they
+  // deliver (see the `sqlite` section of config.yaml)
+  let sink = null;
+  if (config.sqlite) {
+    try {
+      sink = createSqliteSink({
+        ...sqliteOptions(config.sqlite),
+        // The rows are lost; later batches are tried again
+        onError: (error, rows) =>
+          console.error(
+            `${config.sqlite.file}: ${rows} rows not written (${error.message})`
+          ),
+      });
+    } catch (error) {
+      console.error(`${config.sqlite.file}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Optional dedupe of events delivered twice, e.g. replayed after a
+  // reconnect or a restart (see the `dedupe` section of config.yaml)
+  let dedupe = null;
+  if (config.dedupe) {
+    try {
+      dedupe = createDeduplicator(dedupeOptions(config.dedupe));
+    } catch (error) {
+      console.error(`dedupe: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Webhook delivery problems; the events stay queued while retrying
+  function reportWebhookError(error, attempt, delay) {
+    console.error(
+      attempt
+        ? `Webhook delivery failed (${error.message}), retry ${attempt} in ${(
+            delay / 1000
+          ).toFixed(1)}s`
+        : `Webhook: ${error.message}`
+    );
+  }
+
+  // Optional HTTP webhook receiving every event the streams log: trades that
+  // pass trade_filter and all other events, in signed batches
+  let webhook = null;
+  if (config.webhook) {
+    try {
+      webhook = createWebhookSink({
+        ...webhookOptions(config.webhook),
+        onError: reportWebhookError,
+      });
+    } catch (error) {
+      console.error(`webhook: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Counters of every stream, read by the stats reports and, with a `metrics`
+  // section, served to Prometheus
+  const registry = createMetricsRegistry();
+  let metricsServer = null;
+  if (config.metrics) {
+    metricsServer = createMetricsServer({
+      ...metricsOptions(config.metrics),
+      registry,
+      onError: (error) => {
+        console.error(`metrics: ${error.message}`);
+        closeAll();
+        process.exit(1);
+      },
+    });
+  }
+
+  // Slot progression of every stream: gaps, jumps back and the estimated lag
+  // behind the chain, in the stats reports and the metrics
+  const slots = createSlotMonitor({
+    ...slotMonitorOptions(config.slots),
+    registry,
+  });
+
+  // Optional /healthz and /readyz endpoints for supervisors, reporting the
+  // state of every subscription and failing once one goes quiet
+  const health = healthOptions(config.health);
+  let healthServer = null;
+  if (health) {
+    healthServer = createHealthServer({
+      ...health,
+      monitor: createHealthMonitor({
+        ...health,
+        streams: () => running,
+      }),
+      onError: (error) => {
+        console.error(`health: ${error.message}`);
+        closeAll();
+        process.exit(1);
+      },
+    });
+  }
+
+  // Optional local WebSocket server rebroadcasting the same events to
+  // clients, each with its own token/trader/program subscription
+  let broadcast = null;
+  if (config.websocket) {
+    try {
+      broadcast = createBroadcastServer({
+        ...websocketOptions(config.websocket),
+        onError: (error) => {
+          console.error(`websocket: ${error.message}`);
+          closeAll();
+          process.exit(1);
+        },
+      });
+    } catch (error) {
+      console.error(`websocket: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Hand every logged event to the webhook and the WebSocket clients
+  function publishEvent(event) {
+    if (webhook) webhook.send(event);
+    if (broadcast) broadcast.publish(event);
+  }
+
+  // Optional Pump.fun bonding curve tracker shared by all streams, so trades
+  // and pool events of different streams update the same curves
+  const bondingCurve = config.bonding_curve
+    ? createBondingCurveTracker(bondingCurveOptions(config.bonding_curve))
+    : null;
+
+  // Optional token launch detector on the transactions streams. With
+  // `subscribe_trades` each launched mint gets a dex_trades stream of its own.
+  const launches = launchOptions(config.launches);
+  function createFollower() {
+    return launches?.subscribeTrades
+      ? createLaunchFollower({
+          maxSubscriptions: launches.maxSubscriptions,
+          start: followLaunch,
+          stop: stopEntry,
+        })
+      : null;
+  }
+  let launchFollower = createFollower();
+
+  // Optional CPI call trees for the transactions streams, and the trace of a
+  // token's balance changes back to the top-level instruction behind them
+  const callTree = callTreeOptions(config.call_tree);
+
+  // Optional positions and PnL of the traded wallets on the dex_trades
+  // streams (`portfolio.traders`, else each stream's filters.traders)
+  const portfolio = portfolioOptions(config.portfolio);
+
+  // Optional alert rules checked against every event of every stream. Alerts
+  // are highlighted in the stream's output and sent to the `alerts.sinks`.
+  const alertConfig = alertOptions(config.alerts);
+  const alerts = alertConfig ? createAlertEngine(alertConfig) : null;
+  const alertSinks = alertConfig
+    ? createAlertSinks(alertConfig.sinks, { onError: reportWebhookError })
+    : null;
+
+  // True while a shared output has a backlog the streams should wait for:
+  // the SQLite, webhook and alert sinks. WebSocket clients are left out:
+  // the broadcast server drops or disconnects slow ones itself, so one
+  // lagging browser tab doesn't hold up every other output.
+  function outputsBusy() {
+    return [sink, webhook, alertSinks].some((output) => output && output.busy);
+  }
+
+  // With NDJSON events on stdout, everything else goes to stderr so the
+  // output can be piped straight into jq or a log shipper
+  function print(...args) {
+    const ndjsonOnStdout = streams.some(
+      (stream) => stream.format === "ndjson" && stream.output === "console"
+    );
+    (ndjsonOnStdout ? console.error : console.log)(...args);
+  }
+
+  // Running subscriptions with their logger and stats
+  const running = [];
+
+  registry.gauge(
+    "corecast_log_buffer_lines",
+    "Log lines waiting to be written, per stream",
+    () =>
+      running.map(({ stream, logger }) => ({
+        labels: { stream: stream.name },
+        value: logger.size,
+      }))
+  );
+  registry.gauge(
+    "corecast_queue_depth",
+    "Stream messages waiting to be handled, per stream",
+    () =>
+      running.map(({ stream, queue }) => ({
+        labels: { stream: stream.name },
+        value: queue.depth,
+      }))
+  );
+
+  function printStats() {
+    for (const { stream, logger, stats, prefix, queue } of running) {
+      // Streams that don't print their events report their throughput
+      const report =
+        stream.format === "none"
+          ? formatPerformanceStats(stats)
+          : formatStats(stats, {
+              name: prefix ? stream.name : undefined,
+              cacheSize: getBase58CacheSize(),
+              logBufferSize: logger.size,
+              queue,
+              slots: slots.describe(stream.name),
+            });
+
+      // File and NDJSON outputs keep their stats on the console
+      if (stream.output === "console" && stream.format === "text") {
+        logger.log(report);
+      } else {
+        print(report);
+      }
+      stats.reset();
+    }
+  }
+
+  // Stop a subscription and handle what is still queued before its outputs
+  // close
+  function closeEntry(entry) {
+    entry.subscription.stop();
+    entry.queue.close();
+    if (entry.candles) entry.candles.close();
+    entry.logger.close();
+  }
+
+  function closeAll() {
+    running.forEach(closeEntry);
+    if (options.configPath) fs.unwatchFile(options.configPath);
+    if (reloadTimer) clearTimeout(reloadTimer);
+    if (sink) sink.close();
+    if (dedupe) dedupe.close();
+    if (alertSinks) alertSinks.close();
+    if (webhook) webhook.close();
+    if (broadcast) broadcast.close();
+    if (metricsServer) metricsServer.close();
+    if (healthServer) healthServer.close();
+    if (statsInterval) clearInterval(statsInterval);
+    if (portfolioInterval) clearInterval(portfolioInterval);
+  }
+
+  function printPortfolios() {
+    for (const { stream, logger, positions } of running) {
+      if (!positions) continue;
+      for (const summary of positions.summary()) {
+        logger.log(
+          stream.format === "ndjson"
+            ? JSON.stringify(summary)
+            : formatPortfolio(summary)
+        );
+      }
+    }
+  }
+
+  // Stop a subscription for good and drop it from the stats
+  function stopEntry(entry) {
+    closeEntry(entry);
+    entry.stats.remove();
+    slots.remove(entry.stream.name);
+    const index = running.indexOf(entry);
+    if (index !== -1) running.splice(index, 1);
+  }
+
+  // Follow the trades of a launched token on a stream of its own, written to
+  // the output of the stream that saw the launch. Only the latest
+  // `max_subscriptions` launches are followed (see createLaunchFollower());
+  // older streams are stopped.
+  function followLaunch(event, parent) {
+    const stream = {
+      name: `launch-${event.mint.slice(0, 8)}`,
+      type: "dex_trades",
+      filters: { tokens: [event.mint] },
+      tradeFilter: "alltrades",
+      output: parent.output,
+      format: parent.format,
+    };
+    stream.shouldShowTrade = createTradeFilter(
+      stream.tradeFilter,
+      stream.filters.tokens
+    );
+    stream.request = createRequest(
+      packageDefinition,
+      stream.type,
+      stream.filters
+    );
+
+    return listenToStream(stream);
+  }
+
+  // Stop a subscription on errors that reconnecting can't fix, and the
+  // process once none is left
+  function stopWithError(entry, message) {
+    entry.subscription.stop();
+    entry.queue.close();
+    if (entry.candles) entry.candles.close();
+    entry.logger.flush();
+    entry.stopped = true;
+    console.error(`${entry.prefix}${message}`);
+
+    if (running.every((other) => other.stopped)) {
+      closeAll();
+      process.exit(1);
+    }
+  }
+
+  // Stream listener function with buy/sell filtering
+  // `stats` carries on the counters of a stream restarted by reload()
+  function listenToStream(stream, stats) {
+    const prefix =
+      streams.length > 1 || launches?.subscribeTrades
+        ? `[${stream.name}] `
+        : "";
+    const logger = createLogger({
+      file: stream.output === "console" ? undefined : stream.output,
+    });
+    stats =
+      stats ||
+      createStats({
+        registry,
+        labels: { stream: stream.name, rpc: STREAM_METHODS[stream.type] },
+      });
+    // Status lines go with the events only in text output
+    const note = stream.format === "text" ? logger.log : print;
+
+    const handleMessage = createMessageHandler({
+      log: logger.log,
+      stats,
+      shouldShowTrade: stream.shouldShowTrade,
+      format: stream.format,
+      callTree: callTree?.enabled,
+      onEvent: webhook || broadcast ? publishEvent : undefined,
+    });
+
+    // OHLCV candles from every trade of the stream, in its output format
+    const candles =
+      config.candles && stream.type === "dex_trades"
+        ? createCandleEngine({
+            ...candleOptions(config.candles),
+            onCandle: (candle) => {
+              logger.log(
+                stream.format === "ndjson"
+                  ? JSON.stringify(candle)
+                  : `${prefix}${formatCandle(candle)}`
+              );
+              if (sink) sink.writeCandle(candle);
+            },
+          })
+        : null;
+
+    // Positions of the stream's traders, from every trade it delivers
+    const traders = portfolio && (portfolio.traders || stream.filters.traders);
+    const positions =
+      traders?.length && stream.type === "dex_trades"
+        ? createPortfolioTracker({ traders })
+        : null;
+
+    // Every event is stored, including trades the trade filter hides
+    function onData(message) {
+      const done = stats.startTimer();
+      // Before dedupe, so replays show as jumps back
+      for (const event of slots.observe(stream.name, message)) {
+        note(
+          stream.format === "ndjson"
+            ? JSON.stringify(event)
+            : formatSlotWarning(event)
+        );
+      }
+      // Duplicates reach neither the output nor the sinks and trackers
+      if (dedupe && dedupe.isDuplicate(message, stream.name)) {
+        stats.increment("messages");
+        stats.increment("duplicates");
+        done();
+        return;
+      }
+      handleMessage(message);
+      if (alerts) {
+        for (const alert of alerts.check(message)) {
+          logger.log(
+            stream.format === "ndjson"
+              ? JSON.stringify(alert)
+              : formatAlert(alert)
+          );
+          alertSinks.send(alert);
+        }
+      }
+      if (sink) sink.write(message);
+      if (candles) candles.add(message);
+      if (positions) positions.add(message);
+      if (callTree?.trace && stream.type === "transactions") {
+        for (const trace of traceTokenBalance(message, callTree.trace)) {
+          logger.log(
+            stream.format === "ndjson"
+              ? JSON.stringify(trace)
+              : `${prefix}${formatBalanceTrace(trace)}`
+          );
+        }
+      }
+      if (launches && stream.type === "transactions") {
+        for (const event of detectLaunches(message)) {
+          logger.log(
+            stream.format === "ndjson"
+              ? JSON.stringify(event)
+              : formatLaunch(event)
+          );
+          if (launchFollower) launchFollower.follow(event, stream);
+        }
+      }
+      if (bondingCurve) {
+        for (const event of bondingCurve.add(message)) {
+          logger.log(
+            stream.format === "ndjson"
+              ? JSON.stringify(event)
+              : `${prefix}${formatBondingCurveEvent(event)}`
+          );
+        }
+      }
+      done();
+    }
+
+    // Messages wait in a bounded queue and are handled in batches. A full
+    // queue, e.g. behind a slow terminal or webhook, pauses the stream or
+    // drops messages as the `pipeline` section says, instead of growing
+    // memory.
+    const queue = createPipeline({
+      ...pipelineOptions(config.pipeline),
+      stats,
+      handle: onData,
+      busy: () => logger.busy || outputsBusy(),
+      pause: () => entry.subscription.pause(),
+      resume: () => entry.subscription.resume(),
+    });
+
+    print(`=== Connecting to CoreCast Stream ${prefix}===`);
+    print("Server:", config.server.address);
+    print("Stream type:", stream.type);
+    if (stream.output !== "console") print("Output:", stream.output);
+    if (stream.format !== "text") print("Format:", stream.format);
+    if (sink) print("SQLite:", sink.file);
+    if (dedupe) {
+      const restored = dedupe.restored
+        ? ` (${dedupe.restored} keys restored from ${dedupe.file})`
+        : "";
+      print("Dedupe:", `last ${dedupe.window} events${restored}`);
+    }
+    if (webhook) {
+      const restored = webhook.restored
+        ? ` (${webhook.restored} queued events restored)`
+        : "";
+      print("Webhook:", `${webhook.url}${restored}`);
+    }
+    if (broadcast) {
+      const { host, path, port } = config.websocket;
+      print("WebSocket:", `ws://${host || "127.0.0.1"}:${port}${path || "/"}`);
+    }
+    if (metricsServer) {
+      const { host, path, port } = config.metrics;
+      print(
+        "Metrics:",
+        `http://${host || "127.0.0.1"}:${port}${path || "/metrics"}`
+      );
+    }
+    if (healthServer) {
+      print(
+        "Health:",
+        `http://${config.health.host || "127.0.0.1"}:${
+          config.health.port
+        }/healthz and /readyz`
+      );
+    }
+    print("Queue:", `${queue.queueSize} messages, ${queue.overflow} when full`);
+    print(
+      "Slot lag warning:",
+      `${slots.lagWarnSlots} slots, gaps over ${slots.maxGapSlots} slots`
+    );
+    if (candles) print("Candles:", candles.intervals.join(", "));
+    if (positions) print("Portfolio traders:", positions.traders.join(", "));
+    if (alerts) print("Alert rules:", alerts.rules.join(", "));
+    if (bondingCurve) {
+      print(
+        "Bonding curve thresholds:",
+        `${bondingCurve.thresholds.join("%, ")}%`
+      );
+    }
+    print(describeFilters(stream.filters, stream.tradeFilter));
+
+    const { request } = stream;
+    print("Request being sent:", redact(JSON.stringify(request, null, 2)));
+
+    const entry = {
+      stream,
+      logger,
+      stats,
+      prefix,
+      queue,
+      candles,
+      positions,
+      stopped: false,
+    };
+
+    entry.subscription = createSubscription({
+      client,
+      metadata,
+      streamType: stream.type,
+      request,
+      onData: queue.push,
+      onError: (error) => {
+        logger.flush();
+        console.error(`${prefix}Stream error:`, redact(error));
+        console.error("Error details:", redact(error.details));
+        console.error("Error code:", error.code);
+        console.error(
+          "Request sent:",
+          redact(JSON.stringify(request, null, 2))
+        );
+      },
+      onEnd: () => {
+        logger.flush();
+        print(`${prefix}Stream ended`);
+      },
+      onStatus: (status) => {
+        note(`${prefix}Stream status: ${JSON.stringify(status)}`);
+      },
+      reconnect,
+      onReconnecting: (delay, attempt) => {
+        stats.increment("reconnects");
+        const limit = reconnect.maxAttempts ? `/${reconnect.maxAttempts}` : "";
+        print(
+          `\n${prefix}Reconnecting in ${(delay / 1000).toFixed(
+            1
+          )}s (attempt ${attempt}${limit})...`
+        );
+      },
+      onReconnectAttempt: () => {
+        print(`${prefix}Attempting to reconnect...`);
+      },
+      onReconnectFailed: (error) => {
+        console.error(`${prefix}Reconnection failed:`, error.message);
+      },
+      onReconnected: (info) => {
+        note(`${prefix}${describeResume(info)}`);
+      },
+      onFatal: (error) => {
+        stopWithError(
+          entry,
+          `Not reconnecting: ${statusName(error.code)} is not retryable`
+        );
+      },
+      onGiveUp: (attempts) => {
+        stopWithError(entry, `Giving up after ${attempts} reconnect attempts`);
+      },
+    });
+
+    running.push(entry);
+    entry.subscription.start();
+    return entry;
+  }
+
+  // Handle process termination the same way for Ctrl+C and a process
+  // manager: close the outputs, then print the final stats
+  function shutdown() {
+    closeAll();
+    print("\n\nShutting down gracefully...");
+    print("Final stats:");
+    for (const { stream, stats, prefix, queue } of running) {
+      if (prefix) print(`\n${stream.name}:`);
+      print(`Total messages received: ${stats.totals.messages}`);
+      print(`Total trades shown: ${stats.totals.trades}`);
+      print(`Total filtered out: ${stats.totals.filteredOut}`);
+      print(`Total reconnects: ${stats.totals.reconnects}`);
+      if (dedupe) print(`Total duplicates dropped: ${stats.totals.duplicates}`);
+      if (queue.overflow !== "block") {
+        print(`Total dropped by full queue: ${stats.totals.queueDropped}`);
+      }
+      const position = slots.describe(stream.name);
+      if (position) {
+        print(
+          `Highest slot: ${position.highestSlot} (gaps: ${position.gaps}, backward jumps: ${position.backwards}, reorders: ${position.reorders})`
+        );
+      }
+    }
+    if (bondingCurve) {
+      print(
+        `\nBonding curves tracked: ${bondingCurve.tracked}, events: ${bondingCurve.events}`
+      );
+    }
+    if (alerts) {
+      print(
+        `\nAlerts fired: ${alerts.fired}, suppressed by cooldowns: ${alerts.suppressed}`
+      );
+    }
+    for (const { positions } of running) {
+      if (!positions) continue;
+      for (const summary of positions.summary())
+        print(formatPortfolio(summary));
+    }
+    if (webhook) {
+      print(
+        `\nWebhook events sent: ${webhook.sent}, still queued: ${webhook.pending}`
+      );
+    }
+    if (broadcast) {
+      print(
+        `\nWebSocket clients: ${broadcast.connections}, events sent: ${broadcast.sent}, dropped for slow clients: ${broadcast.dropped}, disconnected: ${broadcast.disconnected}`
+      );
+    }
+    if (sink) print(`\nRows stored in ${sink.file}: ${sink.written}`);
+    process.exit(0);
+  }
+
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  // Restart the streams with the config file's current contents. Only the
+  // RELOADED_SECTIONS change (a new client when the server did); the shared
+  // outputs, servers and trackers keep their startup settings, so changes
+  // to them are just reported. A stream that keeps its name and type keeps
+  // its stats; a config that doesn't load is reported and the running
+  // streams are kept.
+  function reload() {
+    let next;
+    let nextClient = null;
+    let nextStreams;
+    try {
+      next = loadConfig(options.configPath);
+      const server = next.server;
+      if (
+        server.address !== config.server.address ||
+        server.authorization !== config.server.authorization ||
+        server.insecure !== config.server.insecure
+      ) {
+        nextClient = createClient(server, { protoDir: options.protoDir });
+      }
+      nextStreams = prepareStreams(
+        next,
+        nextClient ? nextClient.packageDefinition : packageDefinition
+      );
+    } catch (error) {
+      console.error(
+        `Config not reloaded, keeping the current streams: ${error.message}`
+      );
+      return;
+    }
+
+    const changed = Object.keys({ ...config, ...next }).filter(
+      (key) => JSON.stringify(config[key]) !== JSON.stringify(next[key])
+    );
+    const ignored = changed.filter((key) => !RELOADED_SECTIONS.includes(key));
+    if (ignored.length) {
+      print(
+        `\nConfig ${options.configPath}: changes to ${ignored.join(
+          ", "
+        )} take effect after a restart`
+      );
+    }
+    if (changed.length === ignored.length) return;
+
+    print(`\nConfig ${options.configPath} changed, restarting the streams`);
+
+    // Stats of the streams that go on, by name
+    const kept = new Map();
+    for (const entry of running.splice(0)) {
+      closeEntry(entry);
+      const { name, type } = entry.stream;
+      if (
+        nextStreams.some(
+          (stream) => stream.name === name && stream.type === type
+        )
+      ) {
+        kept.set(name, entry.stats);
+      } else {
+        entry.stats.remove();
+        slots.remove(name);
+      }
+    }
+
+    if (nextClient) {
+      client.close();
+      ({ client, metadata, packageDefinition } = nextClient);
+    }
+    config = {
+      ...config,
+      ...Object.fromEntries(RELOADED_SECTIONS.map((key) => [key, next[key]])),
+    };
+    streams = nextStreams;
+    redact = createConfigRedactor(config);
+    reconnect = reconnectOptions(config.reconnect);
+    launchFollower = createFollower();
+    for (const stream of streams) listenToStream(stream, kept.get(stream.name));
+  }
+
+  if (options.configPath) {
+    // Polled rather than fs.watch()ed: editors that save by replacing the
+    // file would leave a watcher on the old one
+    fs.watchFile(
+      options.configPath,
+      { interval: RELOAD_POLL_MS },
+      (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        if (reloadTimer) clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(() => {
+          reloadTimer = null;
+          reload();
+        }, RELOAD_DELAY_MS);
+      }
+    );
+  }
+
+  // Start listening
+  try {
+    for (const stream of streams) listenToStream(stream);
+    statsInterval = setInterval(printStats, STATS_INTERVAL_MS);
+    if (portfolio) {
+      portfolioInterval = setInterval(
+        printPortfolios,
+        portfolio.summaryIntervalMs
+      );
+    }
+    print("\nWaiting for trades...\n");
+  } catch (error) {
+    console.error("Failed to start stream:", error);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,263 @@
+const { parseInterval } = require("./candles");
+
+// Solana's target slot time
+const DEFAULT_SLOT_TIME_MS = 400;
+const DEFAULT_LAG_WARN_SLOTS = 150;
+const DEFAULT_MAX_GAP_SLOTS = 150;
+const DEFAULT_MAX_REORDER_SLOTS = 32;
+const DEFAULT_WINDOW = "2m";
+// The reference is kept as the best offset of each 10s bucket
+const BUCKET_MS = 10000;
+
+// Follow the Block.Slot of every stream's messages: the highest slot seen,
+// jumps back to older slots (e.g. replays after a reconnect), jumps forward
+// over more than `maxGapSlots` slots (e.g. a reconnect that resumed at the
+// tip) and how far behind the chain each stream is. Messages up to
+// `maxReorderSlots` below the highest slot are blocks arriving out of order:
+// they are counted as reorders, without a warning.
+//
+// Messages carry their slot but no block time, so lag is an estimate: a
+// slot is expected every `slotTimeMs`, and the message that arrived with
+// the newest slot for its arrival time, over the last `window` and across
+// all streams, counts as on time. A message's lag is how many slots older
+// it is than that pace says it should be. Delay that builds up within the
+// window shows, as does one stream falling behind the others; a stream that
+// has been late for longer than the window reads as on time again. Slots
+// that are slower on average than `slotTimeMs` show as lag growing up to
+// window / slotTimeMs times the difference.
+//
+// options.slotTimeMs  - expected time per slot (default 400)
+// options.lagWarnSlots - lag in slots that fires a "lag" warning; it is
+//                        "recovered" once back to half (default 150)
+// options.maxGapSlots - slots skipped that fire a "gap" warning (default 150)
+// options.maxReorderSlots - slots below the highest slot a message may be
+//                           without a "backwards" warning (default 32)
+// options.windowMs    - how long an observation serves as the reference
+//                       (default 2m)
+// options.registry    - registry from createMetricsRegistry() for the
+//                       corecast_highest_slot and corecast_slot_lag gauges
+//                       and the jump and reorder counters, labelled by
+//                       stream
+function createSlotMonitor(options = {}) {
+  const slotTimeMs = options.slotTimeMs || DEFAULT_SLOT_TIME_MS;
+  const lagWarnSlots = options.lagWarnSlots || DEFAULT_LAG_WARN_SLOTS;
+  const maxGapSlots = options.maxGapSlots || DEFAULT_MAX_GAP_SLOTS;
+  const maxReorderSlots = options.maxReorderSlots ?? DEFAULT_MAX_REORDER_SLOTS;
+  const windowMs = options.windowMs || parseInterval(DEFAULT_WINDOW);
+
+  // bucket start -> highest slot - arrival time / slotTimeMs in it
+  const reference = new Map();
+  // stream name -> { highestSlot, lastSlot, lagSlots, behind, backwards,
+  // reorders, gaps }
+  const streams = new Map();
+
+  const metrics = options.registry
+    ? {
+        backwards: options.registry.counter(
+          "corecast_slot_backwards_total",
+          "Jumps back to an older slot, per stream"
+        ),
+        reorders: options.registry.counter(
+          "corecast_slot_reorders_total",
+          "Messages slightly behind the highest slot, per stream"
+        ),
+        gaps: options.registry.counter(
+          "corecast_slot_gaps_total",
+          "Jumps forward over more than the allowed gap, per stream"
+        ),
+      }
+    : null;
+  if (options.registry) {
+    options.registry.gauge(
+      "corecast_highest_slot",
+      "Highest slot seen, per stream",
+      () =>
+        [...streams].map(([stream, state]) => ({
+          labels: { stream },
+          value: state.highestSlot,
+        }))
+    );
+    options.registry.gauge(
+      "corecast_slot_lag",
+      "Estimated slots behind the chain, per stream",
+      () =>
+        [...streams].map(([stream, state]) => ({
+          labels: { stream },
+          value: state.lagSlots,
+        }))
+    );
+  }
+
+  function referenceOffset(offset, now) {
+    const bucket = now - (now % BUCKET_MS);
+    const current = reference.get(bucket);
+    if (current === undefined || offset > current) {
+      reference.set(bucket, offset);
+    }
+
+    let best = offset;
+    for (const [start, value] of reference) {
+      if (start + BUCKET_MS < now - windowMs) reference.delete(start);
+      else if (value > best) best = value;
+    }
+    return best;
+  }
+
+  function warning(kind, name, slot, previousSlot, state, now, slots = null) {
+    return {
+      type: "slot_warning",
+      warning: kind,
+      stream: name,
+      slot,
+      previous_slot: previousSlot,
+      slots,
+      lag_slots: state.lagSlots,
+      lag_ms: state.lagSlots * slotTimeMs,
+      received_at: new Date(now).toISOString(),
+    };
+  }
+
+  // Record the slot of a stream's message. Returns the warnings it fires:
+  // [{ type: "slot_warning", warning, stream, slot, previous_slot, slots,
+  // lag_slots, lag_ms, received_at }] with warning "backwards", "gap", "lag"
+  // or "recovered", and slots the size of the jump.
+  function observe(name, message, now = Date.now()) {
+    const slot = Number(message.Block?.Slot);
+    if (!slot) return [];
+
+    let state = streams.get(name);
+    if (!state) {
+      state = {
+        highestSlot: slot,
+        lastSlot: slot,
+        lagSlots: 0,
+        behind: false,
+        backwards: 0,
+        reorders: 0,
+        gaps: 0,
+      };
+      streams.set(name, state);
+    }
+
+    const events = [];
+    const { highestSlot, lastSlot } = state;
+    state.lastSlot = slot;
+
+    // Only the first message of a jump back warns; the replay that follows
+    // climbs back to the highest slot without further warnings or lag
+    if (slot < lastSlot && highestSlot - slot <= maxReorderSlots) {
+      state.reorders++;
+      if (metrics) metrics.reorders.inc({ stream: name });
+    } else if (slot < lastSlot) {
+      state.backwards++;
+      if (metrics) metrics.backwards.inc({ stream: name });
+      events.push(
+        warning("backwards", name, slot, lastSlot, state, now, lastSlot - slot)
+      );
+    }
+    if (slot < highestSlot) return events;
+
+    if (slot - highestSlot > maxGapSlots) {
+      state.gaps++;
+      if (metrics) metrics.gaps.inc({ stream: name });
+      events.push(
+        warning("gap", name, slot, highestSlot, state, now, slot - highestSlot)
+      );
+    }
+    state.highestSlot = slot;
+
+    const offset = slot - now / slotTimeMs;
+    state.lagSlots = Math.max(
+      0,
+      Math.round(referenceOffset(offset, now) - offset)
+    );
+
+    if (!state.behind && state.lagSlots > lagWarnSlots) {
+      state.behind = true;
+      events.push(warning("lag", name, slot, highestSlot, state, now));
+    } else if (state.behind && state.lagSlots <= lagWarnSlots / 2) {
+      state.behind = false;
+      events.push(warning("recovered", name, slot, highestSlot, state, now));
+    }
+    return events;
+  }
+
+  // { highestSlot, lagSlots, lagMs, backwards, reorders, gaps } of a
+  // stream, or null before its first slot
+  function describe(name) {
+    const state = streams.get(name);
+    if (!state) return null;
+    return {
+      highestSlot: state.highestSlot,
+      lagSlots: state.lagSlots,
+      lagMs: state.lagSlots * slotTimeMs,
+      backwards: state.backwards,
+      reorders: state.reorders,
+      gaps: state.gaps,
+    };
+  }
+
+  // Forget a stopped stream, along with its metrics
+  function remove(name) {
+    streams.delete(name);
+    if (metrics) {
+      metrics.backwards.remove({ stream: name });
+      metrics.reorders.remove({ stream: name });
+      metrics.gaps.remove({ stream: name });
+    }
+  }
+
+  return {
+    observe,
+    describe,
+    remove,
+    get slotTimeMs() {
+      return slotTimeMs;
+    },
+    get lagWarnSlots() {
+      return lagWarnSlots;
+    },
+    get maxGapSlots() {
+      return maxGapSlots;
+    },
+    get maxReorderSlots() {
+      return maxReorderSlots;
+    },
+  };
+}
+
+// One line per slot warning, as printed by the examples
+function formatSlotWarning(event) {
+  const lag = `~${event.lag_slots} slots (${(event.lag_ms / 1000).toFixed(
+    1
+  )}s) behind`;
+  switch (event.warning) {
+    case "backwards":
+      return `⏪ ${event.stream} went back ${event.slots} slots: ${event.previous_slot} → ${event.slot}`;
+    case "gap":
+      return `⏩ ${event.stream} jumped ahead ${event.slots} slots: ${event.previous_slot} → ${event.slot}`;
+    case "lag":
+      return `🐢 ${event.stream} is falling behind: ${lag} at slot ${event.slot}`;
+    default:
+      return `✅ ${event.stream} caught up: ${lag} at slot ${event.slot}`;
+  }
+}
+
+// Monitor options for the `slots` section of config.yaml. The monitor
+// always runs; the section only tunes it.
+function slotMonitorOptions(section) {
+  if (!section) return {};
+  return {
+    slotTimeMs: section.slot_time_ms,
+    lagWarnSlots: section.lag_warn_slots,
+    maxGapSlots: section.max_gap_slots,
+    maxReorderSlots: section.max_reorder_slots,
+    windowMs: section.window ? parseInterval(section.window) : undefined,
+  };
+}
+
+module.exports = {
+  createSlotMonitor,
+  formatSlotWarning,
+  slotMonitorOptions,
+};
@@ -0,0 +1,363 @@
+const { normalizeMessage } = require("./normalize");
+
+const DEFAULT_BATCH_SIZE = 1000;
+const DEFAULT_FLUSH_INTERVAL_MS = 1000;
+
+// Bumped for changes that adding columns can't express (renames, type
+// changes); MIGRATIONS[n] then upgrades a version n-1 database to n.
+const SCHEMA_VERSION = 1;
+const MIGRATIONS = {};
+
+// Columns every table starts with, taken from the normalized envelope.
+// `event` keeps the whole payload as JSON, so fields the protos add later
+// are stored before they get a column of their own.
+const ENVELOPE_COLUMNS = [
+  ["slot", "INTEGER", (row) => (row.slot === null ? null : Number(row.slot))],
+  ["signature", "TEXT", (row) => row.signature],
+  ["tx_index", "INTEGER", (row) => row.tx_index],
+  ["success", "INTEGER", (row) => row.success],
+  ["received_at", "TEXT", (row) => row.received_at],
+  ["event", "TEXT", (row) => JSON.stringify(row.event)],
+];
+
+// Table, event columns and indexed columns of each message kind. Getters
+// receive the normalized event (base58 addresses, uint64 as strings) and
+// the whole normalized message.
+// Amounts are TEXT: uint64 doesn't fit SQLite's signed 64-bit INTEGER.
+const SQLITE_TABLES = {
+  trade: {
+    table: "trades",
+    columns: [
+      ["instruction_index", "INTEGER", (e) => e.InstructionIndex],
+      ["side", "TEXT", (e, row) => row.side],
+      ["program", "TEXT", (e) => e.Dex?.ProgramAddress],
+      ["protocol", "TEXT", (e) => e.Dex?.ProtocolName],
+      ["market", "TEXT", (e) => e.Market?.MarketAddress],
+      ["base_mint", "TEXT", (e) => e.Market?.BaseCurrency?.MintAddress],
+      ["quote_mint", "TEXT", (e) => e.Market?.QuoteCurrency?.MintAddress],
+      ["buy_mint", "TEXT", (e) => e.Buy?.Currency?.MintAddress],
+      ["buy_amount", "TEXT", (e) => e.Buy?.Amount],
+      ["buyer", "TEXT", (e) => e.Buy?.Account?.Address],
+      ["sell_mint", "TEXT", (e) => e.Sell?.Currency?.MintAddress],
+      ["sell_amount", "TEXT", (e) => e.Sell?.Amount],
+      ["seller", "TEXT", (e) => e.Sell?.Account?.Address],
+      ["fee", "TEXT", (e) => e.Fee],
+      ["royalty", "TEXT", (e) => e.Royalty],
+    ],
+    indexes: ["market", "buy_mint", "sell_mint", "buyer", "seller"],
+  },
+  order: {
+    table: "orders",
+    columns: [
+      ["instruction_index", "INTEGER", (e) => e.InstructionIndex],
+      ["order_type", "TEXT", (e) => e.Type],
+      ["program", "TEXT", (e) => e.Dex?.ProgramAddress],
+      ["market", "TEXT", (e) => e.Market?.MarketAddress],
+      ["order_id", "TEXT", (e) => e.Order?.OrderId],
+      ["buy_side", "INTEGER", (e) => e.Order?.BuySide],
+      ["limit_price", "TEXT", (e) => e.Order?.LimitPrice],
+      ["limit_amount", "TEXT", (e) => e.Order?.LimitAmount],
+      ["account", "TEXT", (e) => e.Order?.Account],
+      ["owner", "TEXT", (e) => e.Order?.Owner],
+      ["payer", "TEXT", (e) => e.Order?.Payer],
+      ["mint", "TEXT", (e) => e.Order?.Mint],
+    ],
+    indexes: ["market", "mint", "owner"],
+  },
+  poolEvent: {
+    table: "pool_events",
+    columns: [
+      ["instruction_index", "INTEGER", (e) => e.InstructionIndex],
+      ["program", "TEXT", (e) => e.Dex?.ProgramAddress],
+      ["market", "TEXT", (e) => e.Market?.MarketAddress],
+      ["base_mint", "TEXT", (e) => e.Market?.BaseCurrency?.MintAddress],
+      ["quote_mint", "TEXT", (e) => e.Market?.QuoteCurrency?.MintAddress],
+      ["base_change", "TEXT", (e) => e.BaseCurrency?.ChangeAmount],
+      ["base_post", "TEXT", (e) => e.BaseCurrency?.PostAmount],
+      ["quote_change", "TEXT", (e) => e.QuoteCurrency?.ChangeAmount],
+      ["quote_post", "TEXT", (e) => e.QuoteCurrency?.PostAmount],
+    ],
+    indexes: ["market", "base_mint", "quote_mint"],
+  },
+  transfer: {
+    table: "transfers",
+    columns: [
+      ["instruction_index", "INTEGER", (e) => e.InstructionIndex],
+      ["mint", "TEXT", (e) => e.Currency?.MintAddress],
+      ["amount", "TEXT", (e) => e.Amount],
+      ["sender", "TEXT", (e) => e.Sender?.Address],
+      ["receiver", "TEXT", (e) => e.Receiver?.Address],
+      ["authority", "TEXT", (e) => e.Authority?.Address],
+    ],
+    indexes: ["mint", "sender", "receiver"],
+  },
+  balanceUpdate: {
+    table: "balance_updates",
+    columns: [
+      ["mint", "TEXT", (e) => e.Currency?.MintAddress],
+      ["account_index", "INTEGER", (e) => e.BalanceUpdate?.AccountIndex],
+      ["pre_balance", "TEXT", (e) => e.BalanceUpdate?.PreBalance],
+      ["post_balance", "TEXT", (e) => e.BalanceUpdate?.PostBalance],
+    ],
+    indexes: ["mint"],
+  },
+  transaction: {
+    table: "transactions",
+    columns: [
+      ["signer", "TEXT", (e) => e.Header?.Signer],
+      ["fee_payer", "TEXT", (e) => e.Header?.FeePayer],
+      ["fee", "TEXT", (e) => e.Header?.Fee],
+      [
+        "instruction_count",
+        "INTEGER",
+        (e) => (e.ParsedIdlInstructions || []).length,
+      ],
+    ],
+    indexes: ["signer"],
+  },
+  // Closed candles of the candle engine rather than stream messages
+  candle: {
+    table: "candles",
+    envelope: false,
+    columns: [
+      ["market", "TEXT", (c) => c.market],
+      ["interval", "TEXT", (c) => c.interval],
+      ["start", "TEXT", (c) => c.start],
+      ["end", "TEXT", (c) => c.end],
+      ["base_mint", "TEXT", (c) => c.base_mint],
+      ["quote_mint", "TEXT", (c) => c.quote_mint],
+      ["open", "REAL", (c) => c.open],
+      ["high", "REAL", (c) => c.high],
+      ["low", "REAL", (c) => c.low],
+      ["close", "REAL", (c) => c.close],
+      ["volume", "REAL", (c) => c.volume],
+      ["quote_volume", "REAL", (c) => c.quote_volume],
+      ["trades", "INTEGER", (c) => c.trades],
+      ["first_slot", "INTEGER", (c) => c.first_slot],
+      ["last_slot", "INTEGER", (c) => c.last_slot],
+    ],
+    indexes: ["market", "start"],
+  },
+};
+
+// Columns of a SQLITE_TABLES entry, envelope first
+function tableColumns(spec) {
+  return spec.envelope === false
+    ? spec.columns
+    : [...ENVELOPE_COLUMNS, ...spec.columns];
+}
+
+// SQLite binds numbers, strings, bigints, buffers and null only
+function toSqlValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value;
+}
+
+function openDatabase(file) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    throw new Error(
+      "The sqlite sink needs the better-sqlite3 package: npm install better-sqlite3"
+    );
+  }
+
+  const db = new Database(file);
+  // WAL lets other processes query the file while the stream writes to it
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  return db;
+}
+
+// Create missing tables, columns and indexes and run pending MIGRATIONS.
+// Columns added to SQLITE_TABLES are added to existing databases here; rows
+// written before are NULL in them (backfill with json_extract(event, ...)).
+function migrate(db) {
+  const version = db.pragma("user_version", { simple: true });
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema version ${version} is newer than this client supports (${SCHEMA_VERSION})`
+    );
+  }
+
+  db.transaction(() => {
+    for (let next = version + 1; next <= SCHEMA_VERSION; next++) {
+      if (MIGRATIONS[next]) MIGRATIONS[next](db);
+    }
+
+    for (const spec of Object.values(SQLITE_TABLES)) {
+      const { table, indexes } = spec;
+      const all = tableColumns(spec);
+      db.exec(
+        `CREATE TABLE IF NOT EXISTS ${table} (id INTEGER PRIMARY KEY, ${all
+          .map(([name, type]) => `"${name}" ${type}`)
+          .join(", ")})`
+      );
+
+      const existing = new Set(
+        db.pragma(`table_info(${table})`).map((column) => column.name)
+      );
+      for (const [name, type] of all) {
+        if (!existing.has(name)) {
+          db.exec(`ALTER TABLE ${table} ADD COLUMN "${name}" ${type}`);
+        }
+      }
+
+      const indexed =
+        spec.envelope === false ? indexes : ["slot", "signature", ...indexes];
+      for (const column of indexed) {
+        db.exec(
+          `CREATE INDEX IF NOT EXISTS ${table}_${column} ON ${table} ("${column}")`
+        );
+      }
+    }
+
+    db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  })();
+}
+
+// Persist stream messages into a SQLite database, one table per message
+// kind (see SQLITE_TABLES). Rows are queued and inserted in one transaction
+// per batch: every `batchSize` rows or `flushIntervalMs`, whichever first.
+// Inserts are synchronous, so the sink never falls behind the stream and
+// is never `busy`.
+//
+// Insert errors (a full disk, a locked or read-only file) never escape,
+// whether the batch was flushed by a write, the timer or close(): the
+// batch's rows are dropped (`failed`) and the error goes to `onError`.
+//
+// options.file            - database file (created if missing)
+// options.batchSize       - rows per transaction (default 1000)
+// options.flushIntervalMs - longest time a row waits (default 1000)
+// options.onError         - called with (error, rows) when a batch fails
+function createSqliteSink(options = {}) {
+  if (!options.file) {
+    throw new Error("createSqliteSink requires options.file");
+  }
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const flushIntervalMs = options.flushIntervalMs || DEFAULT_FLUSH_INTERVAL_MS;
+  const onError = options.onError || (() => {});
+
+  const db = openDatabase(options.file);
+  migrate(db);
+
+  const inserts = {};
+  for (const [kind, spec] of Object.entries(SQLITE_TABLES)) {
+    const names = tableColumns(spec).map(([name]) => `"${name}"`);
+    inserts[kind] = db.prepare(
+      `INSERT INTO ${spec.table} (${names.join(", ")}) VALUES (${names
+        .map(() => "?")
+        .join(", ")})`
+    );
+  }
+
+  const insertBatch = db.transaction((rows) => {
+    for (const [kind, values] of rows) inserts[kind].run(values);
+  });
+
+  let queue = [];
+  let written = 0;
+  let failed = 0;
+  let flushTimer = null;
+  let closed = false;
+
+  function flush() {
+    if (queue.length === 0) return;
+    const rows = queue;
+    queue = [];
+    try {
+      insertBatch(rows);
+      written += rows.length;
+    } catch (error) {
+      failed += rows.length;
+      onError(error, rows.length);
+    }
+  }
+
+  function enqueue(kind, values) {
+    queue.push([kind, values]);
+
+    if (queue.length >= batchSize) {
+      flush();
+    }
+    if (!flushTimer) {
+      flushTimer = setInterval(flush, flushIntervalMs);
+    }
+  }
+
+  // Queue one stream message. Returns false for messages without an event.
+  function write(message, receivedTimestamp = Date.now()) {
+    if (closed) return false;
+    const row = normalizeMessage(message, receivedTimestamp);
+    if (!row) return false;
+
+    const { columns } = SQLITE_TABLES[row.type];
+    enqueue(row.type, [
+      ...ENVELOPE_COLUMNS.map(([, , get]) => toSqlValue(get(row))),
+      ...columns.map(([, , get]) => toSqlValue(get(row.event, row))),
+    ]);
+    return true;
+  }
+
+  // Queue one closed candle from createCandleEngine()
+  function writeCandle(candle) {
+    if (closed) return false;
+    enqueue(
+      "candle",
+      SQLITE_TABLES.candle.columns.map(([, , get]) => toSqlValue(get(candle)))
+    );
+    return true;
+  }
+
+  function close() {
+    if (closed) return;
+    flush();
+    if (flushTimer) {
+      clearInterval(flushTimer);
+      flushTimer = null;
+    }
+    db.close();
+    closed = true;
+  }
+
+  return {
+    write,
+    writeCandle,
+    flush,
+    close,
+    get file() {
+      return options.file;
+    },
+    get pending() {
+      return queue.length;
+    },
+    get busy() {
+      return false;
+    },
+    get written() {
+      return written;
+    },
+    get failed() {
+      return failed;
+    },
+  };
+}
+
+// Sink options for the `sqlite` section of config.yaml, or null when the
+// section is missing
+function sqliteOptions(section) {
+  if (!section) return null;
+  return {
+    file: section.file,
+    batchSize: section.batch_size,
+    flushIntervalMs: section.flush_interval_ms,
+  };
+}
+
+module.exports = {
+  SQLITE_TABLES,
+  createSqliteSink,
+  sqliteOptions,
+};
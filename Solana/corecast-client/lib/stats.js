@@ -0,0 +1,274 @@
+const { createMetricsRegistry } = require("./metrics");
+
+const COUNTERS = [
+  "messages",
+  "bytes",
+  "trades",
+  "filteredOut",
+  "orders",
+  "poolEvents",
+  "transfers",
+  "balanceUpdates",
+  "transactions",
+  "reconnects",
+  "duplicates",
+  "queueDropped",
+];
+
+// Prometheus counter, help and extra labels behind each stats counter
+const COUNTER_METRICS = {
+  messages: ["corecast_messages_received_total", "Stream messages received"],
+  bytes: [
+    "corecast_received_bytes_total",
+    "JSON size of the stream messages received",
+  ],
+  filteredOut: [
+    "corecast_filtered_out_total",
+    "Trades hidden by the client-side trade_filter",
+  ],
+  reconnects: ["corecast_reconnects_total", "Stream reconnect attempts"],
+  duplicates: [
+    "corecast_duplicates_dropped_total",
+    "Events dropped as already delivered",
+  ],
+  queueDropped: [
+    "corecast_queue_dropped_total",
+    "Stream messages dropped by a full processing queue",
+  ],
+  trades: ["corecast_events_total", "Events shown by type", { type: "trade" }],
+  orders: ["corecast_events_total", "Events shown by type", { type: "order" }],
+  poolEvents: [
+    "corecast_events_total",
+    "Events shown by type",
+    { type: "poolEvent" },
+  ],
+  transfers: [
+    "corecast_events_total",
+    "Events shown by type",
+    { type: "transfer" },
+  ],
+  balanceUpdates: [
+    "corecast_events_total",
+    "Events shown by type",
+    { type: "balanceUpdate" },
+  ],
+  transactions: [
+    "corecast_events_total",
+    "Events shown by type",
+    { type: "transaction" },
+  ],
+};
+
+const PROCESSING_METRIC = "corecast_message_processing_seconds";
+
+// Message processing stats, kept as Prometheus metrics in `registry` so the
+// console reports and a /metrics endpoint read the same counters. `totals`
+// cover the whole run, `interval` the time since the last reset() (one
+// stats report). Resetting only moves the interval's baseline; the metrics
+// keep counting.
+//
+// options.registry - registry from createMetricsRegistry() (default: a new one)
+// options.labels   - labels of this stats' series, e.g. { stream, rpc }
+function createStats(options = {}) {
+  const registry = options.registry || createMetricsRegistry();
+  const labels = options.labels || {};
+  const processing = registry.histogram(
+    PROCESSING_METRIC,
+    "Time spent handling one stream message"
+  );
+
+  const counters = {};
+  for (const name of COUNTERS) {
+    const [metric, help, extra] = COUNTER_METRICS[name];
+    counters[name] = {
+      counter: registry.counter(metric, help),
+      labels: { ...labels, ...extra },
+    };
+    // Export zeros before the first increment
+    counters[name].counter.inc(counters[name].labels, 0);
+  }
+
+  // Counter values, plus the messages timed and the seconds they took
+  function readTotals() {
+    const totals = {};
+    for (const name of COUNTERS) {
+      totals[name] = counters[name].counter.get(counters[name].labels);
+    }
+    const { count, sum } = processing.get(labels);
+    totals.processed = count;
+    totals.processingSeconds = sum;
+    return totals;
+  }
+
+  const startTime = Date.now();
+  let intervalStart = startTime;
+  let baseline = readTotals();
+
+  return {
+    increment(name, amount = 1) {
+      const entry = counters[name];
+      if (!entry) throw new Error(`Unknown stats counter: ${name}`);
+      entry.counter.inc(entry.labels, amount);
+    },
+
+    // Time one message; call the returned function when it is handled
+    startTimer() {
+      const start = process.hrtime.bigint();
+      return () => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        processing.observe(labels, seconds);
+        return seconds;
+      };
+    },
+
+    reset() {
+      baseline = readTotals();
+      intervalStart = Date.now();
+    },
+
+    // Drop this stats' series from the registry, e.g. for a stream that is
+    // stopped for good
+    remove() {
+      for (const { counter, labels: series } of Object.values(counters)) {
+        counter.remove(series);
+      }
+      processing.remove(labels);
+    },
+
+    get interval() {
+      const totals = readTotals();
+      const interval = {};
+      for (const name of Object.keys(totals)) {
+        interval[name] = totals[name] - baseline[name];
+      }
+      return interval;
+    },
+
+    get totals() {
+      return readTotals();
+    },
+
+    get registry() {
+      return registry;
+    },
+
+    get startTime() {
+      return startTime;
+    },
+
+    get intervalStart() {
+      return intervalStart;
+    },
+  };
+}
+
+// Stats report of the filtered streamers (pumpfun / letsbonk).
+// `system` carries cacheSize and logBufferSize for the System section,
+// `queue`, the stream's createPipeline(), for its depth there, `name` to
+// tell apart the reports of several subscriptions and `slots`, the stream's
+// createSlotMonitor() describe(), for the Slots section.
+function formatStats(stats, system = {}, now = Date.now()) {
+  const counts = stats.interval;
+  const elapsedMs = now - stats.intervalStart;
+  const messagesPerSecond =
+    counts.messages > 0 ? (counts.messages * 1000) / elapsedMs : 0;
+  const avgMessageSize =
+    counts.messages > 0 ? (counts.bytes / counts.messages).toFixed(2) : 0;
+  const dataRateMBps =
+    counts.messages > 0 ? counts.bytes / (1024 * 1024) / (elapsedMs / 1000) : 0;
+  const avgProcessingMs =
+    counts.processed > 0
+      ? ((counts.processingSeconds * 1000) / counts.processed).toFixed(3)
+      : 0;
+
+  const { queue, slots } = system;
+  return [
+    system.name
+      ? `\n=== Performance Stats: ${system.name} ===`
+      : "\n=== Performance Stats ===",
+    `Messages received: ${counts.messages}`,
+    `Messages shown: ${counts.trades}`,
+    `Messages filtered out: ${counts.filteredOut}`,
+    `Duplicates dropped: ${counts.duplicates}`,
+    `Dropped by full queue: ${counts.queueDropped}`,
+    `Rate: ${messagesPerSecond.toFixed(2)} msg/sec`,
+    `Total data: ${(counts.bytes / 1024).toFixed(2)} KB`,
+    `Data rate: ${dataRateMBps.toFixed(2)} MB/sec`,
+    `Avg message size: ${avgMessageSize} bytes`,
+    `Avg processing time: ${avgProcessingMs} ms`,
+    `Reconnects: ${counts.reconnects}`,
+    "",
+    "Message Types:",
+    `  Transactions: ${counts.transactions}`,
+    `  Trades shown: ${counts.trades}`,
+    `  Orders: ${counts.orders}`,
+    `  Pool Events: ${counts.poolEvents}`,
+    `  Transfers: ${counts.transfers}`,
+    `  Balance Updates: ${counts.balanceUpdates}`,
+    ...(slots
+      ? [
+          "",
+          "Slots:",
+          `  Highest slot: ${slots.highestSlot}`,
+          `  Estimated lag: ${slots.lagSlots} slots (${(
+            slots.lagMs / 1000
+          ).toFixed(1)}s)`,
+          `  Gaps: ${slots.gaps}`,
+          `  Backward jumps: ${slots.backwards}`,
+          `  Reorders: ${slots.reorders}`,
+        ]
+      : []),
+    "",
+    "System:",
+    `  Cache size: ${system.cacheSize}`,
+    `  Log buffer size: ${system.logBufferSize}`,
+    ...(queue
+      ? [
+          `  Queue depth: ${queue.depth}/${queue.queueSize} (peak ${
+            queue.peak
+          }, ${queue.overflow}${queue.paused ? ", stream paused" : ""})`,
+        ]
+      : []),
+    `  Memory usage: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(
+      2
+    )} MB`,
+  ].join("\n");
+}
+
+// Trade throughput report of streams with `output.format: none`, such as
+// the 1million_trades streamer's
+function formatPerformanceStats(stats, now = Date.now()) {
+  const totalElapsed = (now - stats.startTime) / 1000; // seconds
+  const intervalElapsed = (now - stats.intervalStart) / 1000; // seconds
+  const tradeCount = stats.totals.trades;
+  const tradesInLastInterval = stats.interval.trades;
+
+  const avgTradesPerSecond = (tradeCount / totalElapsed).toFixed(2);
+  const intervalTradesPerSecond = (
+    tradesInLastInterval / intervalElapsed
+  ).toFixed(2);
+
+  return [
+    "\n" + "=".repeat(60),
+    "PERFORMANCE STATISTICS",
+    "=".repeat(60),
+    `  Total Trades Parsed: ${tradeCount.toLocaleString()}`,
+    `  Total Runtime: ${Math.floor(totalElapsed / 60)}m ${Math.floor(
+      totalElapsed % 60
+    )}s`,
+    `  Average Rate: ${avgTradesPerSecond} trades/sec`,
+    `  Current Rate: ${intervalTradesPerSecond} trades/sec (last ${Math.floor(
+      intervalElapsed
+    )}s)`,
+    `  Trades in Last Interval: ${tradesInLastInterval}`,
+    `  Duplicates Dropped: ${stats.totals.duplicates.toLocaleString()}`,
+    `  Dropped by Full Queue: ${stats.totals.queueDropped.toLocaleString()}`,
+    "=".repeat(60) + "\n",
+  ].join("\n");
+}
+
+module.exports = {
+  createStats,
+  formatPerformanceStats,
+  formatStats,
+};
@@ -0,0 +1,86 @@
+const { STREAM_METHODS } = require("./request");
+
+// "none" counts a stream's events without writing them, for throughput runs
+const OUTPUT_FORMATS = ["text", "ndjson", "none"];
+
+// Destination ("console" or a file path) and format of a stream's events.
+// `output` is a file path / "console", or a mapping { format, file }; the
+// top-level `output` mapping provides the defaults.
+function resolveOutput(output, defaults) {
+  if (typeof output === "string") {
+    return { output, format: defaults.format };
+  }
+
+  const { format = defaults.format, file = defaults.output } = output || {};
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(
+      `output.format must be one of: ${OUTPUT_FORMATS.join(", ")}`
+    );
+  }
+  return { output: file || "console", format };
+}
+
+// Normalize the subscriptions in config.yaml into a list of
+// { name, type, filters, tradeFilter, output, format } entries.
+//
+// A `streams:` list runs one subscription per entry; entries without their
+// own `filters` / `trade_filter` use the top-level ones. Without `streams:`
+// the single `stream.type` subscription of older configs is returned.
+function resolveStreams(config) {
+  const defaults = {
+    filters: config.filters || {},
+    tradeFilter: config.trade_filter || "alltrades",
+    ...resolveOutput(config.output, { format: "text" }),
+  };
+
+  if (!config.streams) {
+    const type = config.stream && config.stream.type;
+    return [validateStream({ ...defaults, name: type, type })];
+  }
+
+  if (!Array.isArray(config.streams) || config.streams.length === 0) {
+    throw new Error("streams must be a non-empty list");
+  }
+
+  const names = new Set();
+  return config.streams.map((entry, index) => {
+    const stream = validateStream(
+      {
+        name: entry.name || entry.type,
+        type: entry.type,
+        filters: entry.filters || defaults.filters,
+        tradeFilter: entry.trade_filter || defaults.tradeFilter,
+        ...resolveOutput(entry.output, defaults),
+      },
+      index
+    );
+
+    if (names.has(stream.name)) {
+      throw new Error(
+        `streams[${index}]: duplicate name "${stream.name}", set a unique name`
+      );
+    }
+    names.add(stream.name);
+
+    return stream;
+  });
+}
+
+function validateStream(stream, index) {
+  const where = index === undefined ? "stream" : `streams[${index}]`;
+
+  if (!STREAM_METHODS[stream.type]) {
+    throw new Error(
+      `${where}: unknown type "${stream.type}". Must be one of: ${Object.keys(
+        STREAM_METHODS
+      ).join(", ")}`
+    );
+  }
+
+  return stream;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  resolveStreams,
+};
@@ -0,0 +1,204 @@
+const { createReconnector, isRetryableError } = require("./reconnect");
+const { openStream } = require("./request");
+
+// A single CoreCast subscription: opens the stream for `streamType`, wires
+// the callbacks and, when `reconnect` is set, reopens it with backoff after
+// retryable errors or unexpected ends.
+//
+// options.client, options.metadata - from createClient()
+// options.streamType               - `stream.type` value, e.g. "dex_trades"
+// options.request                  - Subscribe*Request from createRequest()
+// options.onData(message)          - called for every stream message
+// options.onError(error)           - stream failed
+// options.onEnd()                  - stream ended without error
+// options.onStatus(status)         - gRPC status received
+// options.reconnect                - false, true or createReconnector() options
+// options.onReconnecting(delay, attempt)
+// options.onReconnectAttempt(attempt)
+// options.onReconnected({ attempts, lastSlot, resumedSlot })
+// options.onReconnectFailed(error)
+// options.onFatal(error)           - non-retryable error, not reconnecting
+// options.onGiveUp(attempts)       - reconnect `maxAttempts` used up
+//
+// `state` tells where the subscription is: "idle" before start(),
+// "connecting" until the server answers, "connected", "reconnecting" while
+// a retry is pending or the reopened stream hasn't answered yet, "failed"
+// after onFatal / onGiveUp (or an error without `reconnect`) and "stopped"
+// after stop() or an end without `reconnect`.
+//
+// pause() stops the delivery of messages, e.g. while a createPipeline()
+// queue is full, until resume(). The server holds them back meanwhile, and
+// a stream reopened while paused starts paused.
+function createSubscription(options) {
+  const { client, metadata, streamType, request } = options;
+  const reconnector = options.reconnect
+    ? createReconnector(options.reconnect === true ? {} : options.reconnect)
+    : null;
+
+  let currentStream = null;
+  let stopped = false;
+  let lastSlot = null;
+  let state = "idle";
+  let startedAt = null;
+  let lastMessageAt = null;
+  let paused = false;
+  // Last slot seen before the current stream dropped, set while reconnecting
+  let slotBeforeDrop = null;
+
+  function cancelStream() {
+    if (currentStream) {
+      const stream = currentStream;
+      currentStream = null;
+      try {
+        stream.cancel();
+      } catch (error) {
+        // Stream already closed
+      }
+    }
+  }
+
+  function retry(error) {
+    cancelStream();
+    if (stopped) return;
+    if (!reconnector) {
+      state = error ? "failed" : "stopped";
+      return;
+    }
+
+    if (!isRetryableError(error)) {
+      state = "failed";
+      if (options.onFatal) options.onFatal(error);
+      return;
+    }
+
+    if (reconnector.attempts === 0) slotBeforeDrop = lastSlot;
+
+    state = "reconnecting";
+    reconnector.schedule(start, {
+      onScheduled: options.onReconnecting,
+      onAttempt: options.onReconnectAttempt,
+      onFailed: options.onReconnectFailed,
+      onExhausted: (attempts) => {
+        state = "failed";
+        if (options.onGiveUp) options.onGiveUp(attempts);
+      },
+    });
+  }
+
+  // The reopened stream delivered its first message: report the resume
+  // point and start counting attempts from zero again.
+  function resumed(message) {
+    const attempts = reconnector.attempts;
+    reconnector.reset();
+    if (options.onReconnected) {
+      options.onReconnected({
+        attempts,
+        lastSlot: slotBeforeDrop,
+        resumedSlot: message.Block?.Slot || null,
+      });
+    }
+    slotBeforeDrop = null;
+  }
+
+  function start() {
+    stopped = false;
+    if (startedAt === null) startedAt = Date.now();
+    if (state !== "reconnecting") state = "connecting";
+    const stream = openStream(client, streamType, request, metadata);
+    currentStream = stream;
+
+    // Response headers: the server accepted the subscription
+    stream.on("metadata", () => {
+      if (
+        stream === currentStream &&
+        (state === "connecting" || state === "reconnecting")
+      ) {
+        state = "connected";
+      }
+    });
+
+    stream.on("data", (message) => {
+      if (stream !== currentStream) return;
+      if (reconnector && reconnector.attempts > 0) resumed(message);
+      state = "connected";
+      lastMessageAt = Date.now();
+      if (message.Block?.Slot) lastSlot = message.Block.Slot;
+      options.onData(message);
+    });
+
+    stream.on("error", (error) => {
+      // Ignore errors from streams we cancelled ourselves
+      if (stopped || stream !== currentStream) return;
+      if (options.onError) options.onError(error);
+      retry(error);
+    });
+
+    stream.on("end", () => {
+      if (stopped || stream !== currentStream) return;
+      if (options.onEnd) options.onEnd();
+      retry(null);
+    });
+
+    stream.on("status", (status) => {
+      if (options.onStatus) options.onStatus(status);
+    });
+
+    if (paused) stream.pause();
+    return stream;
+  }
+
+  function stop() {
+    stopped = true;
+    if (state !== "failed") state = "stopped";
+    if (reconnector) reconnector.cancel();
+    cancelStream();
+  }
+
+  function pause() {
+    paused = true;
+    if (currentStream) currentStream.pause();
+  }
+
+  function resume() {
+    paused = false;
+    if (currentStream) currentStream.resume();
+  }
+
+  return {
+    start,
+    stop,
+    pause,
+    resume,
+    get stream() {
+      return currentStream;
+    },
+    get reconnector() {
+      return reconnector;
+    },
+    get lastSlot() {
+      return lastSlot;
+    },
+    get state() {
+      return state;
+    },
+    get paused() {
+      return paused;
+    },
+    // Time of the first start(), in ms
+    get startedAt() {
+      return startedAt;
+    },
+    // Time the last message arrived, in ms (null before the first one)
+    get lastMessageAt() {
+      return lastMessageAt;
+    },
+    // Reconnect attempts since the last message (0 while connected)
+    get reconnectAttempt() {
+      return reconnector ? reconnector.attempts : 0;
+    },
+  };
+}
+
+module.exports = {
+  createSubscription,
+};
@@ -0,0 +1,322 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+const { createReconnector } = require("./reconnect");
+
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_FLUSH_INTERVAL_MS = 1000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_QUEUE = 100000;
+// Delivered lines the queue file holds at least before it is compacted
+const COMPACT_AFTER = 1000;
+
+const SIGNATURE_HEADER = "X-CoreCast-Signature";
+const TIMESTAMP_HEADER = "X-CoreCast-Timestamp";
+
+// HTTP statuses worth retrying; other 4xx mean the receiver will never
+// take the batch, so it is dropped
+function isRetryableStatus(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+// Hex HMAC-SHA256 of `${timestamp}.${body}` with the shared secret. Receivers
+// recompute it from the X-CoreCast-Timestamp header and the raw body and
+// compare it with X-CoreCast-Signature ("sha256=<hex>").
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// POST events to an HTTP endpoint in batches of `{ "events": [...] }`.
+//
+// A batch goes out once `batchSize` events are queued or `flushIntervalMs`
+// after the first one. Failed deliveries (network errors, timeouts, 5xx,
+// 408 and 429) are retried with exponential backoff while new events keep
+// queueing; other 4xx responses drop the batch (`rejected`). With
+// `queueFile` the queue is kept on disk as JSON lines, so undelivered
+// events are sent after a restart: new events are appended, the number of
+// delivered lines at its start is kept in `${queueFile}.offset`, and the
+// file is compacted to the queued events once delivered lines outnumber
+// them. Beyond `maxQueue` queued events new ones are dropped (`dropped`);
+// the sink is `busy` once half of that is queued, so callers can hold back
+// events before it comes to that.
+//
+// Errors never escape: failed deliveries and queue file writes go to
+// `onError`, with attempt 0 when nothing is retried.
+//
+// options.url             - endpoint (required)
+// options.secret          - HMAC key for the X-CoreCast-Signature header
+// options.headers         - extra request headers
+// options.batchSize       - events per request (default 100)
+// options.flushIntervalMs - longest wait before a partial batch (default 1000)
+// options.timeoutMs       - request timeout (default 10000)
+// options.maxQueue        - queued events kept at most (default 100000)
+// options.queueFile       - JSON lines file persisting the queue
+// options.retry           - createReconnector() options for the backoff
+// options.onError         - called with (error, attempt, delay) on failures
+function createWebhookSink(options = {}) {
+  if (!options.url) {
+    throw new Error("createWebhookSink requires options.url");
+  }
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const flushIntervalMs = options.flushIntervalMs || DEFAULT_FLUSH_INTERVAL_MS;
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const maxQueue = options.maxQueue || DEFAULT_MAX_QUEUE;
+  const { queueFile, secret } = options;
+  const offsetFile = queueFile && `${queueFile}.offset`;
+  const onError = options.onError || (() => {});
+  const retry = createReconnector(options.retry);
+
+  // JSON texts of the queued events, oldest first
+  let queue = [];
+  let fd = null;
+  // Lines at the start of the queue file that were delivered
+  let delivered = 0;
+  let flushTimer = null;
+  let sending = false;
+  let closed = false;
+  let sent = 0;
+  let failures = 0;
+  let rejected = 0;
+  let dropped = 0;
+  let restored = 0;
+
+  if (queueFile) {
+    if (fs.existsSync(queueFile)) {
+      const lines = fs
+        .readFileSync(queueFile, "utf8")
+        .split("\n")
+        .filter((line) => line.trim());
+      if (fs.existsSync(offsetFile)) {
+        const offset = parseInt(fs.readFileSync(offsetFile, "utf8"), 10);
+        delivered = Math.min(offset || 0, lines.length);
+      }
+      queue = lines.slice(delivered);
+      restored = queue.length;
+    } else {
+      fs.rmSync(offsetFile, { force: true });
+    }
+    fd = fs.openSync(queueFile, "a");
+  }
+
+  // Record `count` more delivered lines, and rewrite the queue file with
+  // the queued events once it holds more delivered lines than those
+  function persist(count) {
+    if (!queueFile) return;
+    delivered += count;
+    if (delivered < COMPACT_AFTER || delivered < queue.length) {
+      fs.writeFileSync(offsetFile, String(delivered));
+      return;
+    }
+
+    // The offset goes first: a crash in between sends events again rather
+    // than skipping queued ones
+    fs.writeFileSync(offsetFile, "0");
+    delivered = 0;
+    fs.closeSync(fd);
+    try {
+      const temp = `${queueFile}.tmp`;
+      fs.writeFileSync(temp, queue.map((line) => `${line}\n`).join(""));
+      fs.renameSync(temp, queueFile);
+    } finally {
+      fd = fs.openSync(queueFile, "a");
+    }
+  }
+
+  function scheduleFlush() {
+    if (flushTimer || closed || !queue.length) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      deliver();
+    }, flushIntervalMs);
+  }
+
+  async function post(body) {
+    const timestamp = String(Date.now());
+    const headers = {
+      "Content-Type": "application/json",
+      ...options.headers,
+      [TIMESTAMP_HEADER]: timestamp,
+    };
+    if (secret) {
+      headers[SIGNATURE_HEADER] = `sha256=${signPayload(
+        secret,
+        timestamp,
+        body
+      )}`;
+    }
+
+    const response = await fetch(options.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    // Free the connection; the response body is not used
+    await response.arrayBuffer().catch(() => {});
+    return response.status;
+  }
+
+  // Send the oldest batch; the next one follows right away while full
+  // batches are waiting
+  async function deliverBatch() {
+    if (sending || closed || retry.pending || !queue.length) return;
+    sending = true;
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+
+    const batch = queue.slice(0, batchSize);
+    const body = `{"events":[${batch.join(",")}]}`;
+    let error = null;
+    try {
+      const status = await post(body);
+      if (status >= 200 && status < 300) {
+        sent += batch.length;
+      } else if (isRetryableStatus(status)) {
+        error = new Error(`HTTP ${status}`);
+      } else {
+        rejected += batch.length;
+        onError(new Error(`HTTP ${status}, batch dropped`), 0, 0);
+      }
+    } catch (caught) {
+      error = caught;
+    }
+    sending = false;
+    if (closed) return;
+
+    if (error) {
+      failures++;
+      retry.schedule(deliver, {
+        onScheduled: (delay, attempt) => onError(error, attempt, delay),
+      });
+      return;
+    }
+
+    retry.reset();
+    queue.splice(0, batch.length);
+    persist(batch.length);
+    if (queue.length >= batchSize) {
+      deliver();
+    } else {
+      scheduleFlush();
+    }
+  }
+
+  // deliverBatch() without rejections, whatever calls it
+  function deliver() {
+    return deliverBatch().catch((error) => {
+      sending = false;
+      onError(error, 0, 0);
+    });
+  }
+
+  // Queue one event (any JSON-serializable value). Returns false when the
+  // queue is full or the sink is closed.
+  function send(event) {
+    if (closed) return false;
+    if (queue.length >= maxQueue) {
+      dropped++;
+      return false;
+    }
+
+    const line = JSON.stringify(event);
+    queue.push(line);
+    if (fd !== null) {
+      try {
+        fs.writeSync(fd, `${line}\n`);
+      } catch (error) {
+        onError(error, 0, 0);
+      }
+    }
+
+    if (queue.length >= batchSize) {
+      deliver();
+    } else {
+      scheduleFlush();
+    }
+    return true;
+  }
+
+  // Stop sending. Queued events stay in `queueFile` for the next start;
+  // without one they are lost.
+  function close() {
+    if (closed) return;
+    closed = true;
+    retry.cancel();
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+    }
+  }
+
+  // Events restored from `queueFile` go out right away
+  if (queue.length) deliver();
+
+  return {
+    send,
+    close,
+    flush: deliver,
+    get url() {
+      return options.url;
+    },
+    get pending() {
+      return queue.length;
+    },
+    get busy() {
+      return queue.length >= maxQueue / 2;
+    },
+    get sent() {
+      return sent;
+    },
+    get failures() {
+      return failures;
+    },
+    get rejected() {
+      return rejected;
+    },
+    get dropped() {
+      return dropped;
+    },
+    get restored() {
+      return restored;
+    },
+  };
+}
+
+// Sink options for the `webhook` section of config.yaml (or a `webhook`
+// entry of `alerts.sinks`), or null when it is missing
+function webhookOptions(section) {
+  if (!section) return null;
+  const retry = section.retry || {};
+  return {
+    url: section.url,
+    secret: section.secret,
+    headers: section.headers,
+    batchSize: section.batch_size,
+    flushIntervalMs: section.flush_interval_ms,
+    timeoutMs: section.timeout_ms,
+    maxQueue: section.max_queue,
+    queueFile: section.queue_file,
+    retry: {
+      initialDelay: retry.initial_delay_ms,
+      maxDelay: retry.max_delay_ms,
+      jitter: retry.jitter,
+    },
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  createWebhookSink,
+  signPayload,
+  webhookOptions,
+};
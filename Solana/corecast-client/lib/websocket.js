@@ -0,0 +1,385 @@
+const { KIND_FIELDS } = require("./kinds");
+
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PATH = "/";
+const DEFAULT_MAX_BUFFERED_BYTES = 1024 * 1024;
+const DEFAULT_HEARTBEAT_MS = 30000;
+
+// What happens to a client whose unsent data passes maxBufferedBytes
+const SLOW_CLIENT_POLICIES = ["drop", "disconnect"];
+// Lists a client can send in a subscribe message
+const SUBSCRIPTION_FILTERS = ["types", "tokens", "traders", "programs"];
+
+// Close codes: "Going Away" on shutdown, "Try Again Later" for clients
+// over maxClients and slow clients
+const CLOSE_TRY_AGAIN_LATER = 1013;
+const CLOSE_GOING_AWAY = 1001;
+
+function loadWebSocket() {
+  try {
+    return require("ws");
+  } catch (error) {
+    throw new Error(
+      "The websocket server needs the ws package: npm install ws"
+    );
+  }
+}
+
+function addresses(...values) {
+  return values.filter((value) => typeof value === "string" && value);
+}
+
+function accountAddresses(...accounts) {
+  return addresses(
+    ...accounts.flatMap((account) => [account?.Address, account?.Token?.Owner])
+  );
+}
+
+// Mints, wallets and programs of a normalizeMessage() event, matched
+// against the clients' subscriptions
+function eventAddresses(normalized) {
+  const e = normalized.event || {};
+  const market = addresses(
+    e.Market?.BaseCurrency?.MintAddress,
+    e.Market?.QuoteCurrency?.MintAddress
+  );
+  const program = addresses(e.Dex?.ProgramAddress);
+
+  switch (normalized.type) {
+    case "trade":
+      return {
+        tokens: [
+          ...addresses(
+            e.Buy?.Currency?.MintAddress,
+            e.Sell?.Currency?.MintAddress
+          ),
+          ...market,
+        ],
+        traders: accountAddresses(e.Buy?.Account, e.Sell?.Account),
+        programs: program,
+      };
+    case "order":
+      return {
+        tokens: [...addresses(e.Order?.Mint), ...market],
+        traders: addresses(e.Order?.Account, e.Order?.Owner, e.Order?.Payer),
+        programs: program,
+      };
+    case "poolEvent":
+      return { tokens: market, traders: [], programs: program };
+    case "transfer":
+      return {
+        tokens: addresses(e.Currency?.MintAddress),
+        traders: accountAddresses(e.Sender, e.Receiver, e.Authority),
+        programs: [],
+      };
+    case "balanceUpdate":
+      return {
+        tokens: addresses(e.Currency?.MintAddress),
+        traders: [],
+        programs: [],
+      };
+    case "transaction":
+      return {
+        tokens: [],
+        traders: addresses(e.Header?.Signer, e.Header?.FeePayer),
+        programs: addresses(
+          ...(e.ParsedIdlInstructions || []).map(
+            (instruction) => instruction.Program?.Address
+          )
+        ),
+      };
+    default:
+      return { tokens: [], traders: [], programs: [] };
+  }
+}
+
+// A client's subscription from its subscribe message: { types, tokens,
+// traders, programs } as Sets, null for the lists it left out. Throws on
+// malformed lists.
+function parseSubscription(request) {
+  const subscription = {};
+  for (const key of SUBSCRIPTION_FILTERS) {
+    const values = request[key];
+    if (values === undefined || values === null) {
+      subscription[key] = null;
+      continue;
+    }
+    if (
+      !Array.isArray(values) ||
+      values.some((value) => typeof value !== "string")
+    ) {
+      throw new Error(`${key} must be a list of strings`);
+    }
+    if (key === "types") {
+      const unknown = values.find((value) => !KIND_FIELDS[value]);
+      if (unknown) {
+        throw new Error(
+          `Unknown type "${unknown}", expected: ${Object.keys(KIND_FIELDS).join(
+            ", "
+          )}`
+        );
+      }
+    }
+    subscription[key] = values.length ? new Set(values) : null;
+  }
+  return subscription;
+}
+
+// An event matches when it passes every list the subscription has: its
+// type is in `types` and one of its mints, wallets and programs is in
+// `tokens`, `traders` and `programs`
+function matchSubscription(subscription, normalized, found) {
+  if (subscription.types && !subscription.types.has(normalized.type)) {
+    return false;
+  }
+  for (const key of ["tokens", "traders", "programs"]) {
+    const wanted = subscription[key];
+    if (wanted && !found[key].some((address) => wanted.has(address))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function describeSubscription(subscription) {
+  const filters = {};
+  for (const key of SUBSCRIPTION_FILTERS) {
+    if (subscription[key]) filters[key] = [...subscription[key]];
+  }
+  return filters;
+}
+
+// Rebroadcast stream events to local WebSocket clients, so one upstream
+// CoreCast subscription feeds any number of dashboards and scripts.
+//
+// Clients get nothing until they send a subscribe message:
+//
+//   { "op": "subscribe", "types": [...], "tokens": [...],
+//     "traders": [...], "programs": [...] }
+//
+// Every list is optional (all of them left out subscribes to everything)
+// and a new subscribe replaces the previous one; { "op": "unsubscribe" }
+// stops the events. Events are the normalizeMessage() JSON; the server also
+// sends { type: "subscribed", filters }, { type: "error", message } and
+// { type: "dropped", count } messages.
+//
+// Events are filtered here, in this process, and serialized once for all
+// clients that want them. A client whose socket has more than
+// `maxBufferedBytes` waiting to be sent misses events until it catches up
+// ("drop", it is then told how many) or is disconnected with close code
+// 1013 ("disconnect"), so one slow consumer never holds up the others or
+// grows this process's memory.
+//
+// options.port             - port to listen on (required, 0 picks one)
+// options.host             - interface to listen on (default 127.0.0.1)
+// options.path             - URL path clients connect to (default /)
+// options.maxClients       - connections accepted at most (default unlimited)
+// options.maxBufferedBytes - unsent bytes per client before it is treated as
+//                            slow (default 1 MiB)
+// options.slowClients      - "drop" (default) or "disconnect"
+// options.heartbeatMs      - ping interval; clients that miss a pong are
+//                            disconnected (default 30000, 0 disables)
+// options.onListening      - called with the bound { address, port }
+// options.onError          - called with server errors
+function createBroadcastServer(options = {}) {
+  if (options.port === undefined || options.port === null) {
+    throw new Error("createBroadcastServer requires options.port");
+  }
+  const slowClients = options.slowClients || "drop";
+  if (!SLOW_CLIENT_POLICIES.includes(slowClients)) {
+    throw new Error(
+      `Invalid slowClients: "${slowClients}". Must be one of: ${SLOW_CLIENT_POLICIES.join(
+        ", "
+      )}`
+    );
+  }
+  const maxBufferedBytes =
+    options.maxBufferedBytes || DEFAULT_MAX_BUFFERED_BYTES;
+  const heartbeatMs = options.heartbeatMs ?? DEFAULT_HEARTBEAT_MS;
+  const onError = options.onError || (() => {});
+  const { WebSocket, WebSocketServer } = loadWebSocket();
+
+  const server = new WebSocketServer({
+    host: options.host || DEFAULT_HOST,
+    port: options.port,
+    path: options.path || DEFAULT_PATH,
+    // Subscribe messages are small; don't buffer large frames from clients
+    maxPayload: 64 * 1024,
+  });
+
+  // socket -> { subscription, alive, dropped }
+  const clients = new Map();
+  let connections = 0;
+  let published = 0;
+  let sent = 0;
+  let dropped = 0;
+  let disconnected = 0;
+
+  function reply(socket, message) {
+    socket.send(JSON.stringify(message));
+  }
+
+  function onMessage(socket, client, data) {
+    let request;
+    try {
+      request = JSON.parse(data.toString("utf8"));
+    } catch (error) {
+      reply(socket, { type: "error", message: "Messages must be JSON" });
+      return;
+    }
+
+    if (request?.op === "unsubscribe") {
+      client.subscription = null;
+      reply(socket, { type: "unsubscribed" });
+    } else if (request?.op === "subscribe") {
+      try {
+        client.subscription = parseSubscription(request);
+      } catch (error) {
+        reply(socket, { type: "error", message: error.message });
+        return;
+      }
+      reply(socket, {
+        type: "subscribed",
+        filters: describeSubscription(client.subscription),
+      });
+    } else {
+      reply(socket, {
+        type: "error",
+        message: 'Unknown op, expected "subscribe" or "unsubscribe"',
+      });
+    }
+  }
+
+  server.on("connection", (socket) => {
+    if (options.maxClients && clients.size >= options.maxClients) {
+      socket.close(CLOSE_TRY_AGAIN_LATER, "Too many clients");
+      return;
+    }
+
+    const client = { subscription: null, alive: true, dropped: 0 };
+    clients.set(socket, client);
+    connections++;
+
+    socket.on("message", (data) => onMessage(socket, client, data));
+    socket.on("pong", () => {
+      client.alive = true;
+    });
+    socket.on("close", () => clients.delete(socket));
+    // Errors of one connection only end that connection
+    socket.on("error", () => socket.terminate());
+  });
+
+  server.on("listening", () => {
+    if (options.onListening) options.onListening(server.address());
+  });
+  server.on("error", onError);
+
+  const heartbeat = heartbeatMs
+    ? setInterval(() => {
+        for (const [socket, client] of clients) {
+          if (!client.alive) {
+            socket.terminate();
+            continue;
+          }
+          client.alive = false;
+          socket.ping();
+        }
+      }, heartbeatMs)
+    : null;
+  if (heartbeat) heartbeat.unref();
+
+  // Send a normalizeMessage() event to the clients subscribed to it
+  function publish(normalized) {
+    if (!normalized || !clients.size) return;
+    published++;
+
+    let found = null;
+    let text = null;
+    for (const [socket, client] of clients) {
+      if (!client.subscription || socket.readyState !== WebSocket.OPEN) {
+        continue;
+      }
+      found = found || eventAddresses(normalized);
+      if (!matchSubscription(client.subscription, normalized, found)) continue;
+
+      if (socket.bufferedAmount > maxBufferedBytes) {
+        if (slowClients === "disconnect") {
+          disconnected++;
+          clients.delete(socket);
+          socket.close(CLOSE_TRY_AGAIN_LATER, "Client too slow");
+          // The close frame waits behind the buffered data
+          setTimeout(() => socket.terminate(), 1000).unref();
+        } else {
+          client.dropped++;
+          dropped++;
+        }
+        continue;
+      }
+
+      if (client.dropped) {
+        reply(socket, { type: "dropped", count: client.dropped });
+        client.dropped = 0;
+      }
+      text = text || JSON.stringify(normalized);
+      socket.send(text);
+      sent++;
+    }
+  }
+
+  function close() {
+    if (heartbeat) clearInterval(heartbeat);
+    for (const socket of clients.keys()) {
+      socket.close(CLOSE_GOING_AWAY, "Server shutting down");
+    }
+    clients.clear();
+    server.close();
+  }
+
+  return {
+    publish,
+    close,
+    get address() {
+      return server.address();
+    },
+    get clients() {
+      return clients.size;
+    },
+    get connections() {
+      return connections;
+    },
+    get published() {
+      return published;
+    },
+    get sent() {
+      return sent;
+    },
+    get dropped() {
+      return dropped;
+    },
+    get disconnected() {
+      return disconnected;
+    },
+  };
+}
+
+// Server options for the `websocket` section of config.yaml, or null when
+// the section is missing
+function websocketOptions(section) {
+  if (!section) return null;
+  return {
+    port: section.port,
+    host: section.host,
+    path: section.path,
+    maxClients: section.max_clients,
+    maxBufferedBytes: section.max_buffered_bytes,
+    slowClients: section.slow_clients,
+    heartbeatMs: section.heartbeat_ms,
+  };
+}
+
+module.exports = {
+  SLOW_CLIENT_POLICIES,
+  SUBSCRIPTION_FILTERS,
+  createBroadcastServer,
+  websocketOptions,
+};
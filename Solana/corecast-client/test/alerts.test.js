@@ -0,0 +1,151 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { alertOptions, createAlertEngine } = require("../lib/alerts");
+const { MINTS, WALLETS, tradeMessage, transferMessage } = require("./messages");
+
+const T0 = 1700000000000;
+
+// Buy of 100 PUMP for `sol` SOL
+function buy(sol, options = {}) {
+  return tradeMessage({
+    buy: { amount: 100000000, currency: "PUMP", account: "alice" },
+    sell: { amount: Math.round(sol * 1e9), currency: "WSOL" },
+    ...options,
+  });
+}
+
+// Buy of 100 BONK for `sol` SOL
+function buyBonk(sol) {
+  return tradeMessage({
+    buy: { amount: 10000000, currency: "BONK" },
+    sell: { amount: Math.round(sol * 1e9), currency: "WSOL" },
+  });
+}
+
+function createEngine(rule) {
+  return createAlertEngine({
+    rules: alertOptions({ rules: [{ name: "test", kind: "trade", ...rule }] })
+      .rules,
+  });
+}
+
+describe("createAlertEngine", () => {
+  test("fires on trades that pass every condition", () => {
+    const engine = createEngine({
+      side: "buy",
+      quote: "SOL",
+      tokens: [MINTS.PUMP],
+      min_quote_amount: 1.5,
+    });
+
+    assert.deepEqual(engine.check(buy(1), T0), []);
+    assert.deepEqual(engine.check(buyBonk(2), T0), []);
+    const [alert] = engine.check(buy(2), T0);
+    assert.equal(alert.rule, "test");
+    assert.equal(alert.side, "buy");
+    assert.equal(alert.mint, MINTS.PUMP);
+    assert.equal(alert.amount, "100");
+    assert.equal(alert.quote_amount, "2");
+    assert.equal(alert.quote, "WSOL");
+    assert.equal(alert.trader, null);
+    assert.equal(alert.received_at, new Date(T0).toISOString());
+    assert.equal(engine.fired, 1);
+  });
+
+  test("matches amounts and supply share in token units", () => {
+    const amount = createEngine({ min_amount: "100" });
+    assert.equal(amount.check(buy(1), T0).length, 1);
+
+    // 100 PUMP of a 1,000,000 supply is 0.01%
+    const share = createEngine({ min_supply_percent: 0.01, supply: 1000000 });
+    const tooHigh = createEngine({ min_supply_percent: 0.02, supply: 1000000 });
+    assert.equal(share.check(buy(1), T0).length, 1);
+    assert.equal(tooHigh.check(buy(1), T0).length, 0);
+  });
+
+  test("names the trader a rule matched on", () => {
+    const engine = createEngine({ traders: [WALLETS.alice] });
+    const [alert] = engine.check(buy(1), T0);
+    assert.equal(alert.trader, WALLETS.alice);
+
+    const other = createEngine({ traders: [WALLETS.bob] });
+    assert.deepEqual(other.check(buy(1), T0), []);
+  });
+
+  test("looks only at its own kind", () => {
+    const engine = createAlertEngine({
+      rules: [{ name: "moves", kind: "transfer", minAmount: "50" }],
+    });
+    assert.deepEqual(engine.check(buy(1), T0), []);
+    const [alert] = engine.check(
+      transferMessage({ amount: 60000000, currency: "PUMP" }),
+      T0
+    );
+    assert.equal(alert.kind, "transfer");
+    assert.equal(alert.from, WALLETS.alice);
+    assert.equal(alert.to, WALLETS.bob);
+  });
+
+  test("ignores events it has already seen", () => {
+    const engine = createEngine({});
+    const message = buy(1);
+    assert.equal(engine.check(message, T0).length, 1);
+    assert.equal(engine.check(message, T0 + 1).length, 0);
+    assert.equal(engine.fired, 1);
+  });
+
+  test("fires on the count-th match within the window, per token", () => {
+    const engine = createEngine({ count: 3, window: "1s" });
+    assert.deepEqual(engine.check(buy(1), T0), []);
+    assert.deepEqual(engine.check(buyBonk(1), T0 + 100), []);
+    assert.deepEqual(engine.check(buy(1), T0 + 200), []);
+    assert.deepEqual(engine.check(buyBonk(1), T0 + 300), []);
+
+    const [alert] = engine.check(buy(1), T0 + 900);
+    assert.equal(alert.count, 3);
+    assert.equal(alert.window_ms, 1000);
+    assert.equal(alert.mint, MINTS.PUMP);
+
+    // The window starts over after an alert
+    assert.deepEqual(engine.check(buy(1), T0 + 950), []);
+  });
+
+  test("lets matches fall out of the window", () => {
+    const engine = createEngine({ count: 2, window: "1s" });
+    assert.deepEqual(engine.check(buy(1), T0), []);
+    assert.deepEqual(engine.check(buy(1), T0 + 1000), []);
+    assert.equal(engine.check(buy(1), T0 + 1500).length, 1);
+  });
+
+  test("suppresses alerts of a token during its cooldown", () => {
+    const engine = createEngine({ cooldown: "1s" });
+    assert.equal(engine.check(buy(1), T0).length, 1);
+    assert.equal(engine.check(buy(1), T0 + 500).length, 0);
+    assert.equal(engine.check(buyBonk(1), T0 + 500).length, 1);
+    assert.equal(engine.check(buy(1), T0 + 1000).length, 1);
+    assert.equal(engine.suppressed, 1);
+  });
+
+  test("forgets windows and cooldowns that ran out", () => {
+    const engine = createEngine({ count: 2, window: "1s", cooldown: "5s" });
+    engine.check(buy(1), T0);
+    engine.check(buy(1), T0 + 100);
+    engine.check(buyBonk(1), T0 + 200);
+    // PUMP's cooldown and BONK's window
+    assert.equal(engine.tracked, 2);
+
+    engine.check({ Transfer: {} }, T0 + 30000);
+    assert.equal(engine.tracked, 2);
+
+    // Swept once a minute
+    engine.check({ Transfer: {} }, T0 + 60000);
+    assert.equal(engine.tracked, 0);
+  });
+
+  test("does nothing without rules", () => {
+    const engine = createAlertEngine();
+    assert.deepEqual(engine.check(buy(1), T0), []);
+    assert.deepEqual(engine.rules, []);
+  });
+});
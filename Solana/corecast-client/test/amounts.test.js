@@ -0,0 +1,145 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const {
+  calculateTradePrice,
+  divideAmounts,
+  formatAmount,
+  formatDecimal,
+  formatPrice,
+  toDecimalString,
+  toRawAmount,
+} = require("../lib/amounts");
+
+describe("toRawAmount", () => {
+  test("scales decimal strings and numbers to raw units", () => {
+    assert.equal(toRawAmount("1.5", 9), 1500000000n);
+    assert.equal(toRawAmount(0.1, 9), 100000000n);
+    assert.equal(toRawAmount("42"), 42n);
+    assert.equal(toRawAmount(" 7 ", 2), 700n);
+  });
+
+  test("cuts off digits past the decimals", () => {
+    assert.equal(toRawAmount("1.23456789012", 9), 1234567890n);
+    assert.equal(toRawAmount("0.999", 0), 0n);
+  });
+
+  test("keeps the sign", () => {
+    assert.equal(toRawAmount("-2.5", 2), -250n);
+  });
+
+  test("returns null for values that aren't plain decimals", () => {
+    assert.equal(toRawAmount("abc"), null);
+    assert.equal(toRawAmount("1e5"), null);
+    assert.equal(toRawAmount(1e21), null);
+    assert.equal(toRawAmount(NaN), null);
+    assert.equal(toRawAmount(Infinity), null);
+  });
+
+  test("reverses toDecimalString", () => {
+    for (const raw of ["0", "1", "1500000000", "123456789012345678901"]) {
+      assert.equal(toRawAmount(toDecimalString(raw, 9), 9), BigInt(raw));
+    }
+  });
+});
+
+describe("toDecimalString", () => {
+  test("places the decimal point without trailing zeros", () => {
+    assert.equal(toDecimalString("1500000000", 9), "1.5");
+    assert.equal(toDecimalString("1000000000", 9), "1");
+    assert.equal(toDecimalString("5", 9), "0.000000005");
+    assert.equal(toDecimalString("-5", 2), "-0.05");
+    assert.equal(toDecimalString(12n), "12");
+  });
+
+  test("returns null for missing or non-integer amounts", () => {
+    assert.equal(toDecimalString(undefined, 9), null);
+    assert.equal(toDecimalString("1.5", 9), null);
+    assert.equal(toDecimalString(2 ** 60, 9), null);
+  });
+
+  test("stays exact beyond float precision", () => {
+    assert.equal(
+      toDecimalString("18446744073709551615", 9),
+      "18446744073.709551615"
+    );
+  });
+});
+
+describe("divideAmounts", () => {
+  test("divides amounts of different decimals", () => {
+    // 0.5 SOL for 100 tokens of 6 decimals
+    assert.equal(divideAmounts("500000000", 9, "100000000", 6, 6), "0.005000");
+  });
+
+  test("rounds half up, away from zero for negatives", () => {
+    assert.equal(divideAmounts("1", 0, "3", 0, 4), "0.3333");
+    assert.equal(divideAmounts("2", 0, "3", 0, 4), "0.6667");
+    assert.equal(divideAmounts("-2", 0, "3", 0, 4), "-0.6667");
+    assert.equal(divideAmounts("1", 0, "8", 0, 2), "0.13");
+  });
+
+  test("returns null for a zero or missing divisor", () => {
+    assert.equal(divideAmounts("5", 0, "0", 0), null);
+    assert.equal(divideAmounts("5", 0, undefined, 0), null);
+    assert.equal(divideAmounts(null, 0, "5", 0), null);
+  });
+});
+
+describe("formatPrice", () => {
+  test("keeps 8 significant digits without scientific notation", () => {
+    assert.equal(formatPrice("0.000000028630000000"), "0.00000002863");
+    assert.equal(formatPrice("0.000000012345678912"), "0.000000012345679");
+    assert.equal(formatPrice("1234.5678912345"), "1,234.5679");
+    assert.equal(formatPrice("123456789.5"), "123,456,790");
+  });
+
+  test("rounds up into the next digit", () => {
+    assert.equal(formatPrice("0.999999999"), "1");
+  });
+
+  test("shows N/A without a price", () => {
+    assert.equal(formatPrice(null), "N/A");
+    assert.equal(formatPrice(undefined), "N/A");
+  });
+});
+
+describe("formatDecimal", () => {
+  test("groups integer digits and drops trailing zeros", () => {
+    assert.equal(formatDecimal("1234567.250"), "1,234,567.25");
+    assert.equal(formatDecimal("-1234.5", 0), "-1,235");
+    assert.equal(formatDecimal("-0.0001", 2), "0");
+  });
+});
+
+describe("formatAmount", () => {
+  test("adds the currency's decimals and symbol", () => {
+    assert.equal(
+      formatAmount("1500000000", { Decimals: 9, Symbol: "SOL" }),
+      "1.5 SOL"
+    );
+    assert.equal(formatAmount("7", {}), "7");
+    assert.equal(formatAmount(undefined, { Decimals: 9 }), "N/A");
+  });
+});
+
+describe("calculateTradePrice", () => {
+  test("prices both directions", () => {
+    const price = calculateTradePrice("100000000", "500000000", {
+      buyDecimals: 6,
+      sellDecimals: 9,
+      precision: 4,
+    });
+    assert.deepEqual(price, {
+      pricePerBuyToken: "0.0050",
+      pricePerSellToken: "200.0000",
+      precision: 4,
+      valid: true,
+    });
+  });
+
+  test("is invalid when a side is zero or missing", () => {
+    assert.equal(calculateTradePrice("0", "5").valid, false);
+    assert.equal(calculateTradePrice("5", undefined).pricePerBuyToken, null);
+  });
+});
@@ -0,0 +1,163 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const {
+  PUMPFUN_CURVE,
+  createBondingCurveTracker,
+  formatBondingCurveEvent,
+} = require("../lib/bonding");
+const {
+  MINTS,
+  PROGRAMS,
+  WALLETS,
+  poolEventMessage,
+  tradeMessage,
+} = require("./messages");
+
+const T0 = 1700000000000;
+const TOKEN = 10n ** 6n;
+// Tokens left in the curve account at `percent` completion: the unsold
+// curve tokens plus the 206.9M reserved for the migration
+function poolTokens(percent) {
+  const curve = PUMPFUN_CURVE.initialRealTokenReserves;
+  const reserved = PUMPFUN_CURVE.totalSupply - curve;
+  return (curve * BigInt(100 - percent)) / 100n + reserved;
+}
+
+function pool(percent, slot) {
+  return poolEventMessage({ tokens: poolTokens(percent), slot });
+}
+
+function trade(side, tokens, lamports, options = {}) {
+  const token = { amount: tokens, currency: "PUMP" };
+  const sol = { amount: lamports, currency: "WSOL" };
+  return tradeMessage({
+    program: "pumpfun",
+    buy: side === "buy" ? token : sol,
+    sell: side === "buy" ? sol : token,
+    ...options,
+  });
+}
+
+function thresholds(events) {
+  return events.map((event) => event.threshold);
+}
+
+describe("createBondingCurveTracker", () => {
+  test("starts a curve at 0% with the initial price", () => {
+    const tracker = createBondingCurveTracker();
+    assert.deepEqual(tracker.add(pool(0, 1), T0), []);
+
+    const curve = tracker.get(MINTS.PUMP);
+    assert.equal(curve.progress, "0.00");
+    // 30 virtual SOL for 1,073M virtual tokens
+    assert.equal(curve.price, "0.000000027958993476");
+    assert.equal(curve.marketCap, "27.958993476");
+    assert.equal(curve.source, "pool");
+    assert.equal(curve.migrated, false);
+  });
+
+  test("fires each threshold once, the highest one passed", () => {
+    const tracker = createBondingCurveTracker();
+    tracker.add(pool(0, 1), T0);
+
+    const [half] = tracker.add(pool(50, 2), T0);
+    assert.equal(half.event, "threshold");
+    assert.equal(half.threshold, 50);
+    assert.equal(half.progress, "50.00");
+    assert.equal(half.market_cap, "70.347646805");
+    assert.equal(half.real_token_reserves, "396550000");
+    assert.equal(half.market, WALLETS.pool);
+    assert.equal(half.slot, 2);
+
+    // Down below 50% and up again doesn't repeat it
+    assert.deepEqual(tracker.add(pool(40, 3), T0), []);
+    assert.deepEqual(tracker.add(pool(60, 4), T0), []);
+    // 80% is skipped over on the way to 100%
+    assert.deepEqual(thresholds(tracker.add(pool(100, 5), T0)), [100]);
+    assert.deepEqual(tracker.add(pool(100, 6), T0), []);
+    assert.equal(tracker.events, 2);
+  });
+
+  test("takes custom thresholds in any order", () => {
+    const tracker = createBondingCurveTracker({ thresholds: [20, 10] });
+    assert.deepEqual(tracker.thresholds, [10, 20]);
+    tracker.add(pool(0, 1), T0);
+    assert.deepEqual(thresholds(tracker.add(pool(15, 2), T0)), [10]);
+    assert.deepEqual(thresholds(tracker.add(pool(25, 3), T0)), [20]);
+  });
+
+  test("moves pool reserves by later trades", () => {
+    const tracker = createBondingCurveTracker();
+    tracker.add(pool(49, 1), T0);
+
+    // 1% of the curve is 7.931M tokens
+    const bought = tracker.add(trade("buy", 7931000n * TOKEN, 1, { slot: 2 }));
+    assert.deepEqual(thresholds(bought), [50]);
+    assert.equal(tracker.get(MINTS.PUMP).source, "pool");
+
+    tracker.add(trade("sell", 7931000n * TOKEN, 1, { slot: 3 }));
+    assert.equal(tracker.get(MINTS.PUMP).progress, "49.00");
+  });
+
+  test("ignores updates older than the last one", () => {
+    const tracker = createBondingCurveTracker();
+    tracker.add(pool(30, 5), T0);
+    assert.deepEqual(tracker.add(pool(60, 4), T0), []);
+    assert.deepEqual(tracker.add(trade("buy", 1n, 1, { slot: 5 })), []);
+    assert.equal(tracker.get(MINTS.PUMP).progress, "30.00");
+  });
+
+  test("estimates the curve from a trade without a pool event", () => {
+    const tracker = createBondingCurveTracker({ thresholds: [1] });
+    // The first 1 SOL on a new curve buys 1/31 of the virtual tokens
+    const [event] = tracker.add(trade("buy", 34612903225806n, 1000000000));
+
+    assert.equal(event.progress, "4.36");
+    assert.equal(event.source, "trade");
+    assert.equal(
+      formatBondingCurveEvent(event),
+      `🎯 ${MINTS.PUMP} passed 1%  curve 4.36% (estimated)  price 0.000000029853992 SOL  mcap 29.85 SOL`
+    );
+  });
+
+  test("reports a migration when the token trades on another program", () => {
+    const tracker = createBondingCurveTracker();
+    tracker.add(pool(100, 1), T0);
+
+    const [migration] = tracker.add(
+      trade("buy", 1000n * TOKEN, 100000, { program: "pumpswap", slot: 2 }),
+      T0 + 1000
+    );
+    assert.equal(migration.event, "migration");
+    assert.equal(migration.program, PROGRAMS.pumpswap);
+    assert.equal(migration.protocol, "pumpswap");
+    assert.equal(migration.progress, "100.00");
+    assert.equal(migration.received_at, new Date(T0 + 1000).toISOString());
+    assert.equal(tracker.get(MINTS.PUMP).migrated, true);
+    assert.match(formatBondingCurveEvent(migration), /migrated to pumpswap/);
+
+    // Once per token, and only for tokens seen on the curve
+    assert.deepEqual(
+      tracker.add(trade("buy", 1n, 1, { program: "pumpswap", slot: 3 })),
+      []
+    );
+    const other = createBondingCurveTracker();
+    assert.deepEqual(
+      other.add(trade("buy", 1n, 1, { program: "pumpswap" })),
+      []
+    );
+  });
+
+  test("leaves the market null when a trade doesn't name it", () => {
+    const tracker = createBondingCurveTracker();
+    const message = trade("buy", 34612903225806n, 1000000000);
+    delete message.Trade.Market.MarketAddress;
+    tracker.add(message);
+    assert.equal(tracker.get(MINTS.PUMP).market, null);
+
+    // A later message that names it fills it in
+    tracker.add(pool(10, 2000));
+    assert.equal(tracker.get(MINTS.PUMP).market, WALLETS.pool);
+  });
+});
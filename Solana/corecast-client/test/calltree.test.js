@@ -0,0 +1,349 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const {
+  balanceChanges,
+  buildCallTree,
+  callTreeOptions,
+  formatBalanceTrace,
+  formatCallTree,
+  traceTokenBalance,
+} = require("../lib/calltree");
+const {
+  MINTS,
+  PROGRAMS,
+  WALLETS,
+  address,
+  instruction,
+  transactionMessage,
+} = require("./messages");
+
+// Token accounts of alice and the pool
+const ALICE_PUMP = "TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM";
+const POOL_PUMP = "89K6gjbTguTCN58YMM1KgAYXjV2ZMLLVvBKnH5cqoT5L";
+const JUPITER = "JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4";
+
+const HEADER_ACCOUNTS = [
+  { Address: address(WALLETS.alice) },
+  {
+    Address: address(ALICE_PUMP),
+    Token: {
+      Mint: address(MINTS.PUMP),
+      Owner: address(WALLETS.alice),
+      Decimals: 6,
+    },
+  },
+  { Address: address(WALLETS.pool) },
+  {
+    Address: address(POOL_PUMP),
+    Token: {
+      Mint: address(MINTS.PUMP),
+      Owner: address(WALLETS.pool),
+      Decimals: 6,
+    },
+  },
+];
+
+// Balance updates of 100 PUMP from the pool to alice for 0.5 SOL
+const TOKEN_UPDATES = [
+  { AccountIndex: 1, PreBalance: "0", PostBalance: "100000000" },
+  { AccountIndex: 3, PreBalance: "900000000", PostBalance: "800000000" },
+];
+const SOL_UPDATES = [
+  { AccountIndex: 0, PreBalance: "2000000000", PostBalance: "1500000000" },
+  { AccountIndex: 2, PreBalance: "30000000000", PostBalance: "30500000000" },
+];
+
+// Jupiter route -> pump.fun buy -> token transfer and system transfer, the
+// inner calls linked by `links` (CallerIndex, AncestorIndexes, CallPath)
+function routeMessage(links = {}) {
+  const link = (index, callerIndex, ancestors, callPath) => ({
+    index,
+    depth: callPath.length - 1,
+    ...(links.callerIndex !== false && { callerIndex }),
+    ...(links.ancestors !== false && { ancestors }),
+    ...(links.callPath !== false && { callPath }),
+  });
+  const message = transactionMessage({
+    slot: 370485123,
+    instructions: [
+      {
+        ...instruction({
+          program: JUPITER,
+          method: "route",
+          ...link(0, -1, [], [0]),
+        }),
+        Logs: ["Program log: Instruction: Route"],
+      },
+      {
+        ...instruction({
+          program: "pumpfun",
+          method: "buy",
+          ...link(1, 0, [0], [0, 1]),
+        }),
+        BalanceUpdates: SOL_UPDATES,
+        TokenBalanceUpdates: TOKEN_UPDATES,
+      },
+      {
+        ...instruction({
+          program: "token",
+          parsed: false,
+          ...link(2, 1, [0, 1], [0, 1, 2]),
+        }),
+        TokenBalanceUpdates: TOKEN_UPDATES,
+      },
+      {
+        ...instruction({
+          program: MINTS.SOL,
+          method: "transfer",
+          ...link(3, 1, [0, 1], [0, 1, 3]),
+        }),
+        BalanceUpdates: SOL_UPDATES,
+      },
+    ],
+  });
+  Object.assign(message.Transaction, {
+    Header: { Accounts: HEADER_ACCOUNTS },
+    TotalTokenBalanceUpdates: TOKEN_UPDATES,
+  });
+  return message;
+}
+
+// [index, child indexes] of every node, depth first
+function shape(nodes) {
+  return nodes.flatMap((node) => [
+    [node.index, node.children.map((child) => child.index)],
+    ...shape(node.children),
+  ]);
+}
+
+const ROUTE_SHAPE = [
+  [0, [1]],
+  [1, [2, 3]],
+  [2, []],
+  [3, []],
+];
+
+describe("buildCallTree", () => {
+  test("links inner instructions by CallerIndex", () => {
+    const instructions = routeMessage({ ancestors: false, callPath: false })
+      .Transaction.ParsedIdlInstructions;
+    const roots = buildCallTree(instructions);
+    assert.deepEqual(shape(roots), ROUTE_SHAPE);
+    assert.equal(roots[0].children[0].children[1].parent.index, 1);
+    assert.equal(roots[0].children[0].depth, 1);
+  });
+
+  test("falls back to AncestorIndexes, then the CallPath prefix", () => {
+    const byAncestors = routeMessage({ callerIndex: false, callPath: false });
+    assert.deepEqual(
+      shape(buildCallTree(byAncestors.Transaction.ParsedIdlInstructions)),
+      ROUTE_SHAPE
+    );
+
+    const byPath = routeMessage({ callerIndex: false, ancestors: false });
+    assert.deepEqual(
+      shape(buildCallTree(byPath.Transaction.ParsedIdlInstructions)),
+      ROUTE_SHAPE
+    );
+  });
+
+  test("keeps instructions without a caller at the top level", () => {
+    const roots = buildCallTree([
+      instruction({ index: 0, program: "pumpfun" }),
+      instruction({ index: 1, program: "pumpfun", callerIndex: 7 }),
+    ]);
+    assert.deepEqual(shape(roots), [
+      [0, []],
+      [1, []],
+    ]);
+    assert.deepEqual(buildCallTree(undefined), []);
+  });
+
+  test("breaks cycles in malformed caller indexes", () => {
+    const roots = buildCallTree([
+      instruction({ index: 0, program: "pumpfun", callerIndex: 1 }),
+      instruction({ index: 1, program: "pumpfun", callerIndex: 0 }),
+      instruction({ index: 2, program: "pumpfun", callerIndex: 2 }),
+    ]);
+    assert.deepEqual(shape(roots), [
+      [1, [0]],
+      [0, []],
+      [2, []],
+    ]);
+  });
+});
+
+describe("balanceChanges", () => {
+  test("resolves accounts and leaves out unchanged balances", () => {
+    const changes = balanceChanges(
+      [
+        ...TOKEN_UPDATES,
+        { AccountIndex: 1, PreBalance: "5", PostBalance: "5" },
+        { AccountIndex: 9, PreBalance: "0", PostBalance: "1" },
+      ],
+      HEADER_ACCOUNTS,
+      { token: true }
+    );
+    assert.deepEqual(changes[0], {
+      account: ALICE_PUMP,
+      mint: MINTS.PUMP,
+      owner: WALLETS.alice,
+      decimals: 6,
+      pre: "0",
+      post: "100000000",
+      change: "100000000",
+    });
+    assert.equal(changes[1].change, "-100000000");
+    assert.equal(changes[2].account, "#9");
+    assert.equal(changes.length, 3);
+  });
+
+  test("reports lamports with 9 decimals", () => {
+    const [change] = balanceChanges(SOL_UPDATES, HEADER_ACCOUNTS);
+    assert.equal(change.decimals, 9);
+    assert.equal(change.mint, null);
+    assert.equal(change.change, "-500000000");
+  });
+});
+
+describe("traceTokenBalance", () => {
+  test("attributes each change to the deepest reporting instruction", () => {
+    const traces = traceTokenBalance(routeMessage(), { mint: MINTS.PUMP });
+    assert.equal(traces.length, 2);
+
+    const [alice] = traces;
+    assert.equal(alice.type, "balance_trace");
+    assert.equal(alice.account, ALICE_PUMP);
+    assert.equal(alice.change, "100000000");
+    assert.deepEqual(
+      alice.path.map((step) => [step.index, step.method]),
+      [
+        [0, "route"],
+        [1, "buy"],
+        [2, null],
+      ]
+    );
+    assert.deepEqual(alice.instruction, {
+      index: 0,
+      program: JUPITER,
+      name: JUPITER,
+      method: "route",
+    });
+    assert.equal(alice.slot, 370485123);
+  });
+
+  test("resolves the path with only one kind of caller link", () => {
+    for (const links of [
+      { ancestors: false, callPath: false },
+      { callerIndex: false, callPath: false },
+      { callerIndex: false, ancestors: false },
+    ]) {
+      const [trace] = traceTokenBalance(routeMessage(links), {
+        mint: MINTS.PUMP,
+      });
+      assert.deepEqual(
+        trace.path.map((step) => step.index),
+        [0, 1, 2]
+      );
+    }
+  });
+
+  test("terminates on cyclic caller indexes", () => {
+    const message = transactionMessage({
+      instructions: [
+        {
+          ...instruction({ index: 0, program: "pumpfun", callerIndex: 1 }),
+          TokenBalanceUpdates: TOKEN_UPDATES,
+        },
+        instruction({ index: 1, program: "pumpfun", callerIndex: 0 }),
+      ],
+    });
+    message.Transaction.Header = { Accounts: HEADER_ACCOUNTS };
+
+    const [trace] = traceTokenBalance(message, { mint: MINTS.PUMP });
+    assert.deepEqual(
+      trace.path.map((step) => step.index),
+      [1, 0]
+    );
+  });
+
+  test("filters by account or owner", () => {
+    const byOwner = traceTokenBalance(routeMessage(), {
+      mint: MINTS.PUMP,
+      account: WALLETS.pool,
+    });
+    assert.deepEqual(
+      byOwner.map((trace) => trace.account),
+      [POOL_PUMP]
+    );
+
+    const byAccount = traceTokenBalance(routeMessage(), {
+      mint: MINTS.PUMP,
+      account: ALICE_PUMP,
+    });
+    assert.deepEqual(
+      byAccount.map((trace) => trace.account),
+      [ALICE_PUMP]
+    );
+    assert.deepEqual(
+      traceTokenBalance(routeMessage(), { mint: MINTS.BONK }),
+      []
+    );
+  });
+
+  test("reports totals no instruction explains", () => {
+    const message = routeMessage();
+    message.Transaction.ParsedIdlInstructions = [
+      instruction({ program: JUPITER, method: "route" }),
+    ];
+
+    const traces = traceTokenBalance(message, { mint: MINTS.PUMP });
+    assert.equal(traces.length, 2);
+    assert.equal(traces[0].instruction, null);
+    assert.deepEqual(traces[0].path, []);
+    assert.match(formatBalanceTrace(traces[0]), /no instruction reports it$/);
+  });
+
+  test("formats the cause and the calls in between", () => {
+    const [trace] = traceTokenBalance(routeMessage(), { mint: MINTS.PUMP });
+    assert.equal(
+      formatBalanceTrace(trace),
+      `🔎 +100 ${MINTS.PUMP} ${ALICE_PUMP} (owner ${WALLETS.alice}) in ${trace.signature}: ` +
+        `caused by #0 ${JUPITER}.route via #1 pumpfun.buy → #2 token`
+    );
+  });
+});
+
+describe("formatCallTree", () => {
+  test("draws the calls with logs and balance changes", () => {
+    const lines = formatCallTree(routeMessage());
+    assert.deepEqual(lines.slice(0, 4), [
+      "Call tree:",
+      `  └─ #0 ${JUPITER}.route (${JUPITER})`,
+      "     │  log: Program log: Instruction: Route",
+      `     └─ #1 pumpfun.buy (${PROGRAMS.pumpfun})`,
+    ]);
+    assert.ok(
+      lines.includes(`        │  Δ -0.5 SOL ${WALLETS.alice}`),
+      lines.join("\n")
+    );
+    assert.ok(lines.includes(`        ├─ #2 token (${PROGRAMS.token})`));
+    assert.ok(
+      lines.includes(`        └─ #3 ${MINTS.SOL}.transfer (${MINTS.SOL})`)
+    );
+  });
+});
+
+test("callTreeOptions maps the config section", () => {
+  assert.equal(callTreeOptions(undefined), null);
+  assert.deepEqual(callTreeOptions({}), { enabled: true, trace: null });
+  assert.deepEqual(
+    callTreeOptions({
+      enabled: false,
+      trace_token: MINTS.PUMP,
+      trace_account: WALLETS.alice,
+    }),
+    { enabled: false, trace: { mint: MINTS.PUMP, account: WALLETS.alice } }
+  );
+});
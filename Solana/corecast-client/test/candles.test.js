@@ -0,0 +1,150 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { createCandleEngine, parseInterval } = require("../lib/candles");
+const { tradeMessage } = require("./messages");
+
+// Start of a second, so trades can be placed within its intervals
+const T0 = 1700000000000;
+
+// Buy of 100 PUMP for `sol` SOL: the price is sol / 100
+function trade(sol, options = {}) {
+  return tradeMessage({
+    buy: { amount: 100000000, currency: "PUMP" },
+    sell: { amount: Math.round(sol * 1e9), currency: "WSOL" },
+    ...options,
+  });
+}
+
+function price(text) {
+  return Number(text);
+}
+
+// Engine with 1s candles collected into `candles`; closed by the test
+function createEngine(t, options = {}) {
+  const candles = [];
+  const engine = createCandleEngine({
+    intervals: ["1s"],
+    lateMs: 500,
+    onCandle: (candle) => candles.push(candle),
+    ...options,
+  });
+  t.after(() => engine.close());
+  return { engine, candles };
+}
+
+describe("parseInterval", () => {
+  test("reads seconds, minutes and hours", () => {
+    assert.equal(parseInterval("1s"), 1000);
+    assert.equal(parseInterval("5m"), 300000);
+    assert.equal(parseInterval("1h"), 3600000);
+  });
+
+  test("rejects other values", () => {
+    assert.throws(() => parseInterval("0s"), /Invalid candle interval/);
+    assert.throws(() => parseInterval("1d"), /Invalid candle interval/);
+    assert.throws(() => parseInterval(""), /Invalid candle interval/);
+  });
+});
+
+describe("createCandleEngine", () => {
+  test("builds OHLCV in chain order, not arrival order", (t) => {
+    const { engine, candles } = createEngine(t);
+    engine.add(trade(1, { slot: 100, index: 2 }), T0 + 100);
+    engine.add(trade(3, { slot: 100, index: 1 }), T0 + 200);
+    engine.add(trade(0.5, { slot: 101, index: 0 }), T0 + 300);
+    engine.add(trade(2, { slot: 100, index: 0 }), T0 + 400);
+
+    engine.tick(T0 + 1500);
+    assert.equal(candles.length, 1);
+    const [candle] = candles;
+    assert.equal(candle.start, new Date(T0).toISOString());
+    assert.equal(candle.end, new Date(T0 + 1000).toISOString());
+    assert.equal(price(candle.open), 0.02);
+    assert.equal(price(candle.high), 0.03);
+    assert.equal(price(candle.low), 0.005);
+    assert.equal(price(candle.close), 0.005);
+    assert.equal(candle.volume, "400");
+    assert.equal(candle.quote_volume, "6.5");
+    assert.equal(candle.trades, 4);
+    assert.equal(candle.first_slot, 100);
+    assert.equal(candle.last_slot, 101);
+  });
+
+  test("waits lateMs before emitting a candle", (t) => {
+    const { engine, candles } = createEngine(t);
+    engine.add(trade(1, { slot: 100 }), T0 + 500);
+
+    engine.tick(T0 + 1400);
+    assert.equal(candles.length, 0);
+    assert.equal(engine.openCandles, 1);
+
+    // An older slot that was never seen lands 400ms per slot earlier
+    assert.equal(engine.add(trade(2, { slot: 99 }), T0 + 1450), true);
+
+    engine.tick(T0 + 1500);
+    assert.equal(candles.length, 1);
+    assert.equal(candles[0].trades, 2);
+    assert.equal(price(candles[0].open), 0.02);
+    assert.equal(engine.openCandles, 0);
+  });
+
+  test("drops and counts trades of an interval already emitted", (t) => {
+    const { engine, candles } = createEngine(t);
+    engine.add(trade(1, { slot: 100 }), T0 + 500);
+    engine.tick(T0 + 1500);
+
+    // Slot 100 was first seen in the emitted interval
+    assert.equal(engine.add(trade(2, { slot: 100 }), T0 + 2100), false);
+    assert.equal(engine.late, 1);
+
+    engine.tick(T0 + 5000);
+    assert.equal(candles.length, 1);
+    assert.equal(candles[0].trades, 1);
+  });
+
+  test("fills empty intervals with flat candles", (t) => {
+    const { engine, candles } = createEngine(t);
+    engine.add(trade(1, { slot: 100 }), T0 + 100);
+    engine.add(trade(2, { slot: 107 }), T0 + 3100);
+    engine.tick(T0 + 5000);
+
+    assert.deepEqual(
+      candles.map((candle) => [candle.start, candle.trades]),
+      [0, 1, 2, 3].map((i) => [
+        new Date(T0 + i * 1000).toISOString(),
+        i === 0 || i === 3 ? 1 : 0,
+      ])
+    );
+    for (const flat of candles.slice(1, 3)) {
+      assert.equal(flat.open, candles[0].close);
+      assert.equal(flat.close, candles[0].close);
+      assert.equal(flat.volume, "0");
+    }
+  });
+
+  test("leaves gaps when filling is off or the gap is too long", (t) => {
+    const off = createEngine(t, { fillGaps: false });
+    const short = createEngine(t, { maxGapCandles: 1 });
+    for (const { engine } of [off, short]) {
+      engine.add(trade(1, { slot: 100 }), T0 + 100);
+      engine.add(trade(2, { slot: 107 }), T0 + 3100);
+      engine.tick(T0 + 5000);
+    }
+
+    assert.equal(off.candles.length, 2);
+    assert.equal(short.candles.length, 2);
+  });
+
+  test("skips trades without a price", (t) => {
+    const { engine } = createEngine(t);
+    const free = tradeMessage({
+      buy: { amount: 100000000, currency: "PUMP" },
+      sell: { amount: 0, currency: "WSOL" },
+    });
+
+    assert.equal(engine.add(free, T0), false);
+    assert.equal(engine.add({ Transfer: {} }, T0), false);
+    assert.equal(engine.skipped, 1);
+  });
+});
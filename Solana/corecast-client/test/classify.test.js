@@ -0,0 +1,92 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { classifyTrade } = require("../lib/classify");
+const { MINTS, tradeMessage } = require("./messages");
+
+function classify(options) {
+  return classifyTrade(tradeMessage(options).Trade);
+}
+
+describe("classifyTrade", () => {
+  test("buying a token with SOL is a buy of the token", () => {
+    const trade = tradeMessage({
+      buy: { amount: 100000000, currency: "PUMP" },
+      sell: { amount: 500000000, currency: "WSOL" },
+    }).Trade;
+    const classified = classifyTrade(trade);
+
+    assert.equal(classified.side, "buy");
+    assert.equal(classified.baseMint, MINTS.PUMP);
+    assert.equal(classified.quoteMint, MINTS.WSOL);
+    assert.equal(classified.base, trade.Buy);
+    assert.equal(classified.quote, trade.Sell);
+  });
+
+  test("selling a token for SOL is a sell of the token", () => {
+    const classified = classify({
+      buy: { amount: 500000000, currency: "SOL" },
+      sell: { amount: 100000000, currency: "PUMP" },
+    });
+
+    assert.equal(classified.side, "sell");
+    assert.equal(classified.baseMint, MINTS.PUMP);
+    assert.equal(classified.quoteMint, MINTS.SOL);
+  });
+
+  test("prefers USDC over SOL as the quote", () => {
+    const bought = classify({
+      buy: { amount: 1000000000, currency: "WSOL" },
+      sell: { amount: 150000000, currency: "USDC" },
+    });
+    assert.equal(bought.side, "buy");
+    assert.equal(bought.baseMint, MINTS.WSOL);
+    assert.equal(bought.quoteMint, MINTS.USDC);
+
+    const sold = classify({
+      buy: { amount: 150000000, currency: "USDC" },
+      sell: { amount: 1000000000, currency: "SOL" },
+    });
+    assert.equal(sold.side, "sell");
+    assert.equal(sold.baseMint, MINTS.SOL);
+  });
+
+  test("quote mints win over the market's currencies", () => {
+    const classified = classify({
+      buy: { amount: 100000000, currency: "PUMP" },
+      sell: { amount: 500000000, currency: "WSOL" },
+      market: { base: "WSOL", quote: "PUMP" },
+    });
+    assert.equal(classified.side, "buy");
+    assert.equal(classified.quoteMint, MINTS.WSOL);
+  });
+
+  test("falls back to the market between two other tokens", () => {
+    const classified = classify({
+      buy: { amount: 100000000, currency: "PUMP" },
+      sell: { amount: 500000, currency: "BONK" },
+      market: { base: "BONK", quote: "PUMP" },
+    });
+    assert.equal(classified.side, "sell");
+    assert.equal(classified.baseMint, MINTS.BONK);
+    assert.equal(classified.quoteMint, MINTS.PUMP);
+  });
+
+  test("leaves trades it can't tell apart unclassified", () => {
+    const unknownMarket = classify({
+      buy: { amount: 100000000, currency: "PUMP" },
+      sell: { amount: 500000, currency: "BONK" },
+      market: { base: "SOL", quote: "USDC" },
+    });
+    assert.equal(unknownMarket.side, null);
+    assert.equal(unknownMarket.base, null);
+
+    const sameMint = classify({
+      buy: { amount: 1, currency: "PUMP" },
+      sell: { amount: 2, currency: "PUMP" },
+    });
+    assert.equal(sameMint.side, null);
+
+    assert.equal(classifyTrade({}).side, null);
+  });
+});
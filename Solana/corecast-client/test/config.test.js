@@ -0,0 +1,216 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { describe, test } = require("node:test");
+
+const {
+  DEFAULT_CONFIG_FILE,
+  findLine,
+  getConfigPath,
+  loadConfig,
+  validateConfig,
+} = require("../lib/config");
+
+const SERVER = `server:
+  address: corecast.bitquery.io
+  authorization: token-1234
+`;
+
+// Write `source` to a config.yaml of its own
+function writeConfig(t, source) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "corecast-config-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "config.yaml");
+  fs.writeFileSync(file, source);
+  return file;
+}
+
+// Message of the error loadConfig() throws, or null when it loads
+function loadError(file, env = {}) {
+  try {
+    loadConfig(file, { env });
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+describe("getConfigPath", () => {
+  test("takes --config, then CORECAST_CONFIG, then the default", () => {
+    assert.equal(getConfigPath(["--config", "a.yaml"], {}), "a.yaml");
+    assert.equal(getConfigPath(["--config=b.yaml"], {}), "b.yaml");
+    assert.equal(getConfigPath([], { CORECAST_CONFIG: "c.yaml" }), "c.yaml");
+    assert.equal(getConfigPath(["--config"], {}), DEFAULT_CONFIG_FILE);
+  });
+});
+
+describe("findLine", () => {
+  const lines = `# CoreCast
+server:
+  address: corecast.bitquery.io
+streams:
+  - type: dex_trades
+    output:
+      file: trades.log
+  -
+    type: transfers
+    filters:
+      tokens:
+        - "abc"
+        - "def"
+`.split("\n");
+
+  test("finds keys and list items", () => {
+    assert.equal(findLine(lines, ["server", "address"]), 3);
+    assert.equal(findLine(lines, ["streams", 0, "type"]), 5);
+    assert.equal(findLine(lines, ["streams", 0, "output", "file"]), 7);
+    assert.equal(findLine(lines, ["streams", 1]), 8);
+    assert.equal(findLine(lines, ["streams", 1, "type"]), 9);
+    assert.equal(findLine(lines, ["streams", 1, "filters", "tokens", 1]), 13);
+  });
+
+  test("stops at the deepest segment it finds", () => {
+    assert.equal(findLine(lines, ["server", "insecure"]), 2);
+    assert.equal(findLine(lines, ["streams", 2, "type"]), 4);
+    assert.equal(findLine(lines, ["reconnect"]), null);
+  });
+});
+
+describe("loadConfig", () => {
+  test("fills in defaults", (t) => {
+    const config = loadConfig(writeConfig(t, SERVER), { env: {} });
+    assert.equal(config.server.insecure, false);
+    assert.equal(config.stream.type, "dex_trades");
+    assert.equal(config.trade_filter, "alltrades");
+  });
+
+  test("lets the environment override the file", (t) => {
+    const file = writeConfig(t, SERVER);
+    const config = loadConfig(file, {
+      env: {
+        CORECAST_TOKEN: "token-5678",
+        CORECAST_ADDRESS: "localhost:50051",
+        CORECAST_INSECURE: "1",
+        CORECAST_STREAM_TYPE: "transfers",
+        CORECAST_CONFIG: "ignored.yaml",
+      },
+    });
+    assert.equal(config.server.authorization, "token-5678");
+    assert.equal(config.server.address, "localhost:50051");
+    assert.equal(config.server.insecure, true);
+    assert.equal(config.stream.type, "transfers");
+
+    // Empty variables are ignored
+    assert.equal(
+      loadConfig(file, { env: { CORECAST_TOKEN: "" } }).server.authorization,
+      "token-1234"
+    );
+  });
+
+  test("blames the variable for values from the environment", (t) => {
+    const file = writeConfig(t, SERVER);
+    assert.match(
+      loadError(file, { CORECAST_STREAM_TYPE: "blocks" }),
+      /\n {2}CORECAST_STREAM_TYPE: stream\.type must be one of: .*\(got "blocks"\)$/
+    );
+  });
+
+  test("reports every problem with its file and line", (t) => {
+    const file = writeConfig(
+      t,
+      `${SERVER}stream:
+  type: blocks
+trade_filter: some
+`
+    );
+    const message = loadError(file);
+    assert.match(message, /^Invalid configuration:\n/);
+    assert.ok(message.includes(`${file}:5: stream.type must be one of:`));
+    assert.ok(message.includes(`${file}:6: trade_filter must be one of:`));
+  });
+
+  test("rejects stream or CORECAST_STREAM_TYPE next to streams", (t) => {
+    const streams = `${SERVER}streams:
+  - type: dex_trades
+`;
+    const file = writeConfig(t, streams);
+    assert.equal(loadError(file), null);
+
+    const expected = `${file}:4: streams replaces stream and CORECAST_STREAM_TYPE`;
+    assert.ok(
+      loadError(file, { CORECAST_STREAM_TYPE: "transfers" }).includes(expected)
+    );
+    const both = writeConfig(t, `${streams}stream:\n  type: transfers\n`);
+    assert.ok(loadError(both).includes("streams replaces stream"));
+  });
+
+  test("reports syntax errors and missing files", (t) => {
+    const file = writeConfig(t, "server: [\n");
+    assert.match(loadError(file), new RegExp(`^${file}:\\d+: `));
+    assert.match(
+      loadError(path.join(os.tmpdir(), "corecast-missing.yaml")),
+      /config file not found/
+    );
+  });
+});
+
+describe("validateConfig", () => {
+  function alertProblems(rule) {
+    const config = {
+      server: { address: "x", authorization: "token", insecure: false },
+      stream: { type: "dex_trades" },
+      alerts: { rules: [{ name: "big", kind: "trade", ...rule }] },
+    };
+    return validateConfig(config).map(
+      ({ path: at, message }) => `${at.join(".")} ${message}`
+    );
+  }
+
+  test("accepts plain decimal thresholds", () => {
+    assert.deepEqual(
+      alertProblems({
+        min_quote_amount: 1.5,
+        min_amount: 1000000,
+        min_supply_percent: 0.5,
+        supply: 1000000000,
+      }),
+      []
+    );
+  });
+
+  test("rejects thresholds that aren't plain decimals", () => {
+    assert.deepEqual(alertProblems({ min_quote_amount: NaN }), [
+      'alerts.rules.0.min_quote_amount "NaN" is not a plain decimal number, e.g. 1.5',
+    ]);
+    assert.deepEqual(alertProblems({ min_amount: Infinity }), [
+      'alerts.rules.0.min_amount "Infinity" is not a plain decimal number, e.g. 1.5',
+    ]);
+    assert.deepEqual(alertProblems({ min_supply_percent: 1, supply: 1e21 }), [
+      'alerts.rules.0.supply "1e+21" is not a plain decimal number, e.g. 1.5',
+    ]);
+    assert.deepEqual(alertProblems({ min_amount: "5" }), [
+      "alerts.rules.0.min_amount must be a number >= 0",
+    ]);
+    assert.deepEqual(alertProblems({ min_supply_percent: 150, supply: 1 }), [
+      "alerts.rules.0.min_supply_percent must be a number between 0 and 100",
+    ]);
+  });
+
+  test("reads NaN and infinities written in YAML", (t) => {
+    const file = writeConfig(
+      t,
+      `${SERVER}alerts:
+  rules:
+    - name: big
+      kind: trade
+      min_quote_amount: .nan
+`
+    );
+    assert.ok(
+      loadError(file).includes(
+        `${file}:8: alerts.rules[0].min_quote_amount "NaN" is not a plain decimal`
+      )
+    );
+  });
+});
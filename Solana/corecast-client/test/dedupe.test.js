@@ -0,0 +1,105 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { describe, test } = require("node:test");
+
+const { createDeduplicator, eventKey } = require("../lib/dedupe");
+const { signature, tradeMessage, transferMessage } = require("./messages");
+
+function trade(sig, instructionIndex = 0) {
+  return tradeMessage({
+    buy: { amount: 100000000, currency: "PUMP" },
+    sell: { amount: 500000000, currency: "WSOL" },
+    sig: signature(sig),
+    instructionIndex,
+  });
+}
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "corecast-dedupe-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "seen.txt");
+}
+
+function lines(file) {
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+}
+
+describe("eventKey", () => {
+  test("combines kind, signature and instruction index", () => {
+    assert.match(eventKey(trade(1, 3)), /^trade:\w+:3$/);
+    assert.notEqual(eventKey(trade(1, 3)), eventKey(trade(1, 4)));
+    assert.notEqual(eventKey(trade(1)), eventKey(trade(2)));
+    assert.match(
+      eventKey(transferMessage({ amount: 1, currency: "PUMP" })),
+      /^transfer:/
+    );
+  });
+
+  test("is null without a signature", () => {
+    const message = trade(1);
+    message.Transaction.Signature = Buffer.alloc(0);
+    assert.equal(eventKey(message), null);
+    assert.equal(eventKey({ Block: {} }), null);
+  });
+});
+
+describe("createDeduplicator", () => {
+  test("recognizes events seen before, per scope", () => {
+    const dedupe = createDeduplicator();
+    assert.equal(dedupe.isDuplicate(trade(1)), false);
+    assert.equal(dedupe.isDuplicate(trade(1)), true);
+    assert.equal(dedupe.isDuplicate(trade(1), "other"), false);
+    assert.equal(dedupe.isDuplicate(trade(1), "other"), true);
+    assert.equal(dedupe.duplicates, 2);
+  });
+
+  test("evicts the oldest keys beyond the window", () => {
+    const dedupe = createDeduplicator({ window: 2 });
+    for (const sig of [1, 2, 3]) dedupe.isDuplicate(trade(sig));
+
+    assert.equal(dedupe.size, 2);
+    assert.equal(dedupe.isDuplicate(trade(3)), true);
+    assert.equal(dedupe.isDuplicate(trade(2)), true);
+    // 1 was evicted, so it counts as new (and evicts 2 in turn)
+    assert.equal(dedupe.isDuplicate(trade(1)), false);
+    assert.equal(dedupe.isDuplicate(trade(2)), false);
+  });
+
+  test("never treats messages without a key as duplicates", () => {
+    const dedupe = createDeduplicator();
+    assert.equal(dedupe.isDuplicate({ Block: {} }), false);
+    assert.equal(dedupe.isDuplicate({ Block: {} }), false);
+    assert.equal(dedupe.size, 0);
+  });
+
+  test("restores the window from its file", (t) => {
+    const file = tempFile(t);
+    const first = createDeduplicator({ file, window: 2 });
+    for (const sig of [1, 2, 3]) first.isDuplicate(trade(sig));
+    first.close();
+    assert.equal(lines(file).length, 3);
+
+    const second = createDeduplicator({ file, window: 2 });
+    assert.equal(second.restored, 2);
+    assert.equal(second.isDuplicate(trade(3)), true);
+    assert.equal(second.isDuplicate(trade(1)), false);
+    second.close();
+  });
+
+  test("compacts the file once it holds twice the window", (t) => {
+    const file = tempFile(t);
+    const dedupe = createDeduplicator({ file, window: 3 });
+    for (const sig of [1, 2, 3, 4, 5, 6]) dedupe.isDuplicate(trade(sig));
+    dedupe.flush();
+    assert.equal(lines(file).length, 6);
+
+    dedupe.isDuplicate(trade(7));
+    dedupe.close();
+    assert.deepEqual(
+      lines(file),
+      [5, 6, 7].map((sig) => eventKey(trade(sig)))
+    );
+  });
+});
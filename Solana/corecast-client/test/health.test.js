@@ -0,0 +1,169 @@
+const assert = require("node:assert/strict");
+const net = require("node:net");
+const { describe, test } = require("node:test");
+
+const { createHealthMonitor, createHealthServer } = require("../lib/health");
+
+const T0 = 1700000000000;
+
+function entry(name, subscription) {
+  return {
+    stream: { name, type: "dex_trades", tradeFilter: "alltrades", filters: {} },
+    subscription: {
+      state: "connected",
+      startedAt: T0,
+      lastMessageAt: null,
+      lastSlot: null,
+      reconnectAttempt: 0,
+      ...subscription,
+    },
+  };
+}
+
+// Health server on a free port with a monitor over `entries`, closed when
+// the test ends
+async function startServer(t, entries) {
+  const monitor = createHealthMonitor({ streams: () => entries });
+  let server;
+  const address = await new Promise((resolve) => {
+    server = createHealthServer({ monitor, port: 0, onListening: resolve });
+  });
+  t.after(() => server.close());
+  return `http://127.0.0.1:${address.port}`;
+}
+
+// Status line of a raw HTTP request sent as written
+function rawRequest(url, text) {
+  const { port } = new URL(url);
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, "127.0.0.1", () => socket.write(text));
+    let response = "";
+    socket.on("data", (chunk) => {
+      response += chunk;
+      if (response.includes("\r\n")) {
+        socket.destroy();
+        resolve(response.split("\r\n")[0]);
+      }
+    });
+    socket.on("error", reject);
+  });
+}
+
+describe("createHealthMonitor", () => {
+  test("is healthy and ready while every stream delivers", () => {
+    const monitor = createHealthMonitor({
+      streams: () => [
+        entry("trades", { lastMessageAt: T0 + 1000, lastSlot: "370485092" }),
+      ],
+      staleAfterMs: 5000,
+    });
+    const report = monitor.report(T0 + 3000);
+
+    assert.equal(report.status, "ok");
+    assert.equal(report.healthy, true);
+    assert.equal(report.ready, true);
+    const [stream] = report.streams;
+    assert.equal(stream.rpc, "DexTrades");
+    assert.equal(stream.last_slot, 370485092);
+    assert.equal(stream.last_message_age_ms, 2000);
+    assert.equal(stream.last_message_at, new Date(T0 + 1000).toISOString());
+  });
+
+  test("turns stale after staleAfterMs without a message", () => {
+    const streams = [entry("trades", { lastMessageAt: T0 })];
+    const monitor = createHealthMonitor({
+      streams: () => streams,
+      staleAfterMs: 5000,
+    });
+    assert.equal(monitor.report(T0 + 5000).healthy, true);
+
+    const report = monitor.report(T0 + 5001);
+    assert.equal(report.status, "stale");
+    assert.equal(report.healthy, false);
+    assert.equal(report.streams[0].stale, true);
+  });
+
+  test("counts from the start before the first message", () => {
+    const monitor = createHealthMonitor({
+      streams: () => [entry("trades", { startedAt: T0 })],
+      staleAfterMs: 5000,
+    });
+    assert.equal(monitor.report(T0 + 4000).healthy, true);
+    assert.equal(monitor.report(T0 + 6000).healthy, false);
+  });
+
+  test("is not ready while a stream reconnects", () => {
+    const monitor = createHealthMonitor({
+      streams: () => [
+        entry("trades", { lastMessageAt: T0 }),
+        entry("transfers", {
+          state: "reconnecting",
+          lastMessageAt: T0,
+          lastSlot: "100",
+          reconnectAttempt: 3,
+        }),
+      ],
+    });
+    const report = monitor.report(T0 + 1000);
+
+    assert.equal(report.status, "starting");
+    assert.equal(report.healthy, true);
+    assert.equal(report.ready, false);
+    assert.equal(report.streams[1].reconnect_attempt, 3);
+    assert.equal(report.streams[1].last_slot, 100);
+  });
+
+  test("reports failed streams as unhealthy", () => {
+    const monitor = createHealthMonitor({
+      streams: () => [entry("trades", { state: "failed" })],
+      staleAfterMs: 5000,
+    });
+    const report = monitor.report(T0 + 60000);
+    assert.equal(report.status, "failed");
+    assert.equal(report.healthy, false);
+    assert.equal(report.streams[0].stale, false);
+  });
+
+  test("requires options.streams", () => {
+    assert.throws(() => createHealthMonitor(), /requires options.streams/);
+  });
+});
+
+describe("createHealthServer", () => {
+  test("answers 503 on /healthz and /readyz once they fail", async (t) => {
+    const streams = [entry("trades", { lastMessageAt: Date.now() })];
+    const url = await startServer(t, streams);
+
+    let response = await fetch(`${url}/healthz`);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, "ok");
+    assert.equal((await fetch(`${url}/readyz`)).status, 200);
+
+    streams[0].subscription.state = "reconnecting";
+    assert.equal((await fetch(`${url}/healthz`)).status, 200);
+    assert.equal((await fetch(`${url}/readyz`)).status, 503);
+
+    streams[0].subscription.state = "failed";
+    response = await fetch(`${url}/healthz`);
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).status, "failed");
+  });
+
+  test("answers 404 and 405 for other paths and methods", async (t) => {
+    const url = await startServer(t, []);
+    assert.equal((await fetch(`${url}/other`)).status, 404);
+    const post = await fetch(`${url}/healthz`, { method: "POST" });
+    assert.equal(post.status, 405);
+    assert.equal(post.headers.get("allow"), "GET, HEAD");
+  });
+
+  test("answers 400 to request targets that aren't a URL", async (t) => {
+    const url = await startServer(t, []);
+    assert.equal(
+      await rawRequest(url, "GET //[ HTTP/1.1\r\nHost: localhost\r\n\r\n"),
+      "HTTP/1.1 400 Bad Request"
+    );
+    // The server keeps answering
+    assert.equal((await fetch(`${url}/readyz`)).status, 503);
+  });
+});
@@ -0,0 +1,189 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const {
+  decodeArgument,
+  formatInstruction,
+  instructionData,
+  instructionJson,
+  namedAccounts,
+} = require("../lib/idl");
+const {
+  MINTS,
+  PROGRAMS,
+  WALLETS,
+  argument,
+  instruction,
+} = require("./messages");
+
+describe("decodeArgument", () => {
+  test("reads the oneof field named by Value", () => {
+    assert.deepEqual(decodeArgument(argument("amount", "UInt", "42", "u64")), {
+      name: "amount",
+      type: "u64",
+      kind: "UInt",
+      value: "42",
+    });
+    // A default value (false) is still the field Value names
+    assert.deepEqual(
+      decodeArgument({ Name: "flag", Type: "bool", Bool: false, Value: "Bool" })
+        .value,
+      false
+    );
+  });
+
+  test("finds the set field without a Value name", () => {
+    const decoded = decodeArgument({ Name: "delta", Type: "i64", Int: "-7" });
+    assert.equal(decoded.kind, "Int");
+    assert.equal(decoded.value, "-7");
+
+    assert.deepEqual(decodeArgument({ Name: "empty", Type: "u8" }), {
+      name: "empty",
+      type: "u8",
+      kind: null,
+      value: null,
+    });
+  });
+
+  test("turns addresses into base58", () => {
+    const decoded = decodeArgument(
+      argument("creator", "Address", WALLETS.bob, "pubkey")
+    );
+    assert.equal(decoded.value, WALLETS.bob);
+    assert.equal(
+      decodeArgument({ Name: "none", Address: Buffer.alloc(0) }).value,
+      null
+    );
+  });
+
+  test("parses Json and keeps invalid JSON as text", () => {
+    assert.deepEqual(
+      decodeArgument(argument("params", "Json", '{"decimals":6}')).value,
+      { decimals: 6 }
+    );
+    assert.equal(
+      decodeArgument(argument("params", "Json", "{not json")).value,
+      "{not json"
+    );
+  });
+});
+
+describe("namedAccounts", () => {
+  test("pairs accounts with their IDL names and flags", () => {
+    const accounts = namedAccounts(
+      instruction({
+        program: "pumpfun",
+        accounts: [
+          ["mint", MINTS.PUMP, { signer: true, writable: true }],
+          ["user", WALLETS.alice, { writable: true }],
+          [null, WALLETS.pool],
+        ],
+      })
+    );
+    assert.deepEqual(accounts, [
+      { name: "mint", address: MINTS.PUMP, signer: true, writable: true },
+      { name: "user", address: WALLETS.alice, signer: false, writable: true },
+      { name: null, address: WALLETS.pool, signer: false, writable: false },
+    ]);
+  });
+
+  test("is empty without accounts", () => {
+    assert.deepEqual(namedAccounts({ Program: {} }), []);
+  });
+});
+
+describe("instruction data", () => {
+  test("is hex, or null when empty", () => {
+    assert.equal(
+      instructionData(instruction({ program: "token", data: "0300e1f5" })),
+      "0300e1f5"
+    );
+    assert.equal(instructionData(instruction({ program: "token" })), null);
+  });
+
+  test("parses Program.Json, null when empty or invalid", () => {
+    assert.deepEqual(
+      instructionJson(instruction({ program: "pumpfun", json: '{"a":1}' })),
+      { a: 1 }
+    );
+    assert.equal(instructionJson(instruction({ program: "pumpfun" })), null);
+    assert.equal(
+      instructionJson(instruction({ program: "pumpfun", json: "{" })),
+      null
+    );
+  });
+});
+
+describe("formatInstruction", () => {
+  test("prints arguments and named accounts", () => {
+    const lines = formatInstruction(
+      instruction({
+        index: 2,
+        program: "pumpfun",
+        method: "buy",
+        args: [
+          argument("amount", "UInt", "100", "u64"),
+          argument("creator", "Address", WALLETS.bob),
+          argument("params", "Json", '{"a":1}', "Params"),
+        ],
+        accounts: [
+          ["mint", MINTS.PUMP, { signer: true, writable: true }],
+          [null, WALLETS.pool],
+        ],
+        json: '{"ignored":true}',
+      })
+    );
+    assert.deepEqual(lines, [
+      `  #2 program=${PROGRAMS.pumpfun} name=pumpfun method=buy accounts=2`,
+      "    Arguments:",
+      "      amount (u64): 100",
+      `      creator (Address): ${WALLETS.bob}`,
+      '      params (Params): {\n        "a": 1\n      }',
+      "    Accounts:",
+      `      mint: ${MINTS.PUMP} [signer, writable]`,
+      `      #1: ${WALLETS.pool}`,
+    ]);
+  });
+
+  test("prints Program.Json when there are no arguments", () => {
+    const lines = formatInstruction(
+      instruction({ program: "pumpfun", method: "sync", json: '{"a":1}' }),
+      ""
+    );
+    assert.deepEqual(lines.slice(1), ['  Json: {\n      "a": 1\n    }']);
+  });
+
+  test("prints invalid Json arguments as text", () => {
+    const lines = formatInstruction(
+      instruction({
+        program: "pumpfun",
+        args: [argument("params", "Json", "{oops", "Params")],
+      })
+    );
+    assert.equal(lines[2], "      params (Params): {oops");
+  });
+
+  test("falls back to hex data when the IDL didn't parse it", () => {
+    const unparsed = instruction({
+      index: 1,
+      program: "token",
+      parsed: false,
+      data: "0300e1f50500000000",
+    });
+    assert.deepEqual(formatInstruction(unparsed), [
+      `  #1 program=${PROGRAMS.token} name=token method= accounts=0`,
+      "    Data: 0300e1f50500000000",
+    ]);
+
+    const empty = instruction({ program: "token", parsed: false });
+    assert.equal(formatInstruction(empty).at(-1), "    Data: none");
+  });
+
+  test("names a missing program unknown", () => {
+    const [header] = formatInstruction({
+      Index: 0,
+      Program: { Address: Buffer.alloc(0) },
+    });
+    assert.equal(header, "  #0 program=unknown name= method= accounts=0");
+  });
+});
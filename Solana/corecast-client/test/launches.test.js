@@ -0,0 +1,296 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const {
+  createLaunchFollower,
+  detectLaunches,
+  formatLaunch,
+  launchOptions,
+} = require("../lib/launches");
+const {
+  MINTS,
+  PROGRAMS,
+  WALLETS,
+  argument,
+  instruction,
+  transactionMessage,
+} = require("./messages");
+
+const RECEIVED = Date.UTC(2025, 0, 1);
+
+function pumpCreate({ index = 0, creator, method = "create", ...rest } = {}) {
+  return instruction({
+    index,
+    program: "pumpfun",
+    method,
+    args: [
+      argument("name", "String", "Pump Token", "string"),
+      argument("symbol", "String", "PUMPTOKEN", "string"),
+      argument("uri", "String", "https://ipfs.io/ipfs/pump", "string"),
+      ...(creator ? [argument("creator", "Address", creator, "pubkey")] : []),
+    ],
+    accounts: [
+      ["mint", MINTS.PUMP],
+      ["mint_authority", WALLETS.pool],
+      ["bonding_curve", WALLETS.pool],
+      ["user", WALLETS.alice],
+    ],
+    ...rest,
+  });
+}
+
+function launchlabInitialize({ method = "initialize", args, accounts } = {}) {
+  return instruction({
+    program: "launchlab",
+    method,
+    args: args || [
+      argument(
+        "base_mint_param",
+        "Json",
+        JSON.stringify({
+          decimals: 6,
+          name: "Bonk Token",
+          symbol: "BONKTOKEN",
+          uri: "https://ipfs.io/ipfs/bonk",
+        }),
+        "MintParams"
+      ),
+    ],
+    accounts: accounts || [
+      ["payer", WALLETS.alice],
+      ["creator", WALLETS.bob],
+      ["pool_state", WALLETS.pool],
+      ["base_mint", MINTS.BONK],
+      ["quote_mint", MINTS.WSOL],
+    ],
+  });
+}
+
+describe("detectLaunches", () => {
+  test("reads a pump.fun create's mint, creator and metadata", () => {
+    const message = transactionMessage({
+      slot: 370485120,
+      instructions: [pumpCreate({ creator: WALLETS.bob })],
+    });
+
+    const [launch, ...rest] = detectLaunches(message, RECEIVED);
+    assert.equal(rest.length, 0);
+    assert.deepEqual(
+      { ...launch, signature: undefined },
+      {
+        type: "launch",
+        platform: "pump.fun",
+        program: PROGRAMS.pumpfun,
+        method: "create",
+        mint: MINTS.PUMP,
+        creator: WALLETS.bob,
+        name: "Pump Token",
+        symbol: "PUMPTOKEN",
+        uri: "https://ipfs.io/ipfs/pump",
+        slot: 370485120,
+        signature: undefined,
+        received_at: "2025-01-01T00:00:00.000Z",
+      }
+    );
+    assert.match(launch.signature, /^[1-9A-HJ-NP-Za-km-z]+$/);
+  });
+
+  test("falls back to the creator account without a creator argument", () => {
+    const message = transactionMessage({ instructions: [pumpCreate()] });
+    assert.equal(detectLaunches(message)[0].creator, WALLETS.alice);
+  });
+
+  test("finds the mint by account name, not position", () => {
+    const message = transactionMessage({
+      instructions: [
+        launchlabInitialize({
+          accounts: [
+            ["base_mint", MINTS.BONK],
+            ["creator", WALLETS.bob],
+            ["payer", WALLETS.alice],
+          ],
+        }),
+      ],
+    });
+    const [launch] = detectLaunches(message);
+    assert.equal(launch.mint, MINTS.BONK);
+    assert.equal(launch.creator, WALLETS.bob);
+  });
+
+  test("matches camelCase method and account names", () => {
+    const message = transactionMessage({
+      instructions: [
+        launchlabInitialize({
+          method: "initializeV2",
+          accounts: [
+            ["creator", WALLETS.bob],
+            ["baseMint", MINTS.BONK],
+          ],
+        }),
+      ],
+    });
+    const [launch] = detectLaunches(message);
+    assert.equal(launch.platform, "launchlab");
+    assert.equal(launch.method, "initializeV2");
+    assert.equal(launch.mint, MINTS.BONK);
+  });
+
+  test("merges the fields of struct arguments", () => {
+    const [launch] = detectLaunches(
+      transactionMessage({ instructions: [launchlabInitialize()] })
+    );
+    assert.equal(launch.name, "Bonk Token");
+    assert.equal(launch.symbol, "BONKTOKEN");
+    assert.equal(launch.uri, "https://ipfs.io/ipfs/bonk");
+  });
+
+  test("prefers top-level arguments over struct fields", () => {
+    const [launch] = detectLaunches(
+      transactionMessage({
+        instructions: [
+          launchlabInitialize({
+            args: [
+              argument(
+                "base_mint_param",
+                "Json",
+                JSON.stringify({ name: "Struct Name", symbol: "STRUCT" }),
+                "MintParams"
+              ),
+              argument("name", "String", "Top Name", "string"),
+            ],
+          }),
+        ],
+      })
+    );
+    assert.equal(launch.name, "Top Name");
+    assert.equal(launch.symbol, "STRUCT");
+    assert.equal(launch.uri, null);
+  });
+
+  test("includes inner instructions", () => {
+    const message = transactionMessage({
+      instructions: [
+        instruction({ program: PROGRAMS.token, method: "route" }),
+        pumpCreate({ index: 1, depth: 1, callerIndex: 0, ancestors: [0] }),
+      ],
+    });
+    assert.deepEqual(
+      detectLaunches(message).map((launch) => launch.mint),
+      [MINTS.PUMP]
+    );
+  });
+
+  test("skips failed transactions", () => {
+    const message = transactionMessage({
+      success: false,
+      instructions: [pumpCreate()],
+    });
+    assert.deepEqual(detectLaunches(message), []);
+  });
+
+  test("skips launches without a mint account", () => {
+    const message = transactionMessage({
+      instructions: [
+        pumpCreate({ accounts: [["user", WALLETS.alice]] }),
+        launchlabInitialize({ accounts: [] }),
+      ],
+    });
+    assert.deepEqual(detectLaunches(message), []);
+  });
+
+  test("ignores other methods, programs and message kinds", () => {
+    const message = transactionMessage({
+      instructions: [
+        pumpCreate({ method: "buy" }),
+        instruction({
+          program: PROGRAMS.pumpswap,
+          method: "create",
+          accounts: [["mint", MINTS.PUMP]],
+        }),
+      ],
+    });
+    assert.deepEqual(detectLaunches(message), []);
+    assert.deepEqual(detectLaunches({ Block: { Slot: "1" } }), []);
+  });
+});
+
+describe("createLaunchFollower", () => {
+  const launch = (mint) => ({ mint });
+
+  test("follows each mint once", () => {
+    const started = [];
+    const follower = createLaunchFollower({
+      start: (event, stream) => started.push([event.mint, stream]),
+      stop: () => assert.fail("nothing to evict"),
+    });
+
+    assert.equal(follower.follow(launch(MINTS.PUMP), "parent"), true);
+    assert.equal(follower.follow(launch(MINTS.PUMP), "parent"), false);
+    assert.deepEqual(started, [[MINTS.PUMP, "parent"]]);
+    assert.deepEqual(follower.mints, [MINTS.PUMP]);
+  });
+
+  test("stops the oldest launch past maxSubscriptions", () => {
+    const stopped = [];
+    const follower = createLaunchFollower({
+      maxSubscriptions: 2,
+      start: (event) => `stream of ${event.mint}`,
+      stop: (entry) => stopped.push(entry),
+    });
+
+    follower.follow(launch(MINTS.PUMP));
+    follower.follow(launch(MINTS.BONK));
+    assert.deepEqual(stopped, []);
+
+    follower.follow(launch(MINTS.USDC));
+    assert.deepEqual(stopped, [`stream of ${MINTS.PUMP}`]);
+    assert.deepEqual(follower.mints, [MINTS.BONK, MINTS.USDC]);
+  });
+
+  test("follows 10 launches by default", () => {
+    const stopped = [];
+    const follower = createLaunchFollower({
+      start: (event) => event.mint,
+      stop: (mint) => stopped.push(mint),
+    });
+    for (let i = 0; i < 11; i++) follower.follow(launch(`mint${i}`));
+    assert.deepEqual(stopped, ["mint0"]);
+    assert.equal(follower.mints.length, 10);
+  });
+
+  test("requires start and stop", () => {
+    assert.throws(
+      () => createLaunchFollower({ start: () => {} }),
+      /requires options.start and stop/
+    );
+  });
+});
+
+describe("launch options", () => {
+  test("maps the config section", () => {
+    assert.equal(launchOptions(undefined), null);
+    assert.deepEqual(launchOptions({}), {
+      subscribeTrades: false,
+      maxSubscriptions: 10,
+    });
+    assert.deepEqual(
+      launchOptions({ subscribe_trades: true, max_subscriptions: 3 }),
+      { subscribeTrades: true, maxSubscriptions: 3 }
+    );
+  });
+
+  test("formats an event with missing metadata", () => {
+    const [event] = detectLaunches(
+      transactionMessage({
+        slot: 5,
+        instructions: [launchlabInitialize({ args: [] })],
+      }),
+      RECEIVED
+    );
+    const text = formatLaunch(event);
+    assert.match(text, /Platform: launchlab \(initialize\)/);
+    assert.match(text, /Name: N\/A/);
+    assert.match(text, new RegExp(`Creator: ${WALLETS.bob}`));
+    assert.match(text, /Block Slot: 5/);
+  });
+});
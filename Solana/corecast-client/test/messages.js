@@ -0,0 +1,232 @@
+// Stream messages shaped like the proto-loader output (`longs: String`,
+// `bytes: Buffer`) for the tests
+const bs58 = require("bs58");
+
+const MINTS = {
+  SOL: "11111111111111111111111111111111",
+  WSOL: "So11111111111111111111111111111111111111112",
+  USDC: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v",
+  PUMP: "7CyJ5J3tqRKKJjSWSzASuVJdD2oryAJZfyvbMVJmpump",
+  BONK: "DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263",
+};
+
+const WALLETS = {
+  alice: "8HqR8D9gHtN1eMJyaX7BN5PmzF5z9KgQzY4nXvFfRD8m",
+  bob: "7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr",
+  pool: "4wTV1YmiEkRvAtNtsSGPtUrqRYQMe5SKy2uB4Jjaxnjf",
+};
+
+const PROGRAMS = {
+  pumpfun: "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P",
+  pumpswap: "pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA",
+  launchlab: "LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj",
+  token: "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA",
+};
+
+function address(text) {
+  return Buffer.from(bs58.decode(text));
+}
+
+const CURRENCIES = {
+  SOL: { Symbol: "SOL", Decimals: 9, MintAddress: address(MINTS.SOL) },
+  WSOL: { Symbol: "WSOL", Decimals: 9, MintAddress: address(MINTS.WSOL) },
+  USDC: { Symbol: "USDC", Decimals: 6, MintAddress: address(MINTS.USDC) },
+  PUMP: { Symbol: "PUMP", Decimals: 6, MintAddress: address(MINTS.PUMP) },
+  BONK: { Symbol: "BONK", Decimals: 5, MintAddress: address(MINTS.BONK) },
+};
+
+// A signature of its own for every message unless one is given
+let signatures = 0;
+function signature(seed = ++signatures) {
+  const bytes = Buffer.alloc(64);
+  bytes.writeUInt32BE(seed);
+  return bytes;
+}
+
+function dex(program) {
+  return program
+    ? { ProgramAddress: address(PROGRAMS[program]), ProtocolName: program }
+    : undefined;
+}
+
+// DexTrades message: `buy` and `sell` are { amount, currency, account }
+// with a CURRENCIES name and a WALLETS name, `program` a PROGRAMS name
+function tradeMessage({
+  slot = 1000,
+  index = 0,
+  instructionIndex = 0,
+  buy,
+  sell,
+  market = { base: buy.currency, quote: sell.currency },
+  fee = "0",
+  signer,
+  program,
+  sig = signature(),
+} = {}) {
+  const side = ({ amount, currency, account }) => ({
+    Amount: String(amount),
+    Currency: CURRENCIES[currency],
+    Account: account ? { Address: address(WALLETS[account]) } : undefined,
+  });
+  return {
+    Block: { Slot: String(slot) },
+    Transaction: {
+      Index: index,
+      Signature: sig,
+      Status: { Success: true },
+      Header: signer ? { Signer: address(WALLETS[signer]) } : {},
+    },
+    Trade: {
+      InstructionIndex: instructionIndex,
+      Dex: dex(program),
+      Market: {
+        MarketAddress: address(WALLETS.pool),
+        BaseCurrency: CURRENCIES[market.base],
+        QuoteCurrency: CURRENCIES[market.quote],
+      },
+      Buy: side(buy),
+      Sell: side(sell),
+      Fee: String(fee),
+      Royalty: "0",
+    },
+  };
+}
+
+// Transfers message of `amount` raw units of a CURRENCIES name
+function transferMessage({
+  slot = 1000,
+  amount,
+  currency,
+  from = "alice",
+  to = "bob",
+  sig = signature(),
+}) {
+  return {
+    Block: { Slot: String(slot) },
+    Transaction: { Signature: sig, Header: {} },
+    Transfer: {
+      InstructionIndex: 0,
+      Amount: String(amount),
+      Currency: CURRENCIES[currency],
+      Sender: { Address: address(WALLETS[from]) },
+      Receiver: { Address: address(WALLETS[to]) },
+    },
+  };
+}
+
+// DexPools message of a pool of `token` and WSOL with `tokens` and
+// `lamports` raw units left in it
+function poolEventMessage({
+  slot = 1000,
+  index = 0,
+  token = "PUMP",
+  tokens,
+  lamports = 30000000000,
+  program = "pumpfun",
+  sig = signature(),
+}) {
+  return {
+    Block: { Slot: String(slot) },
+    Transaction: { Index: index, Signature: sig, Status: { Success: true } },
+    PoolEvent: {
+      InstructionIndex: 0,
+      Dex: dex(program),
+      Market: {
+        MarketAddress: address(WALLETS.pool),
+        BaseCurrency: CURRENCIES[token],
+        QuoteCurrency: CURRENCIES.WSOL,
+      },
+      BaseCurrency: { PostAmount: String(tokens) },
+      QuoteCurrency: { PostAmount: String(lamports) },
+    },
+  };
+}
+
+// ParsedArgument with the `Value` oneof field `kind` set; Address values
+// are base58 text
+function argument(name, kind, value, type = null) {
+  return {
+    Name: name,
+    Type: type,
+    [kind]: kind === "Address" ? address(value) : value,
+    Value: kind,
+  };
+}
+
+// ParsedIdlInstruction of a PROGRAMS name: `accounts` are [name, address,
+// { signer, writable }] (name null past the IDL's accounts), `args` from
+// argument()
+function instruction({
+  index = 0,
+  program,
+  method = null,
+  args = [],
+  accounts = [],
+  parsed = true,
+  data = null,
+  depth = 0,
+  callerIndex = -1,
+  ancestors = [],
+  callPath = [],
+  json = "",
+}) {
+  return {
+    Index: index,
+    Depth: depth,
+    CallerIndex: callerIndex,
+    AncestorIndexes: ancestors,
+    CallPath: callPath,
+    Program: {
+      Address: address(PROGRAMS[program] || program),
+      Parsed: parsed,
+      Name: program,
+      Method: method,
+      Arguments: args,
+      AccountNames: accounts
+        .map(([name]) => name)
+        .filter((name) => name !== null),
+      Json: json,
+    },
+    Accounts: accounts.map(([, account, flags = {}]) => ({
+      Address: address(account),
+      IsSigner: Boolean(flags.signer),
+      IsWritable: Boolean(flags.writable),
+    })),
+    Data: data ? Buffer.from(data, "hex") : Buffer.alloc(0),
+  };
+}
+
+// Transactions message of instruction() values
+function transactionMessage({
+  slot = 1000,
+  instructions,
+  success = true,
+  signer = "alice",
+  sig = signature(),
+}) {
+  return {
+    Block: { Slot: String(slot) },
+    Transaction: {
+      Index: 0,
+      Signature: sig,
+      Status: { Success: success },
+      Header: { Signer: address(WALLETS[signer]) },
+      ParsedIdlInstructions: instructions,
+    },
+  };
+}
+
+module.exports = {
+  CURRENCIES,
+  MINTS,
+  PROGRAMS,
+  WALLETS,
+  address,
+  argument,
+  instruction,
+  poolEventMessage,
+  signature,
+  tradeMessage,
+  transactionMessage,
+  transferMessage,
+};
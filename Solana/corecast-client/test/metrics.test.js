@@ -0,0 +1,269 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const {
+  DEFAULT_BUCKETS,
+  createMetricsRegistry,
+  createMetricsServer,
+  metricsOptions,
+} = require("../lib/metrics");
+const { createStats, formatStats } = require("../lib/stats");
+
+// Sample lines of one metric in a registry's text, without HELP/TYPE
+function samples(registry, name) {
+  return registry
+    .render()
+    .split("\n")
+    .filter((line) => line.startsWith(name) && !line.startsWith("#"));
+}
+
+// Value of one sample line, e.g. `name{labels}`
+function sample(text, series) {
+  const line = text.split("\n").find((entry) => entry.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe("createMetricsRegistry", () => {
+  test("starts with the process gauges", () => {
+    const registry = createMetricsRegistry();
+    assert.deepEqual(registry.names, [
+      "corecast_heap_used_bytes",
+      "corecast_base58_cache_size",
+    ]);
+    const text = registry.render();
+    assert.match(text, /^# HELP corecast_heap_used_bytes V8 heap in use$/m);
+    assert.match(text, /^# TYPE corecast_heap_used_bytes gauge$/m);
+    assert.match(text, /^corecast_heap_used_bytes \d+$/m);
+    assert.ok(text.endsWith("\n"));
+  });
+
+  test("returns registered metrics and refuses another type", () => {
+    const registry = createMetricsRegistry();
+    const counter = registry.counter("events_total", "Events");
+    assert.equal(registry.counter("events_total", "Other help"), counter);
+    assert.throws(
+      () => registry.gauge("events_total", "Events"),
+      /events_total is already a counter/
+    );
+  });
+
+  test("counts series by label", () => {
+    const registry = createMetricsRegistry();
+    const counter = registry.counter("events_total", "Events");
+    counter.inc({ type: "trade" });
+    counter.inc({ type: "trade" }, 2);
+    counter.inc({ type: "order", stream: undefined });
+    counter.inc();
+
+    assert.equal(counter.get({ type: "trade" }), 3);
+    assert.equal(counter.get({ type: "missing" }), 0);
+    assert.deepEqual(samples(registry, "events_total"), [
+      'events_total{type="trade"} 3',
+      'events_total{type="order"} 1',
+      "events_total 1",
+    ]);
+
+    counter.remove({ type: "trade" });
+    assert.equal(samples(registry, "events_total").length, 2);
+  });
+
+  test("escapes label values", () => {
+    const registry = createMetricsRegistry();
+    registry
+      .counter("events_total", "Events")
+      .inc({ stream: 'a "quoted"\\path\nline' });
+    assert.deepEqual(samples(registry, "events_total"), [
+      'events_total{stream="a \\"quoted\\"\\\\path\\nline"} 1',
+    ]);
+  });
+
+  test("collects gauges on each render", () => {
+    const registry = createMetricsRegistry();
+    let depth = 1;
+    registry.gauge("queue_depth", "Queue depth", () => depth);
+    registry.gauge("lag", "Lag", () => [
+      { labels: { stream: "a" }, value: 2 },
+      { labels: { stream: "b" }, value: Infinity },
+    ]);
+    const set = registry.gauge("limit", "Limit");
+    set.set({ stream: "a" }, -Infinity);
+
+    assert.deepEqual(samples(registry, "queue_depth"), ["queue_depth 1"]);
+    depth = 5;
+    assert.deepEqual(samples(registry, "queue_depth"), ["queue_depth 5"]);
+    assert.deepEqual(samples(registry, "lag"), [
+      'lag{stream="a"} 2',
+      'lag{stream="b"} +Inf',
+    ]);
+    assert.deepEqual(samples(registry, "limit"), ['limit{stream="a"} -Inf']);
+  });
+});
+
+describe("histograms", () => {
+  test("render cumulative buckets, sum and count", () => {
+    const registry = createMetricsRegistry();
+    const histogram = registry.histogram(
+      "latency_seconds",
+      "Latency",
+      [0.1, 1]
+    );
+    for (const value of [0.05, 0.1, 0.5, 3]) {
+      histogram.observe({ stream: "trades" }, value);
+    }
+
+    assert.deepEqual(samples(registry, "latency_seconds"), [
+      'latency_seconds_bucket{stream="trades",le="0.1"} 2',
+      'latency_seconds_bucket{stream="trades",le="1"} 3',
+      'latency_seconds_bucket{stream="trades",le="+Inf"} 4',
+      'latency_seconds_sum{stream="trades"} 3.65',
+      'latency_seconds_count{stream="trades"} 4',
+    ]);
+    assert.deepEqual(histogram.get({ stream: "trades" }), {
+      sum: 3.65,
+      count: 4,
+    });
+    assert.deepEqual(histogram.get({ stream: "other" }), { sum: 0, count: 0 });
+  });
+
+  test("use the default buckets from 50µs to 1s", () => {
+    const registry = createMetricsRegistry();
+    const histogram = registry.histogram("seconds", "Seconds");
+    assert.equal(histogram.buckets, DEFAULT_BUCKETS);
+    assert.equal(DEFAULT_BUCKETS[0], 0.00005);
+    assert.equal(DEFAULT_BUCKETS.at(-1), 1);
+
+    histogram.observe({}, 0.002);
+    const lines = samples(registry, "seconds_bucket");
+    assert.equal(lines.length, DEFAULT_BUCKETS.length + 1);
+    assert.equal(lines[4], 'seconds_bucket{le="0.001"} 0');
+    assert.equal(lines[5], 'seconds_bucket{le="0.0025"} 1');
+  });
+});
+
+describe("stats and metrics", () => {
+  test("interval resets don't reset the metrics", () => {
+    const registry = createMetricsRegistry();
+    const stats = createStats({
+      registry,
+      labels: { stream: "trades", rpc: "DexTrades" },
+    });
+    const messages =
+      'corecast_messages_received_total{stream="trades",rpc="DexTrades"}';
+
+    // Zeros are exported before the first increment
+    assert.equal(sample(registry.render(), messages), 0);
+
+    stats.increment("messages", 3);
+    stats.startTimer()();
+    stats.reset();
+    stats.increment("messages", 2);
+    stats.startTimer()();
+
+    assert.equal(stats.interval.messages, 2);
+    assert.equal(stats.interval.processed, 1);
+    assert.equal(stats.totals.messages, 5);
+
+    const text = registry.render();
+    assert.equal(sample(text, messages), 5);
+    assert.equal(
+      sample(
+        text,
+        'corecast_message_processing_seconds_count{stream="trades",rpc="DexTrades"}'
+      ),
+      2
+    );
+  });
+
+  test("streams share metrics with their own labels", () => {
+    const registry = createMetricsRegistry();
+    const trades = createStats({ registry, labels: { stream: "trades" } });
+    const transfers = createStats({
+      registry,
+      labels: { stream: "transfers" },
+    });
+    trades.increment("trades", 4);
+    transfers.increment("transfers");
+
+    const text = registry.render();
+    assert.equal(
+      sample(text, 'corecast_events_total{stream="trades",type="trade"}'),
+      4
+    );
+    assert.equal(
+      sample(text, 'corecast_events_total{stream="transfers",type="transfer"}'),
+      1
+    );
+    assert.equal(text.match(/^# TYPE corecast_events_total /gm).length, 1);
+
+    transfers.remove();
+    assert.equal(
+      sample(
+        registry.render(),
+        'corecast_events_total{stream="transfers",type="transfer"}'
+      ),
+      undefined
+    );
+  });
+
+  test("the printed interval stats and /metrics read one registry", async (t) => {
+    const registry = createMetricsRegistry();
+    const stats = createStats({ registry, labels: { stream: "trades" } });
+    let server;
+    const address = await new Promise((resolve) => {
+      server = createMetricsServer({ registry, port: 0, onListening: resolve });
+    });
+    t.after(() => server.close());
+    const scrape = async () =>
+      (await fetch(`http://127.0.0.1:${address.port}/metrics`)).text();
+    const series = 'corecast_messages_received_total{stream="trades"}';
+
+    stats.increment("messages", 7);
+    assert.match(formatStats(stats), /Messages received: 7/);
+    assert.equal(sample(await scrape(), series), 7);
+
+    // A stats report resets the interval; the scrape stays cumulative
+    stats.reset();
+    stats.increment("messages", 2);
+    assert.match(formatStats(stats), /Messages received: 2/);
+    assert.equal(sample(await scrape(), series), 9);
+    assert.equal(server.scrapes, 2);
+  });
+});
+
+describe("createMetricsServer", () => {
+  test("serves the text format on its path only", async (t) => {
+    const registry = createMetricsRegistry();
+    let server;
+    const address = await new Promise((resolve) => {
+      server = createMetricsServer({
+        registry,
+        port: 0,
+        path: "/stats",
+        onListening: resolve,
+      });
+    });
+    t.after(() => server.close());
+    const url = `http://127.0.0.1:${address.port}`;
+
+    const response = await fetch(`${url}/stats`);
+    assert.equal(response.status, 200);
+    assert.equal(
+      response.headers.get("content-type"),
+      "text/plain; version=0.0.4; charset=utf-8"
+    );
+    assert.match(await response.text(), /^corecast_heap_used_bytes /m);
+    assert.equal((await fetch(`${url}/metrics`)).status, 404);
+  });
+
+  test("requires options.registry", () => {
+    assert.throws(() => createMetricsServer(), /requires options.registry/);
+  });
+
+  test("metricsOptions maps the config section", () => {
+    assert.equal(metricsOptions(undefined), null);
+    assert.deepEqual(
+      metricsOptions({ port: 9464, host: "0.0.0.0", path: "/m" }),
+      { port: 9464, host: "0.0.0.0", path: "/m" }
+    );
+  });
+});
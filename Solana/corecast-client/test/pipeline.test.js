@@ -0,0 +1,204 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { normalizeMessage } = require("../lib/normalize");
+const { createPipeline } = require("../lib/pipeline");
+const { createStats } = require("../lib/stats");
+const { createBroadcastServer } = require("../lib/websocket");
+const { tradeMessage } = require("./messages");
+
+// ws is an optional dependency
+let WebSocket = null;
+try {
+  ({ WebSocket } = require("ws"));
+} catch (error) {
+  // The WebSocket test below is skipped
+}
+
+// Let the queued drains (setImmediate) and busy retries (setTimeout) run
+function settle(ms = 50) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createRecorder(options = {}) {
+  const handled = [];
+  const calls = { pause: 0, resume: 0 };
+  const pipeline = createPipeline({
+    handle: (message) => handled.push(message),
+    pause: () => calls.pause++,
+    resume: () => calls.resume++,
+    ...options,
+  });
+  return { pipeline, handled, calls };
+}
+
+describe("createPipeline", () => {
+  test("handles messages in order, in batches", async () => {
+    const { pipeline, handled } = createRecorder({ batchSize: 2 });
+    for (let i = 1; i <= 5; i++) pipeline.push(i);
+
+    assert.deepEqual(handled, []);
+    assert.equal(pipeline.depth, 5);
+    await settle();
+    assert.deepEqual(handled, [1, 2, 3, 4, 5]);
+    assert.equal(pipeline.depth, 0);
+    assert.equal(pipeline.peak, 5);
+  });
+
+  test("block pauses a full queue and resumes at half", async () => {
+    const { pipeline, handled, calls } = createRecorder({
+      queueSize: 4,
+      batchSize: 1,
+    });
+    for (let i = 1; i <= 4; i++) pipeline.push(i);
+    assert.equal(pipeline.paused, true);
+    assert.equal(calls.pause, 1);
+
+    // Messages already in flight are still queued, not dropped
+    pipeline.push(5);
+    pipeline.push(6);
+    assert.equal(pipeline.depth, 6);
+    assert.equal(calls.pause, 1);
+
+    await settle();
+    assert.deepEqual(handled, [1, 2, 3, 4, 5, 6]);
+    assert.equal(pipeline.paused, false);
+    assert.equal(calls.resume, 1);
+    assert.equal(pipeline.pauses, 1);
+    assert.equal(pipeline.dropped, 0);
+  });
+
+  test("drop-oldest keeps the newest messages", async () => {
+    const stats = createStats();
+    const { pipeline, handled, calls } = createRecorder({
+      queueSize: 3,
+      overflow: "drop-oldest",
+      stats,
+    });
+    for (let i = 1; i <= 5; i++) pipeline.push(i);
+
+    await settle();
+    assert.deepEqual(handled, [3, 4, 5]);
+    assert.equal(pipeline.dropped, 2);
+    assert.equal(calls.pause, 0);
+    assert.equal(stats.totals.queueDropped, 2);
+    assert.equal(stats.totals.messages, 2);
+  });
+
+  test("sample keeps every sampleEvery-th message of a full queue", async () => {
+    const { pipeline, handled } = createRecorder({
+      queueSize: 2,
+      overflow: "sample",
+      sampleEvery: 3,
+    });
+    for (let i = 1; i <= 8; i++) pipeline.push(i);
+
+    await settle();
+    assert.deepEqual(handled, [5, 8]);
+    assert.equal(pipeline.dropped, 6);
+  });
+
+  test("waits while busy() is true", async () => {
+    let busy = true;
+    const { pipeline, handled } = createRecorder({ busy: () => busy });
+    pipeline.push(1);
+
+    await settle();
+    assert.deepEqual(handled, []);
+
+    busy = false;
+    await settle();
+    assert.deepEqual(handled, [1]);
+  });
+
+  test("a busy output fills the queue until the policy applies", async () => {
+    let busy = true;
+    const { pipeline, handled, calls } = createRecorder({
+      queueSize: 2,
+      busy: () => busy,
+    });
+    for (let i = 1; i <= 3; i++) pipeline.push(i);
+    await settle();
+    assert.deepEqual(handled, []);
+    assert.equal(calls.pause, 1);
+
+    busy = false;
+    await settle();
+    assert.deepEqual(handled, [1, 2, 3]);
+    assert.equal(calls.resume, 1);
+  });
+
+  test("close handles what is queued and ignores later messages", async () => {
+    const { pipeline, handled } = createRecorder({ busy: () => true });
+    pipeline.push(1);
+    pipeline.push(2);
+    pipeline.close();
+    assert.deepEqual(handled, [1, 2]);
+
+    pipeline.push(3);
+    await settle();
+    assert.deepEqual(handled, [1, 2]);
+  });
+
+  test(
+    "a slow WebSocket client doesn't hold up the pipeline",
+    { skip: !WebSocket && "needs the optional ws package" },
+    async (t) => {
+      const broadcast = await new Promise((resolve) => {
+        const server = createBroadcastServer({
+          port: 0,
+          heartbeatMs: 0,
+          maxBufferedBytes: 64 * 1024,
+          onListening: () => resolve(server),
+        });
+      });
+      t.after(() => broadcast.close());
+
+      // A client that subscribes and then stops reading
+      const client = new WebSocket(`ws://127.0.0.1:${broadcast.address.port}/`);
+      t.after(() => client.terminate());
+      await new Promise((resolve) => client.on("open", resolve));
+      client.send(JSON.stringify({ op: "subscribe" }));
+      await new Promise((resolve) => client.once("message", resolve));
+      client.pause();
+
+      const handled = [];
+      const { pipeline, calls } = createRecorder({
+        queueSize: 100,
+        handle: (event) => {
+          handled.push(event);
+          broadcast.publish(event);
+        },
+      });
+      const event = {
+        ...normalizeMessage(
+          tradeMessage({
+            buy: { amount: 100000000, currency: "PUMP" },
+            sell: { amount: 500000000, currency: "WSOL" },
+          })
+        ),
+        padding: "x".repeat(64 * 1024),
+      };
+
+      // Stream events until the client is behind, and some more
+      let pushed = 0;
+      for (let round = 0; round < 40 && broadcast.dropped < 50; round++) {
+        for (let i = 0; i < 50; i++, pushed++) pipeline.push(event);
+        await settle();
+      }
+
+      assert.ok(broadcast.dropped >= 50);
+      assert.equal(handled.length, pushed);
+      assert.equal(pipeline.depth, 0);
+      assert.equal(calls.pause, 0);
+    }
+  );
+
+  test("rejects unknown overflow policies and a missing handler", () => {
+    assert.throws(
+      () => createPipeline({ handle: () => {}, overflow: "spill" }),
+      /Invalid overflow: "spill"/
+    );
+    assert.throws(() => createPipeline({}), /requires options.handle/);
+  });
+});
@@ -0,0 +1,131 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { createPortfolioTracker, formatPortfolio } = require("../lib/portfolio");
+const { MINTS, WALLETS, tradeMessage } = require("./messages");
+
+// `account` buys `tokens` PUMP for `sol` SOL from the pool
+function buy(tokens, sol, options = {}) {
+  const { account = "alice", quote = "WSOL", ...rest } = options;
+  return tradeMessage({
+    buy: { amount: tokens * 1e6, currency: "PUMP", account },
+    sell: { amount: Math.round(sol * 1e9), currency: quote, account: "pool" },
+    ...rest,
+  });
+}
+
+// `account` sells `tokens` PUMP for `sol` SOL to the pool
+function sell(tokens, sol, options = {}) {
+  const { account = "alice", ...rest } = options;
+  return tradeMessage({
+    buy: { amount: Math.round(sol * 1e9), currency: "WSOL", account },
+    sell: { amount: tokens * 1e6, currency: "PUMP", account: "pool" },
+    ...rest,
+  });
+}
+
+describe("createPortfolioTracker", () => {
+  test("books buys and sells at average cost, fees included", () => {
+    const tracker = createPortfolioTracker({ traders: [WALLETS.alice] });
+    tracker.add(buy(100, 1, { slot: 1, fee: 10000000 }));
+    tracker.add(buy(100, 2, { slot: 2 }));
+    const position = tracker.add(sell(50, 1, { slot: 3, fee: 10000000 }));
+
+    assert.equal(position.trader, WALLETS.alice);
+    assert.equal(position.mint, MINTS.PUMP);
+    assert.equal(position.size, "150");
+    // 3.01 SOL for 200 tokens; 50 sold for 0.99 SOL after the fee
+    assert.equal(position.cost_basis, "2.2575");
+    assert.equal(position.avg_cost, "0.015050000000000000");
+    assert.equal(position.realized_pnl, "0.2375");
+    // Marked at the last price, 0.02 SOL
+    assert.equal(position.last_price, "0.020000000000000000");
+    assert.equal(position.market_value, "3");
+    assert.equal(position.unrealized_pnl, "0.7425");
+    assert.equal(position.fees, "0.02");
+    assert.equal(position.buys, 2);
+    assert.equal(position.sells, 1);
+    assert.equal(tracker.trades, 3);
+  });
+
+  test("takes the other side for a wallet on the Sell side", () => {
+    const tracker = createPortfolioTracker({ traders: [WALLETS.bob] });
+    // The pool buys PUMP from bob: bob sold 100 PUMP for 0.5 SOL
+    const trade = tradeMessage({
+      buy: { amount: 100e6, currency: "PUMP", account: "pool" },
+      sell: { amount: 500000000, currency: "WSOL", account: "bob" },
+    });
+    const position = tracker.add(trade);
+
+    assert.equal(position.trader, WALLETS.bob);
+    assert.equal(position.sells, 1);
+    assert.equal(position.buys, 0);
+    assert.equal(position.size, "0");
+    assert.equal(position.unmatched, "100");
+    assert.equal(position.realized_pnl, "0");
+  });
+
+  test("falls back to the signer with the Buy side's direction", () => {
+    const tracker = createPortfolioTracker({ traders: [WALLETS.bob] });
+    const position = tracker.add(
+      buy(100, 1, { account: "pool", signer: "bob" })
+    );
+    assert.equal(position.trader, WALLETS.bob);
+    assert.equal(position.buys, 1);
+    assert.equal(position.size, "100");
+  });
+
+  test("ignores other wallets and failed transactions but marks prices", () => {
+    const tracker = createPortfolioTracker({ traders: [WALLETS.alice] });
+    assert.equal(tracker.add(buy(100, 1, { account: "bob", slot: 1 })), null);
+
+    const failed = buy(100, 3, { slot: 2 });
+    failed.Transaction.Status.Success = false;
+    assert.equal(tracker.add(failed), null);
+    assert.equal(tracker.add({ Transfer: {} }), null);
+    assert.equal(tracker.trades, 0);
+
+    // An older trade doesn't move the last price
+    tracker.add(buy(100, 4, { slot: 3 }));
+    tracker.add(buy(100, 2, { account: "bob", slot: 2, index: 5 }));
+    const [summary] = tracker.summary();
+    assert.equal(summary.positions[0].last_price, "0.040000000000000000");
+  });
+
+  test("shares positions between SOL and WSOL quotes", () => {
+    const tracker = createPortfolioTracker({ traders: [WALLETS.alice] });
+    tracker.add(buy(100, 1));
+    tracker.add(buy(100, 1, { quote: "SOL" }));
+
+    const [summary] = tracker.summary(0);
+    assert.equal(summary.positions.length, 1);
+    assert.equal(summary.positions[0].size, "200");
+    assert.equal(summary.positions[0].quote_mint, MINTS.WSOL);
+    assert.equal(summary.received_at, new Date(0).toISOString());
+  });
+
+  test("adds up PnL and fees per quote currency", () => {
+    const tracker = createPortfolioTracker({ traders: [WALLETS.alice] });
+    tracker.add(buy(100, 1, { fee: 10000000 }));
+    tracker.add(sell(100, 2));
+
+    const [summary] = tracker.summary();
+    assert.deepEqual(summary.totals, [
+      {
+        quote_mint: MINTS.WSOL,
+        quote_symbol: "WSOL",
+        realized_pnl: "0.99",
+        unrealized_pnl: "0",
+        fees: "0.01",
+      },
+    ]);
+
+    const text = formatPortfolio(summary);
+    assert.match(text, /Portfolio 8HqR8D9g/);
+    assert.match(text, /realized \+0\.99 WSOL/);
+    assert.match(
+      text,
+      /Total WSOL: realized \+0\.99 {2}unrealized 0 {2}incl\. fees 0\.01/
+    );
+  });
+});
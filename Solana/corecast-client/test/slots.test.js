@@ -0,0 +1,97 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { createMetricsRegistry } = require("../lib/metrics");
+const { createSlotMonitor, formatSlotWarning } = require("../lib/slots");
+
+const T0 = 1700000000000;
+
+function block(slot) {
+  return { Block: { Slot: String(slot) } };
+}
+
+// Feed `slots` to a stream one slot time apart; returns the warning kinds
+function feed(monitor, name, slots, start = T0) {
+  return slots.flatMap((slot, i) =>
+    monitor
+      .observe(name, block(slot), start + i * monitor.slotTimeMs)
+      .map((event) => event.warning)
+  );
+}
+
+describe("createSlotMonitor", () => {
+  test("counts slightly older slots as reorders", () => {
+    const monitor = createSlotMonitor({ maxReorderSlots: 5 });
+    assert.deepEqual(feed(monitor, "trades", [100, 101, 99, 102, 97]), []);
+
+    const state = monitor.describe("trades");
+    assert.equal(state.highestSlot, 102);
+    assert.equal(state.reorders, 2);
+    assert.equal(state.backwards, 0);
+  });
+
+  test("warns once when a stream jumps back further", () => {
+    const monitor = createSlotMonitor({ maxReorderSlots: 5 });
+    feed(monitor, "trades", [100, 110]);
+    const [event] = monitor.observe("trades", block(90), T0 + 800);
+    assert.equal(event.warning, "backwards");
+    assert.equal(event.slot, 90);
+    assert.equal(event.previous_slot, 110);
+    assert.equal(event.slots, 20);
+    assert.equal(
+      formatSlotWarning(event),
+      "⏪ trades went back 20 slots: 110 → 90"
+    );
+
+    // The replay climbs back without more warnings
+    assert.deepEqual(feed(monitor, "trades", [91, 92, 111], T0 + 1200), []);
+    assert.equal(monitor.describe("trades").backwards, 1);
+    assert.equal(monitor.describe("trades").highestSlot, 111);
+  });
+
+  test("warns on every older slot with maxReorderSlots 0", () => {
+    const monitor = createSlotMonitor({ maxReorderSlots: 0 });
+    assert.deepEqual(feed(monitor, "trades", [100, 101, 100]), ["backwards"]);
+    assert.equal(monitor.maxReorderSlots, 0);
+  });
+
+  test("warns on jumps ahead over maxGapSlots", () => {
+    const monitor = createSlotMonitor({ maxGapSlots: 10 });
+    assert.deepEqual(feed(monitor, "trades", [100, 110, 121]), ["gap"]);
+    assert.equal(monitor.describe("trades").gaps, 1);
+  });
+
+  test("estimates lag against the fastest stream", () => {
+    const monitor = createSlotMonitor({ lagWarnSlots: 100 });
+    feed(monitor, "fast", [1000, 1001, 1002]);
+    assert.deepEqual(feed(monitor, "slow", [800, 801, 802]), ["lag"]);
+    assert.equal(monitor.describe("slow").lagSlots, 200);
+    assert.equal(monitor.describe("slow").lagMs, 80000);
+
+    assert.deepEqual(feed(monitor, "slow", [900, 960], T0 + 1200), [
+      "recovered",
+    ]);
+    assert.equal(monitor.describe("fast").lagSlots, 0);
+  });
+
+  test("keeps counters per stream in the registry", () => {
+    const registry = createMetricsRegistry();
+    const monitor = createSlotMonitor({ registry, maxReorderSlots: 5 });
+    feed(monitor, "trades", [100, 99, 50]);
+
+    const text = registry.render();
+    assert.match(text, /corecast_slot_reorders_total\{stream="trades"\} 1/);
+    assert.match(text, /corecast_slot_backwards_total\{stream="trades"\} 1/);
+    assert.match(text, /corecast_highest_slot\{stream="trades"\} 100/);
+
+    monitor.remove("trades");
+    assert.equal(monitor.describe("trades"), null);
+    assert.doesNotMatch(registry.render(), /stream="trades"/);
+  });
+
+  test("ignores messages without a slot", () => {
+    const monitor = createSlotMonitor();
+    assert.deepEqual(monitor.observe("trades", {}, T0), []);
+    assert.equal(monitor.describe("trades"), null);
+  });
+});
@@ -0,0 +1,228 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { describe, test } = require("node:test");
+
+const {
+  SQLITE_TABLES,
+  createSqliteSink,
+  sqliteOptions,
+} = require("../lib/sqlite");
+const { MINTS, WALLETS, tradeMessage, transferMessage } = require("./messages");
+
+let Database = null;
+try {
+  Database = require("better-sqlite3");
+} catch (error) {
+  // Tests below are skipped
+}
+const skip = !Database && "needs the optional better-sqlite3 package";
+
+const U64_MAX = "18446744073709551615";
+
+// Database file in a temporary directory removed when the test ends
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "corecast-sqlite-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "events.db");
+}
+
+// Sink closed when the test ends
+function openSink(t, options) {
+  const sink = createSqliteSink(options);
+  t.after(() => sink.close());
+  return sink;
+}
+
+function query(file, sql) {
+  const db = new Database(file, { readonly: true });
+  try {
+    return db.prepare(sql).all();
+  } finally {
+    db.close();
+  }
+}
+
+function buy(slot) {
+  return tradeMessage({
+    slot,
+    buy: { amount: 1000000, currency: "PUMP", account: "alice" },
+    sell: { amount: 500000000, currency: "WSOL", account: "pool" },
+    signer: "alice",
+  });
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe("createSqliteSink", { skip }, () => {
+  test("creates a table per message kind", (t) => {
+    const file = tempFile(t);
+    openSink(t, { file });
+
+    const tables = query(
+      file,
+      "SELECT name FROM sqlite_master WHERE type = 'table'"
+    ).map((row) => row.name);
+    for (const { table } of Object.values(SQLITE_TABLES)) {
+      assert.ok(tables.includes(table), table);
+    }
+    assert.equal(query(file, "PRAGMA user_version")[0].user_version, 1);
+  });
+
+  test("writes a batch once batchSize rows are queued", (t) => {
+    const file = tempFile(t);
+    const sink = openSink(t, { file, batchSize: 3, flushIntervalMs: 60000 });
+
+    sink.write(buy(1));
+    sink.write(buy(2));
+    assert.equal(sink.pending, 2);
+    assert.equal(query(file, "SELECT * FROM trades").length, 0);
+
+    sink.write(buy(3));
+    assert.equal(sink.pending, 0);
+    assert.equal(sink.written, 3);
+    const rows = query(file, "SELECT slot, side, buy_mint FROM trades");
+    assert.deepEqual(
+      rows.map((row) => [row.slot, row.side, row.buy_mint]),
+      [
+        [1, "buy", MINTS.PUMP],
+        [2, "buy", MINTS.PUMP],
+        [3, "buy", MINTS.PUMP],
+      ]
+    );
+  });
+
+  test("writes a partial batch after flushIntervalMs", async (t) => {
+    const file = tempFile(t);
+    const sink = openSink(t, { file, batchSize: 100, flushIntervalMs: 20 });
+
+    sink.write(buy(1));
+    assert.equal(sink.pending, 1);
+    await wait(100);
+    assert.equal(sink.pending, 0);
+    assert.equal(query(file, "SELECT * FROM trades").length, 1);
+  });
+
+  test("stores uint64 amounts losslessly as TEXT", (t) => {
+    const file = tempFile(t);
+    const sink = openSink(t, { file });
+
+    sink.write(transferMessage({ amount: U64_MAX, currency: "USDC" }));
+    sink.flush();
+
+    const [row] = query(
+      file,
+      "SELECT amount, typeof(amount) AS type, sender, event FROM transfers"
+    );
+    assert.equal(row.amount, U64_MAX);
+    assert.equal(row.type, "text");
+    assert.equal(row.sender, WALLETS.alice);
+    assert.equal(JSON.parse(row.event).Amount, U64_MAX);
+  });
+
+  test("adds missing columns to an existing table", (t) => {
+    const file = tempFile(t);
+    const db = new Database(file);
+    db.exec(
+      "CREATE TABLE trades (id INTEGER PRIMARY KEY, slot INTEGER, event TEXT)"
+    );
+    db.prepare("INSERT INTO trades (slot, event) VALUES (?, ?)").run(7, "{}");
+    db.close();
+
+    const sink = openSink(t, { file });
+    sink.write(buy(8));
+    sink.flush();
+
+    const columns = query(file, "PRAGMA table_info(trades)").map(
+      (column) => column.name
+    );
+    for (const [name] of SQLITE_TABLES.trade.columns) {
+      assert.ok(columns.includes(name), name);
+    }
+    assert.deepEqual(query(file, "SELECT slot, side FROM trades ORDER BY id"), [
+      { slot: 7, side: null },
+      { slot: 8, side: "buy" },
+    ]);
+  });
+
+  test("refuses a database of a newer schema version", (t) => {
+    const file = tempFile(t);
+    const db = new Database(file);
+    db.pragma("user_version = 99");
+    db.close();
+
+    assert.throws(
+      () => createSqliteSink({ file }),
+      /schema version 99 is newer than this client supports/
+    );
+  });
+
+  test("reports failed batches to onError instead of throwing", async (t) => {
+    const file = tempFile(t);
+    const errors = [];
+    const sink = openSink(t, {
+      file,
+      batchSize: 2,
+      flushIntervalMs: 20,
+      onError: (error, rows) => errors.push([error.message, rows]),
+    });
+
+    // Another connection drops the table under the sink
+    const db = new Database(file);
+    db.exec("DROP TABLE trades");
+    db.close();
+
+    // By the interval timer
+    sink.write(buy(1));
+    await wait(100);
+    // By a full batch
+    sink.write(buy(2));
+    sink.write(buy(3));
+
+    assert.deepEqual(
+      errors.map(([message, rows]) => [/no such table/.test(message), rows]),
+      [
+        [true, 1],
+        [true, 2],
+      ]
+    );
+    assert.equal(sink.failed, 3);
+    assert.equal(sink.written, 0);
+    assert.equal(sink.pending, 0);
+
+    // Other tables keep working
+    sink.write(transferMessage({ amount: 1, currency: "USDC" }));
+    sink.flush();
+    assert.equal(sink.written, 1);
+  });
+
+  test("writes pending rows on close and ignores later writes", (t) => {
+    const file = tempFile(t);
+    const sink = createSqliteSink({ file, flushIntervalMs: 60000 });
+    sink.write(buy(1));
+    sink.close();
+
+    assert.equal(sink.written, 1);
+    assert.equal(sink.write(buy(2)), false);
+    assert.equal(query(file, "SELECT * FROM trades").length, 1);
+  });
+
+  test("requires options.file", () => {
+    assert.throws(() => createSqliteSink(), /requires options.file/);
+  });
+});
+
+test("sqliteOptions maps the config section", () => {
+  assert.equal(sqliteOptions(undefined), null);
+  assert.deepEqual(
+    sqliteOptions({
+      file: "events.db",
+      batch_size: 10,
+      flush_interval_ms: 50,
+    }),
+    { file: "events.db", batchSize: 10, flushIntervalMs: 50 }
+  );
+});
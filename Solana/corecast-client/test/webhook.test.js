@@ -0,0 +1,280 @@
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const { describe, test } = require("node:test");
+
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  createWebhookSink,
+  signPayload,
+} = require("../lib/webhook");
+
+// Retry right away in the tests
+const RETRY = { initialDelay: 10, maxDelay: 10 };
+
+// Wait until `check()` holds; requests take a while to go out
+async function waitFor(check, timeoutMs = 5000) {
+  const end = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > end) throw new Error("timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+// Local HTTP endpoint that records the requests it gets and answers with
+// `statuses` in turn (200 once they run out)
+async function createReceiver(t, statuses = []) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      requests.push({ headers: request.headers, body });
+      response.statusCode = statuses.shift() || 200;
+      response.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  const events = () =>
+    requests.flatMap((request) => JSON.parse(request.body).events);
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    requests,
+    events,
+  };
+}
+
+// Sink closed when the test ends
+function createSink(t, options) {
+  const sink = createWebhookSink({ retry: RETRY, ...options });
+  t.after(() => sink.close());
+  return sink;
+}
+
+function tempQueueFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "corecast-webhook-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "queue.ndjson");
+}
+
+function lines(file) {
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+}
+
+describe("signPayload", () => {
+  test("is the hex HMAC-SHA256 of timestamp.body", () => {
+    const expected = crypto
+      .createHmac("sha256", "secret")
+      .update('1700000000000.{"events":[]}')
+      .digest("hex");
+    assert.equal(
+      signPayload("secret", "1700000000000", '{"events":[]}'),
+      expected
+    );
+  });
+});
+
+describe("createWebhookSink", () => {
+  test("posts full batches with signature and timestamp headers", async (t) => {
+    const receiver = await createReceiver(t);
+    const sink = createSink(t, {
+      url: receiver.url,
+      secret: "secret",
+      headers: { "X-Source": "test" },
+      batchSize: 2,
+      flushIntervalMs: 60000,
+    });
+    for (let i = 1; i <= 4; i++) sink.send({ i });
+
+    await waitFor(() => sink.sent === 4);
+    assert.equal(receiver.requests.length, 2);
+    assert.deepEqual(receiver.events(), [
+      { i: 1 },
+      { i: 2 },
+      { i: 3 },
+      { i: 4 },
+    ]);
+    for (const { headers, body } of receiver.requests) {
+      const timestamp = headers[TIMESTAMP_HEADER.toLowerCase()];
+      assert.equal(
+        headers[SIGNATURE_HEADER.toLowerCase()],
+        `sha256=${signPayload("secret", timestamp, body)}`
+      );
+      assert.equal(headers["content-type"], "application/json");
+      assert.equal(headers["x-source"], "test");
+    }
+    assert.equal(sink.sent, 4);
+    assert.equal(sink.pending, 0);
+  });
+
+  test("sends a partial batch after the flush interval", async (t) => {
+    const receiver = await createReceiver(t);
+    const sink = createSink(t, {
+      url: receiver.url,
+      batchSize: 10,
+      flushIntervalMs: 20,
+    });
+    sink.send({ i: 1 });
+    sink.send({ i: 2 });
+    assert.equal(receiver.requests.length, 0);
+
+    await waitFor(() => receiver.requests.length === 1);
+    assert.equal(
+      receiver.requests[0].headers[SIGNATURE_HEADER.toLowerCase()],
+      undefined
+    );
+    assert.deepEqual(receiver.events(), [{ i: 1 }, { i: 2 }]);
+  });
+
+  test("retries server errors and drops rejected batches", async (t) => {
+    const receiver = await createReceiver(t, [503, 400]);
+    const errors = [];
+    const sink = createSink(t, {
+      url: receiver.url,
+      batchSize: 1,
+      onError: (error, attempt) => errors.push([error.message, attempt]),
+    });
+    sink.send({ i: 1 });
+    sink.send({ i: 2 });
+
+    await waitFor(() => sink.sent === 1);
+    // The first batch failed with 503, was rejected on retry with 400, and
+    // the second batch went through
+    assert.deepEqual(errors, [
+      ["HTTP 503", 1],
+      ["HTTP 400, batch dropped", 0],
+    ]);
+    assert.equal(sink.failures, 1);
+    assert.equal(sink.rejected, 1);
+    assert.equal(sink.sent, 1);
+    assert.equal(receiver.requests.length, 3);
+  });
+
+  test("reports unreachable endpoints without rejecting", async (t) => {
+    const server = http.createServer();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    await new Promise((resolve) => server.close(resolve));
+
+    const errors = [];
+    const sink = createSink(t, {
+      url: `http://127.0.0.1:${port}/`,
+      batchSize: 1,
+      retry: { initialDelay: 60000, maxDelay: 60000 },
+      onError: (error, attempt, delay) => errors.push([attempt, delay]),
+    });
+    sink.send({ i: 1 });
+    await waitFor(() => errors.length > 0);
+
+    assert.deepEqual(errors, [[1, 60000]]);
+    assert.equal(sink.pending, 1);
+  });
+
+  test("is busy at half of maxQueue and drops beyond it", (t) => {
+    const sink = createSink(t, {
+      url: "http://127.0.0.1:1/",
+      maxQueue: 4,
+      batchSize: 10,
+      flushIntervalMs: 60000,
+    });
+    assert.equal(sink.send({ i: 1 }), true);
+    assert.equal(sink.busy, false);
+    sink.send({ i: 2 });
+    assert.equal(sink.busy, true);
+    sink.send({ i: 3 });
+    sink.send({ i: 4 });
+    assert.equal(sink.send({ i: 5 }), false);
+    assert.equal(sink.dropped, 1);
+    assert.equal(sink.pending, 4);
+
+    sink.close();
+    assert.equal(sink.send({ i: 6 }), false);
+  });
+
+  test("appends events to the queue file and records the offset", async (t) => {
+    const receiver = await createReceiver(t);
+    const queueFile = tempQueueFile(t);
+    const sink = createSink(t, {
+      url: receiver.url,
+      queueFile,
+      batchSize: 2,
+      flushIntervalMs: 60000,
+    });
+    for (let i = 1; i <= 3; i++) sink.send({ i });
+
+    await waitFor(() => sink.sent === 2);
+    assert.deepEqual(lines(queueFile), ['{"i":1}', '{"i":2}', '{"i":3}']);
+    assert.equal(fs.readFileSync(`${queueFile}.offset`, "utf8"), "2");
+    assert.equal(sink.pending, 1);
+  });
+
+  test("sends what was left in the queue file after a restart", async (t) => {
+    const receiver = await createReceiver(t);
+    const queueFile = tempQueueFile(t);
+    fs.writeFileSync(queueFile, '{"i":1}\n{"i":2}\n{"i":3}\n');
+    fs.writeFileSync(`${queueFile}.offset`, "1");
+
+    const sink = createSink(t, { url: receiver.url, queueFile });
+    assert.equal(sink.restored, 2);
+
+    await waitFor(() => sink.sent === 2);
+    assert.deepEqual(receiver.events(), [{ i: 2 }, { i: 3 }]);
+    assert.equal(fs.readFileSync(`${queueFile}.offset`, "utf8"), "3");
+  });
+
+  test("ignores an offset without its queue file", (t) => {
+    const queueFile = tempQueueFile(t);
+    fs.writeFileSync(`${queueFile}.offset`, "5");
+
+    const sink = createSink(t, { url: "http://127.0.0.1:1/", queueFile });
+    assert.equal(sink.restored, 0);
+    assert.equal(fs.existsSync(`${queueFile}.offset`), false);
+  });
+
+  test("compacts the queue file once most of it was delivered", async (t) => {
+    const receiver = await createReceiver(t);
+    const queueFile = tempQueueFile(t);
+    const sink = createSink(t, {
+      url: receiver.url,
+      queueFile,
+      batchSize: 100,
+      flushIntervalMs: 60000,
+    });
+    for (let i = 1; i <= 1050; i++) sink.send({ i });
+
+    await waitFor(() => sink.sent === 1000);
+    assert.deepEqual(lines(queueFile), [
+      ...Array.from({ length: 50 }, (_, i) => `{"i":${1001 + i}}`),
+    ]);
+    assert.equal(fs.readFileSync(`${queueFile}.offset`, "utf8"), "0");
+
+    // Appending continues in the new file
+    sink.send({ i: 1051 });
+    assert.equal(lines(queueFile).length, 51);
+  });
+
+  test("reports queue file errors instead of throwing", async (t) => {
+    const receiver = await createReceiver(t);
+    const queueFile = tempQueueFile(t);
+    const errors = [];
+    const sink = createSink(t, {
+      url: receiver.url,
+      queueFile,
+      batchSize: 1,
+      onError: (error, attempt) => errors.push([error.code, attempt]),
+    });
+    // The offset can't be written where a directory is
+    fs.mkdirSync(`${queueFile}.offset`);
+    sink.send({ i: 1 });
+
+    await waitFor(() => errors.length > 0);
+    assert.deepEqual(errors, [["EISDIR", 0]]);
+    assert.equal(receiver.requests.length, 1);
+  });
+});
@@ -0,0 +1,222 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { normalizeMessage } = require("../lib/normalize");
+const { createBroadcastServer } = require("../lib/websocket");
+const { MINTS, WALLETS, tradeMessage, transferMessage } = require("./messages");
+
+// ws is an optional dependency
+let WebSocket = null;
+try {
+  ({ WebSocket } = require("ws"));
+} catch (error) {
+  // Tests below are skipped
+}
+const skip = !WebSocket && "needs the optional ws package";
+
+const PUMP_BUY = normalizeMessage(
+  tradeMessage({
+    buy: { amount: 100000000, currency: "PUMP", account: "alice" },
+    sell: { amount: 500000000, currency: "WSOL" },
+  })
+);
+const BONK_TRANSFER = normalizeMessage(
+  transferMessage({ amount: 500000, currency: "BONK", from: "bob" })
+);
+
+function wait(check, timeoutMs = 5000) {
+  const end = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) resolve();
+      else if (Date.now() > end) reject(new Error("timed out waiting"));
+      else setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+// Broadcast server on a free port, closed when the test ends
+async function startServer(t, options = {}) {
+  let server;
+  const address = await new Promise((resolve) => {
+    server = createBroadcastServer({
+      port: 0,
+      heartbeatMs: 0,
+      onListening: resolve,
+      ...options,
+    });
+  });
+  t.after(() => server.close());
+  return { server, url: `ws://127.0.0.1:${address.port}/` };
+}
+
+// Client collecting the JSON messages it gets; `next(type)` waits for the
+// first message of a type not taken yet
+async function connect(t, url) {
+  const socket = new WebSocket(url);
+  const messages = [];
+  const closed = new Promise((resolve) =>
+    socket.on("close", (code) => resolve(code))
+  );
+  socket.on("message", (data) => messages.push(JSON.parse(data)));
+  socket.on("error", () => {});
+  t.after(() => socket.terminate());
+
+  await new Promise((resolve) => socket.on("open", resolve));
+  const taken = new Set();
+  async function next(type) {
+    const find = () =>
+      messages.find((message) => message.type === type && !taken.has(message));
+    await wait(find);
+    const message = find();
+    taken.add(message);
+    return message;
+  }
+  return { socket, messages, next, closed };
+}
+
+async function subscribe(client, filters = {}) {
+  client.socket.send(JSON.stringify({ op: "subscribe", ...filters }));
+  return client.next("subscribed");
+}
+
+// Publish events of about 64 KiB to a paused client until the server
+// treats it as slow
+function overflow(server, isSlow) {
+  const padding = "x".repeat(64 * 1024);
+  for (let i = 0; i < 2000 && !isSlow(); i++) {
+    server.publish({ ...PUMP_BUY, padding });
+  }
+  assert.ok(isSlow(), "the client never fell behind");
+}
+
+describe("createBroadcastServer", { skip }, () => {
+  test("sends events only to matching subscriptions", async (t) => {
+    const { server, url } = await startServer(t);
+    const all = await connect(t, url);
+    const trades = await connect(t, url);
+    const pump = await connect(t, url);
+    const bob = await connect(t, url);
+    const idle = await connect(t, url);
+
+    assert.deepEqual((await subscribe(all)).filters, {});
+    await subscribe(trades, { types: ["trade"] });
+    assert.deepEqual(
+      (await subscribe(pump, { tokens: [MINTS.PUMP] })).filters,
+      { tokens: [MINTS.PUMP] }
+    );
+    await subscribe(bob, { traders: [WALLETS.bob], programs: [] });
+
+    server.publish(PUMP_BUY);
+    server.publish(BONK_TRANSFER);
+    await wait(() => all.messages.length === 3);
+    await wait(() => bob.messages.length === 2);
+
+    const types = (client) =>
+      client.messages.slice(1).map((message) => message.type);
+    assert.deepEqual(types(all), ["trade", "transfer"]);
+    assert.deepEqual(types(trades), ["trade"]);
+    assert.deepEqual(types(pump), ["trade"]);
+    assert.deepEqual(types(bob), ["transfer"]);
+    assert.deepEqual(idle.messages, []);
+    assert.equal(server.clients, 5);
+    assert.equal(server.published, 2);
+    assert.equal(server.sent, 5);
+  });
+
+  test("replaces and ends subscriptions", async (t) => {
+    const { server, url } = await startServer(t);
+    const client = await connect(t, url);
+    await subscribe(client, { types: ["transfer"] });
+    await subscribe(client, { types: ["trade"] });
+    server.publish(BONK_TRANSFER);
+    server.publish(PUMP_BUY);
+    assert.equal((await client.next("trade")).signature, PUMP_BUY.signature);
+
+    client.socket.send(JSON.stringify({ op: "unsubscribe" }));
+    await client.next("unsubscribed");
+    server.publish(PUMP_BUY);
+    assert.equal(server.sent, 1);
+  });
+
+  test("answers malformed requests with an error", async (t) => {
+    const { url } = await startServer(t);
+    const client = await connect(t, url);
+
+    client.socket.send("not json");
+    assert.equal((await client.next("error")).message, "Messages must be JSON");
+    client.socket.send(JSON.stringify({ op: "subscribe", types: ["blocks"] }));
+    assert.match((await client.next("error")).message, /Unknown type "blocks"/);
+    client.socket.send(JSON.stringify({ op: "subscribe", tokens: "abc" }));
+    assert.equal(
+      (await client.next("error")).message,
+      "tokens must be a list of strings"
+    );
+    client.socket.send(JSON.stringify({ op: "list" }));
+    assert.match((await client.next("error")).message, /Unknown op/);
+  });
+
+  test("drops events for a slow client and tells it how many", async (t) => {
+    const { server, url } = await startServer(t, {
+      maxBufferedBytes: 64 * 1024,
+    });
+    const client = await connect(t, url);
+    await subscribe(client);
+    client.socket.pause();
+
+    overflow(server, () => server.dropped > 0);
+    const dropped = server.dropped;
+    client.socket.resume();
+    await wait(() => client.messages.length === server.sent + 1);
+
+    server.publish(BONK_TRANSFER);
+    assert.equal((await client.next("dropped")).count, dropped);
+    await client.next("transfer");
+    assert.equal(server.disconnected, 0);
+  });
+
+  test("disconnects a slow client with the disconnect policy", async (t) => {
+    const { server, url } = await startServer(t, {
+      maxBufferedBytes: 64 * 1024,
+      slowClients: "disconnect",
+    });
+    const client = await connect(t, url);
+    await subscribe(client);
+    client.socket.pause();
+
+    overflow(server, () => server.disconnected > 0);
+    assert.equal(server.clients, 0);
+    assert.equal(server.dropped, 0);
+    client.socket.resume();
+    assert.equal(await client.closed, 1013);
+  });
+
+  test("turns away clients beyond maxClients", async (t) => {
+    const { server, url } = await startServer(t, { maxClients: 1 });
+    await connect(t, url);
+    const extra = await connect(t, url);
+    assert.equal(await extra.closed, 1013);
+    assert.equal(server.clients, 1);
+  });
+
+  test("closes every client on shutdown", async (t) => {
+    const { server, url } = await startServer(t);
+    const first = await connect(t, url);
+    const second = await connect(t, url);
+    server.close();
+    assert.deepEqual(
+      await Promise.all([first.closed, second.closed]),
+      [1001, 1001]
+    );
+    assert.equal(server.clients, 0);
+  });
+
+  test("rejects unknown slow client policies", () => {
+    assert.throws(
+      () => createBroadcastServer({ port: 0, slowClients: "block" }),
+      /Invalid slowClients: "block"/
+    );
+    assert.throws(() => createBroadcastServer({}), /requires options.port/);
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require("fs");
+
+// Capture file layout (all integers big-endian):
+//
+//   "CCAP" | version (uint8) | header length (uint32) | header JSON
+//   record*: payload length (uint32) | received at, epoch ms (double)
+//            | Block.Slot (uint64) | payload (raw protobuf message)
+//
+// Payloads are the exact bytes received from the server, so nothing is lost
+// to base58/JSON formatting and replays decode exactly like the live stream.
+const MAGIC = Buffer.from("CCAP");
+const VERSION = 1;
+const RECORD_HEADER_SIZE = 4 + 8 + 8;
+
+// Open a capture file for writing. `header` describes the session
+// (rpc, stream type, request) and is stored as JSON at the top of the file.
+function createCaptureWriter(file, header) {
+  const out = fs.createWriteStream(file);
+  const headerJson = Buffer.from(JSON.stringify(header), "utf8");
+  const preamble = Buffer.alloc(MAGIC.length + 1 + 4);
+
+  MAGIC.copy(preamble, 0);
+  preamble.writeUInt8(VERSION, MAGIC.length);
+  preamble.writeUInt32BE(headerJson.length, MAGIC.length + 1);
+  out.write(preamble);
+  out.write(headerJson);
+
+  let recordCount = 0;
+  let byteCount = 0;
+
+  return {
+    write(payload, slot, receivedAt = Date.now()) {
+      const recordHeader = Buffer.alloc(RECORD_HEADER_SIZE);
+      recordHeader.writeUInt32BE(payload.length, 0);
+      recordHeader.writeDoubleBE(receivedAt, 4);
+      recordHeader.writeBigUInt64BE(BigInt(slot || 0), 12);
+
+      out.write(recordHeader);
+      recordCount++;
+      byteCount += payload.length;
+      return out.write(payload);
+    },
+
+    get recordCount() {
+      return recordCount;
+    },
+
+    get byteCount() {
+      return byteCount;
+    },
+
+    close(callback) {
+      out.end(callback);
+    },
+  };
+}
+
+// Read a whole capture file. A truncated final record (recorder killed
+// mid-write) is dropped rather than treated as an error.
+function readCapture(file) {
+  const data = fs.readFileSync(file);
+
+  if (data.length < MAGIC.length + 5 || !data.subarray(0, 4).equals(MAGIC)) {
+    throw new Error(`${file}: not a CoreCast capture file`);
+  }
+
+  const version = data.readUInt8(MAGIC.length);
+  if (version !== VERSION) {
+    throw new Error(`${file}: unsupported capture version ${version}`);
+  }
+
+  const headerLength = data.readUInt32BE(MAGIC.length + 1);
+  let offset = MAGIC.length + 5;
+  const header = JSON.parse(
+    data.subarray(offset, offset + headerLength).toString("utf8")
+  );
+  offset += headerLength;
+
+  const records = [];
+  while (offset + RECORD_HEADER_SIZE <= data.length) {
+    const length = data.readUInt32BE(offset);
+    const receivedAt = data.readDoubleBE(offset + 4);
+    const slot = data.readBigUInt64BE(offset + 12).toString();
+    const start = offset + RECORD_HEADER_SIZE;
+
+    if (start + length > data.length) break;
+
+    records.push({
+      receivedAt,
+      slot,
+      payload: data.subarray(start, start + length),
+    });
+    offset = start + length;
+  }
+
+  return { header, records };
+}
+
+// Apply Block.Slot bounds (0 or unset disables a bound)
+function sliceBySlot(records, fromSlot, toSlot) {
+  const from = fromSlot ? BigInt(fromSlot) : null;
+  const to = toSlot ? BigInt(toSlot) : null;
+
+  return records.filter((record) => {
+    const slot = BigInt(record.slot);
+    if (from !== null && slot < from) return false;
+    if (to !== null && slot > to) return false;
+    return true;
+  });
+}
+
+module.exports = {
+  createCaptureWriter,
+  readCapture,
+  sliceBySlot,
+};
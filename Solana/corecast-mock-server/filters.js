@@ -0,0 +1,112 @@
+const bs58 = require("bs58");
+
+// Convert an address-like value (Buffer or base58 string) to base58
+function toBase58(value) {
+  if (!value || value.length === 0) return null;
+  if (typeof value === "string") return value;
+  try {
+    return bs58.encode(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Resolve the account address referenced by a BalanceUpdate.AccountIndex
+function balanceUpdateAccount(message) {
+  const index = message.BalanceUpdate?.BalanceUpdate?.AccountIndex;
+  const accounts = message.Transaction?.Header?.Accounts || [];
+  return accounts[index]?.Address;
+}
+
+// For every RPC, map each AddressFilter field of its Subscribe*Request to
+// the message fields the filter is matched against
+const FILTER_FIELDS = {
+  DexTrades: {
+    program: (m) => [m.Trade?.Dex?.ProgramAddress],
+    pool: (m) => [m.Trade?.Market?.MarketAddress],
+    token: (m) => [
+      m.Trade?.Buy?.Currency?.MintAddress,
+      m.Trade?.Sell?.Currency?.MintAddress,
+    ],
+    trader: (m) => [
+      m.Trade?.Buy?.Account?.Address,
+      m.Trade?.Sell?.Account?.Address,
+    ],
+  },
+  DexOrders: {
+    program: (m) => [m.Order?.Dex?.ProgramAddress],
+    pool: (m) => [m.Order?.Market?.MarketAddress],
+    token: (m) => [
+      m.Order?.Order?.Mint,
+      m.Order?.Market?.BaseCurrency?.MintAddress,
+      m.Order?.Market?.QuoteCurrency?.MintAddress,
+    ],
+    trader: (m) => [
+      m.Order?.Order?.Owner,
+      m.Order?.Order?.Account,
+      m.Order?.Order?.Payer,
+    ],
+  },
+  DexPools: {
+    program: (m) => [m.PoolEvent?.Dex?.ProgramAddress],
+    pool: (m) => [m.PoolEvent?.Market?.MarketAddress],
+    token: (m) => [
+      m.PoolEvent?.Market?.BaseCurrency?.MintAddress,
+      m.PoolEvent?.Market?.QuoteCurrency?.MintAddress,
+    ],
+  },
+  Transactions: {
+    program: (m) =>
+      (m.Transaction?.ParsedIdlInstructions || []).map(
+        (ix) => ix.Program?.Address
+      ),
+    signer: (m) => [m.Transaction?.Header?.Signer],
+  },
+  Transfers: {
+    sender: (m) => [m.Transfer?.Sender?.Address],
+    receiver: (m) => [m.Transfer?.Receiver?.Address],
+    token: (m) => [m.Transfer?.Currency?.MintAddress],
+  },
+  Balances: {
+    address: (m) => [balanceUpdateAccount(m)],
+    token: (m) => [m.BalanceUpdate?.Currency?.MintAddress],
+  },
+};
+
+// Return the non-empty filters of a request as { field: [addresses] }
+function activeFilters(rpc, request) {
+  const filters = {};
+  for (const field of Object.keys(FILTER_FIELDS[rpc])) {
+    const addresses = request?.[field]?.addresses;
+    if (addresses && addresses.length > 0) {
+      filters[field] = addresses;
+    }
+  }
+  return filters;
+}
+
+// A message matches when every non-empty filter has at least one of its
+// addresses present in the mapped message fields (AND across filters,
+// OR within a filter), mirroring the server-side behaviour
+function matchesRequest(rpc, request, message) {
+  const filters = activeFilters(rpc, request);
+
+  for (const [field, addresses] of Object.entries(filters)) {
+    const values = FILTER_FIELDS[rpc][field](message)
+      .map(toBase58)
+      .filter(Boolean);
+
+    if (!values.some((value) => addresses.includes(value))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  FILTER_FIELDS,
+  activeFilters,
+  matchesRequest,
+  toBase58,
+};
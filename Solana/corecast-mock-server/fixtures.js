@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const bs58 = require("bs58");
+
+// Resolve a (possibly package-relative) field typeName to a definition key
+function resolveTypeName(packageDefinition, parentKey, typeName) {
+  if (packageDefinition[typeName]) return typeName;
+  const pkg = parentKey.slice(0, parentKey.lastIndexOf("."));
+  return `${pkg}.${typeName}`;
+}
+
+// Convert a fixture value for a bytes field. Fixtures write addresses and
+// signatures as base58 strings; "hex:" and "base64:" prefixes are accepted
+// for raw data such as instruction payloads.
+function toBytes(value) {
+  if (Buffer.isBuffer(value)) return value;
+  if (Array.isArray(value)) return Buffer.from(value);
+  if (typeof value !== "string") return Buffer.alloc(0);
+  if (value.startsWith("hex:")) return Buffer.from(value.slice(4), "hex");
+  if (value.startsWith("base64:")) {
+    return Buffer.from(value.slice(7), "base64");
+  }
+  return Buffer.from(bs58.decode(value));
+}
+
+// Walk a message descriptor and turn every bytes field of a plain fixture
+// object into a Buffer so it serializes exactly like a real server message
+function toProtoMessage(packageDefinition, typeKey, value) {
+  if (!value || typeof value !== "object") return value;
+
+  const descriptor = packageDefinition[typeKey]?.type;
+  if (!descriptor) {
+    throw new Error(`Unknown message type: ${typeKey}`);
+  }
+
+  const result = { ...value };
+  for (const field of descriptor.field) {
+    const fieldValue = value[field.name];
+    if (fieldValue === undefined || fieldValue === null) continue;
+
+    const repeated = field.label === "LABEL_REPEATED";
+    let convert = null;
+
+    if (field.type === "TYPE_BYTES") {
+      convert = toBytes;
+    } else if (field.type === "TYPE_MESSAGE") {
+      const childKey = resolveTypeName(
+        packageDefinition,
+        typeKey,
+        field.typeName
+      );
+      convert = (item) => toProtoMessage(packageDefinition, childKey, item);
+    }
+
+    if (convert) {
+      result[field.name] = repeated
+        ? fieldValue.map(convert)
+        : convert(fieldValue);
+    }
+  }
+
+  return result;
+}
+
+// Load `<fixtures_dir>/<stream type>.yaml` (a list of stream messages)
+function loadFixtures(packageDefinition, fixturesDir, streamType, typeKey) {
+  const file = path.join(fixturesDir, `${streamType}.yaml`);
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const documents = yaml.load(fs.readFileSync(file, "utf8")) || [];
+  if (!Array.isArray(documents)) {
+    throw new Error(`${file}: expected a list of messages`);
+  }
+
+  return documents.map((document, index) => {
+    try {
+      return toProtoMessage(packageDefinition, typeKey, document);
+    } catch (error) {
+      throw new Error(`${file}: message #${index}: ${error.message}`);
+    }
+  });
+}
+
+module.exports = {
+  loadFixtures,
+  toProtoMessage,
+};
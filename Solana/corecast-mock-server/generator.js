@@ -0,0 +1,281 @@
+const bs58 = require("bs58");
+
+const PUMP_FUN_PROGRAM = "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P";
+const LAUNCHLAB_PROGRAM = "LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj";
+const WSOL_MINT = "So11111111111111111111111111111111111111112";
+
+const PROTOCOLS = {
+  [PUMP_FUN_PROGRAM]: { name: "pump", family: "pumpfun" },
+  [LAUNCHLAB_PROGRAM]: { name: "raydium_launchpad", family: "raydium" },
+};
+
+// Small deterministic PRNG (mulberry32) so a seed always yields the same
+// stream of generated messages
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Create a generator of synthetic stream messages. Addresses from the
+// request filters are reused so that generated messages pass them.
+function createGenerator(seed = 1, startSlot = 370485000) {
+  const random = createRandom(seed);
+  let slot = startSlot;
+  let transactionIndex = 0;
+
+  const randomInt = (min, max) => Math.floor(random() * (max - min + 1)) + min;
+  const randomBytes = (length) =>
+    Buffer.from(Array.from({ length }, () => randomInt(0, 255)));
+  const pick = (list) => list[randomInt(0, list.length - 1)];
+
+  // Pick an address from a request filter, or make up a fresh one
+  function address(request, field, fallback) {
+    const addresses = request?.[field]?.addresses;
+    if (addresses && addresses.length > 0) {
+      return Buffer.from(bs58.decode(pick(addresses)));
+    }
+    if (fallback) return Buffer.from(bs58.decode(fallback));
+    return randomBytes(32);
+  }
+
+  function nextBlock() {
+    // Several messages share a slot, roughly like a real block
+    if (random() < 0.3) slot += randomInt(1, 2);
+    return { Slot: String(slot) };
+  }
+
+  function account(addressBytes, isSigner = false) {
+    return { Address: addressBytes, IsSigner: isSigner, IsWritable: true };
+  }
+
+  function transaction(signer) {
+    transactionIndex = (transactionIndex + 1) % 2000;
+    return {
+      Index: transactionIndex,
+      Signature: randomBytes(64),
+      Status: { Success: true, ErrorMessage: "" },
+      Header: {
+        Fee: "5000",
+        FeePayer: signer,
+        Signer: signer,
+        Accounts: [account(signer, true)],
+      },
+    };
+  }
+
+  function token(mint) {
+    const symbol = `MOCK${mint.toString("hex").slice(0, 4).toUpperCase()}`;
+    return {
+      Name: `Mock Token ${symbol.slice(4)}`,
+      Symbol: symbol,
+      Decimals: 6,
+      MintAddress: mint,
+      Fungible: true,
+      Parsed: true,
+    };
+  }
+
+  function wsol() {
+    return {
+      Name: "Wrapped Solana",
+      Symbol: "WSOL",
+      Decimals: 9,
+      MintAddress: Buffer.from(bs58.decode(WSOL_MINT)),
+      Wrapped: true,
+      Fungible: true,
+      Parsed: true,
+    };
+  }
+
+  function dex(request) {
+    const program = address(request, "program", PUMP_FUN_PROGRAM);
+    const protocol = PROTOCOLS[bs58.encode(program)] || {
+      name: "mock_dex",
+      family: "mock",
+    };
+    return {
+      ProgramAddress: program,
+      ProtocolName: protocol.name,
+      ProtocolFamily: protocol.family,
+    };
+  }
+
+  function market(request) {
+    return {
+      MarketAddress: address(request, "pool"),
+      BaseCurrency: token(address(request, "token")),
+      QuoteCurrency: wsol(),
+    };
+  }
+
+  const builders = {
+    DexTrades(request) {
+      const trader = address(request, "trader");
+      const tradeMarket = market(request);
+      const baseAmount = String(randomInt(1, 50000) * 1000000);
+      const quoteAmount = String(randomInt(1, 5000) * 1000000);
+      const isBuy = random() < 0.5;
+      const base = {
+        Amount: baseAmount,
+        Currency: tradeMarket.BaseCurrency,
+        Account: account(trader, true),
+      };
+      const quote = {
+        Amount: quoteAmount,
+        Currency: tradeMarket.QuoteCurrency,
+        Account: account(trader, true),
+      };
+
+      return {
+        Block: nextBlock(),
+        Transaction: transaction(trader),
+        Trade: {
+          InstructionIndex: randomInt(0, 5),
+          Dex: dex(request),
+          Market: tradeMarket,
+          Buy: isBuy ? base : quote,
+          Sell: isBuy ? quote : base,
+          Fee: "0",
+          Royalty: "0",
+        },
+      };
+    },
+
+    DexOrders(request) {
+      const owner = address(request, "trader");
+      const orderMarket = market(request);
+      return {
+        Block: nextBlock(),
+        Transaction: transaction(owner),
+        Order: {
+          InstructionIndex: randomInt(0, 5),
+          Type: pick(["OPEN", "UPDATE", "CANCEL"]),
+          Dex: dex(request),
+          Market: orderMarket,
+          Order: {
+            OrderId: randomBytes(16),
+            BuySide: random() < 0.5,
+            LimitPrice: String(randomInt(1, 100000)),
+            LimitAmount: String(randomInt(1, 1000000) * 1000),
+            Account: randomBytes(32),
+            Owner: owner,
+            Payer: owner,
+            Mint: orderMarket.BaseCurrency.MintAddress,
+          },
+        },
+      };
+    },
+
+    DexPools(request) {
+      const baseChange = randomInt(-5000000, 5000000) * 1000;
+      const quoteChange = randomInt(-500000, 500000) * 1000;
+      return {
+        Block: nextBlock(),
+        Transaction: transaction(randomBytes(32)),
+        PoolEvent: {
+          InstructionIndex: randomInt(0, 5),
+          Dex: dex(request),
+          Market: market(request),
+          BaseCurrency: {
+            ChangeAmount: String(baseChange),
+            PostAmount: String(randomInt(100000, 1000000) * 1000000),
+          },
+          QuoteCurrency: {
+            ChangeAmount: String(quoteChange),
+            PostAmount: String(randomInt(1000, 100000) * 1000000),
+          },
+        },
+      };
+    },
+
+    Transactions(request) {
+      const signer = address(request, "signer");
+      const program = address(request, "program", PUMP_FUN_PROGRAM);
+      const tx = transaction(signer);
+      return {
+        Block: nextBlock(),
+        Transaction: {
+          ...tx,
+          ParsedIdlInstructions: [
+            {
+              Index: 0,
+              Depth: 0,
+              CallPath: [0],
+              CallerIndex: -1,
+              Program: {
+                Address: program,
+                Parsed: true,
+                Name: PROTOCOLS[bs58.encode(program)]?.name || "mock_program",
+                Method: pick(["buy", "sell", "create"]),
+                Arguments: [
+                  {
+                    Name: "amount",
+                    Type: "u64",
+                    UInt: String(randomInt(1, 1000000) * 1000),
+                  },
+                ],
+                AccountNames: ["user"],
+              },
+              Accounts: [account(signer, true)],
+              Logs: ["Program log: mock instruction"],
+            },
+          ],
+        },
+      };
+    },
+
+    Transfers(request) {
+      const sender = address(request, "sender");
+      const mint = address(request, "token", WSOL_MINT);
+      const currency = bs58.encode(mint) === WSOL_MINT ? wsol() : token(mint);
+      return {
+        Block: nextBlock(),
+        Transaction: transaction(sender),
+        Transfer: {
+          InstructionIndex: randomInt(0, 5),
+          Amount: String(randomInt(1, 100000) * 1000),
+          Sender: account(sender, true),
+          Receiver: account(address(request, "receiver")),
+          Authority: account(sender, true),
+          Currency: currency,
+        },
+      };
+    },
+
+    Balances(request) {
+      const owner = address(request, "address");
+      const mint = address(request, "token", WSOL_MINT);
+      const currency = bs58.encode(mint) === WSOL_MINT ? wsol() : token(mint);
+      const pre = randomInt(0, 1000000) * 1000;
+      const post = Math.max(0, pre + randomInt(-500000, 500000) * 1000);
+      return {
+        Block: nextBlock(),
+        Transaction: transaction(owner),
+        BalanceUpdate: {
+          BalanceUpdate: {
+            PreBalance: String(pre),
+            PostBalance: String(post),
+            AccountIndex: 0,
+          },
+          Currency: currency,
+        },
+      };
+    },
+  };
+
+  return {
+    next(rpc, request) {
+      return builders[rpc](request);
+    },
+  };
+}
+
+module.exports = {
+  createGenerator,
+};
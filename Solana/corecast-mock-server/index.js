@@ -0,0 +1,362 @@
+const grpc = require("@grpc/grpc-js");
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const { readCapture, sliceBySlot } = require("./capture");
+const { activeFilters, matchesRequest } = require("./filters");
+const { loadFixtures } = require("./fixtures");
+const { createGenerator } = require("./generator");
+const { RPCS, loadProtos } = require("./protos");
+
+// Load configuration
+const configPath = process.argv[2] || path.join(__dirname, "config.yaml");
+const config = yaml.load(fs.readFileSync(configPath, "utf8"));
+const baseDir = path.dirname(configPath);
+
+const serverConfig = config.server || {};
+const streamConfig = config.stream || {};
+const replayConfig = config.replay || {};
+const faults = config.faults || {};
+
+const listenAddress = serverConfig.address || "0.0.0.0:50051";
+const source = streamConfig.source || "fixtures";
+const intervalMs = streamConfig.interval_ms ?? 250;
+const loopFixtures = streamConfig.loop !== false;
+const seed = streamConfig.seed ?? 1;
+
+if (!["fixtures", "generated", "replay"].includes(source)) {
+  console.error(
+    `Invalid stream.source: "${source}". Must be one of: fixtures, generated, replay`
+  );
+  process.exit(1);
+}
+
+// Replay pacing: "realtime" (1x), "max" (no delays) or a speed multiplier
+const replaySpeed =
+  replayConfig.speed === undefined || replayConfig.speed === "realtime"
+    ? 1
+    : replayConfig.speed === "max"
+      ? Infinity
+      : Number(replayConfig.speed);
+
+if (!(replaySpeed > 0)) {
+  console.error(
+    `Invalid replay.speed: "${replayConfig.speed}". Must be "realtime", "max" or a positive number`
+  );
+  process.exit(1);
+}
+
+// Load proto files from the directory that contains the `solana/` tree
+const protoDir = path.resolve(
+  baseDir,
+  config.proto_dir || "../pumpfun-example"
+);
+const packageDefinition = loadProtos(protoDir);
+
+const protoDescriptor = grpc.loadPackageDefinition(packageDefinition);
+const solanaCorecast = protoDescriptor.solana_corecast;
+
+// Load fixtures for every RPC up front so broken files fail fast
+const fixtures = {};
+if (source === "fixtures") {
+  const fixturesDir = path.resolve(
+    baseDir,
+    streamConfig.fixtures_dir || "./fixtures"
+  );
+  for (const [rpc, { type, message }] of Object.entries(RPCS)) {
+    fixtures[rpc] = loadFixtures(packageDefinition, fixturesDir, type, message);
+  }
+}
+
+// Load the capture to replay. Messages are decoded once for filter matching
+// but the recorded bytes are what gets sent back to clients.
+let capture = null;
+if (source === "replay") {
+  if (!replayConfig.file) {
+    console.error("replay.file is required when stream.source is replay");
+    process.exit(1);
+  }
+
+  const file = path.resolve(baseDir, replayConfig.file);
+  const { header, records } = readCapture(file);
+  if (!RPCS[header.rpc]) {
+    console.error(`${file}: unknown RPC in capture header: ${header.rpc}`);
+    process.exit(1);
+  }
+
+  const deserialize =
+    solanaCorecast.CoreCast.service[header.rpc].responseDeserialize;
+  capture = {
+    file,
+    header,
+    records: sliceBySlot(
+      records,
+      replayConfig.from_slot,
+      replayConfig.to_slot
+    ).map((record) => ({ ...record, message: deserialize(record.payload) })),
+  };
+}
+
+// Resolve a status name like "UNAVAILABLE" (or a numeric code) from config
+function statusCode(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value === "number") return value;
+  const code = grpc.status[String(value).toUpperCase()];
+  if (code === undefined) {
+    throw new Error(`Unknown gRPC status code: ${value}`);
+  }
+  return code;
+}
+
+// Reverse lookup of a numeric status code for log output
+function statusName(code) {
+  return Object.keys(grpc.status).find((name) => grpc.status[name] === code);
+}
+
+const errorCode = statusCode(faults.error_code, grpc.status.UNAVAILABLE);
+const errorMessage = faults.error_message || "mock server injected error";
+
+function isAuthorized(metadata) {
+  if (!serverConfig.authorization) return true;
+  const [token] = metadata.get("authorization");
+  return token === serverConfig.authorization;
+}
+
+// Build the message source for one subscription. `next()` returns the next
+// message, `undefined` when there is nothing to send (idle) or `null` when the
+// stream should end; `delay()` is the wait in ms before the next `next()`.
+function createMessageSource(rpc, request) {
+  if (source === "generated") {
+    const generator = createGenerator(seed);
+    return {
+      next: () => generator.next(rpc, request),
+      delay: () => intervalMs,
+    };
+  }
+
+  if (source === "replay") {
+    return createReplaySource(rpc, request);
+  }
+
+  const matching = fixtures[rpc].filter((message) =>
+    matchesRequest(rpc, request, message)
+  );
+  let position = 0;
+
+  return {
+    next() {
+      if (matching.length === 0) return undefined;
+      if (position >= matching.length) {
+        if (!loopFixtures) return null;
+        position = 0;
+      }
+      return matching[position++];
+    },
+    delay: () => intervalMs,
+  };
+}
+
+// Replay recorded payloads in their original order, spaced by the recorded
+// receive times divided by the replay speed
+function createReplaySource(rpc, request) {
+  const records =
+    rpc === capture.header.rpc
+      ? capture.records.filter((record) =>
+          matchesRequest(rpc, request, record.message)
+        )
+      : [];
+  let position = 0;
+
+  return {
+    next() {
+      if (records.length === 0) return undefined;
+      if (position >= records.length) {
+        if (!replayConfig.loop) return null;
+        position = 0;
+      }
+      return records[position++].payload;
+    },
+    delay() {
+      if (records.length === 0) return intervalMs;
+      if (position === 0 || position >= records.length) return 0;
+      const gap =
+        records[position].receivedAt - records[position - 1].receivedAt;
+      return Math.max(0, gap) / replaySpeed;
+    },
+  };
+}
+
+let nextCallId = 1;
+
+// Server-streaming handler shared by all six RPCs
+function createHandler(rpc) {
+  return (call) => {
+    const callId = nextCallId++;
+    const request = call.request;
+    const label = `[#${callId} ${rpc}]`;
+
+    if (!isAuthorized(call.metadata)) {
+      console.log(`${label} rejected: invalid authorization`);
+      call.emit("error", {
+        code: grpc.status.UNAUTHENTICATED,
+        details: "invalid authorization token",
+      });
+      return;
+    }
+
+    console.log(
+      `${label} subscribed with filters ${JSON.stringify(
+        activeFilters(rpc, request)
+      )}`
+    );
+
+    const messages = createMessageSource(rpc, request);
+    let sent = 0;
+    let timer = null;
+    let finished = false;
+
+    function stop() {
+      finished = true;
+      if (timer) {
+        clearTimeout(timer);
+        clearImmediate(timer);
+        timer = null;
+      }
+    }
+
+    function schedule() {
+      if (finished) return;
+      const delay = messages.delay();
+      timer = delay > 0 ? setTimeout(tick, delay) : setImmediate(tick);
+    }
+
+    function fail(code, details) {
+      stop();
+      console.log(`${label} injecting error ${statusName(code)}: ${details}`);
+      call.emit("error", { code, details });
+    }
+
+    function tick() {
+      if (finished) return;
+      if (faults.error_rate > 0 && Math.random() < faults.error_rate) {
+        fail(errorCode, errorMessage);
+        return;
+      }
+
+      const message = messages.next();
+      if (message === undefined) {
+        // Nothing matches the filters: stay idle like a quiet stream
+        schedule();
+        return;
+      }
+      if (message === null) {
+        stop();
+        console.log(`${label} ${source} exhausted, ending stream`);
+        call.end();
+        return;
+      }
+
+      const flushed = call.write(message);
+      sent++;
+
+      if (faults.error_after > 0 && sent >= faults.error_after) {
+        fail(errorCode, errorMessage);
+      } else if (faults.end_after > 0 && sent >= faults.end_after) {
+        stop();
+        console.log(`${label} injecting stream end after ${sent} messages`);
+        call.end();
+      } else if (flushed) {
+        schedule();
+      } else {
+        // Respect flow control so max-speed replays do not buffer unbounded
+        call.once("drain", schedule);
+      }
+    }
+
+    schedule();
+
+    call.on("cancelled", () => {
+      if (finished) return;
+      stop();
+      console.log(`${label} cancelled by client after ${sent} messages`);
+    });
+  };
+}
+
+const handlers = {};
+for (const rpc of Object.keys(RPCS)) {
+  handlers[rpc] = createHandler(rpc);
+}
+
+// Recorded payloads are already serialized: pass Buffers through untouched
+const service = {};
+for (const [rpc, method] of Object.entries(solanaCorecast.CoreCast.service)) {
+  service[rpc] = {
+    ...method,
+    responseSerialize: (value) =>
+      Buffer.isBuffer(value) ? value : method.responseSerialize(value),
+  };
+}
+
+const server = new grpc.Server();
+server.addService(service, handlers);
+
+server.bindAsync(
+  listenAddress,
+  grpc.ServerCredentials.createInsecure(),
+  (error, port) => {
+    if (error) {
+      console.error("Failed to start mock server:", error.message);
+      process.exit(1);
+    }
+
+    console.log("=== CoreCast Mock Server ===");
+    console.log("Listening on:", listenAddress.replace(/:\d+$/, `:${port}`));
+    console.log("Source:", source);
+    if (source === "fixtures") {
+      for (const rpc of Object.keys(RPCS)) {
+        console.log(`  ${rpc}: ${fixtures[rpc].length} fixture messages`);
+      }
+    }
+    if (source === "replay") {
+      console.log(`  File: ${capture.file}`);
+      console.log(
+        `  Recorded: ${capture.header.rpc} at ${capture.header.recorded_at}`
+      );
+      console.log(`  Messages: ${capture.records.length}`);
+      if (capture.records.length > 0) {
+        console.log(
+          `  Slots: ${capture.records[0].slot} - ${
+            capture.records[capture.records.length - 1].slot
+          }`
+        );
+      }
+      console.log(
+        `  Speed: ${replaySpeed === Infinity ? "max" : `${replaySpeed}x`}`
+      );
+    } else {
+      console.log("Interval:", `${intervalMs}ms`);
+    }
+    if (faults.error_after > 0 || faults.error_rate > 0) {
+      console.log(
+        `Fault injection: error ${statusName(errorCode)} after ${
+          faults.error_after || "-"
+        } messages, rate ${faults.error_rate || 0}`
+      );
+    }
+    if (faults.end_after > 0) {
+      console.log(`Fault injection: end stream after ${faults.end_after}`);
+    }
+    console.log("============================\n");
+  }
+);
+
+function shutdown() {
+  console.log("\nShutting down mock server...");
+  server.tryShutdown(() => process.exit(0));
+  setTimeout(() => server.forceShutdown(), 2000).unref();
+}
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,67 @@
+const protoLoader = require("@grpc/proto-loader");
+
+// RPCs of solana_corecast.CoreCast, keyed by method name, with the
+// `stream.type` name the examples use and the response message type
+const RPCS = {
+  DexTrades: {
+    type: "dex_trades",
+    message: "solana_corecast.DexTradeStreamMessage",
+  },
+  DexOrders: {
+    type: "dex_orders",
+    message: "solana_corecast.DexOrderStreamMessage",
+  },
+  DexPools: {
+    type: "dex_pools",
+    message: "solana_corecast.PoolLiquidityChangeStreamMessage",
+  },
+  Transactions: {
+    type: "transactions",
+    message: "solana_corecast.ParsedTransactionStreamMessage",
+  },
+  Transfers: {
+    type: "transfers",
+    message: "solana_corecast.TransferStreamMessage",
+  },
+  Balances: {
+    type: "balances",
+    message: "solana_corecast.BalanceUpdateStreamMessage",
+  },
+};
+
+// Find the RPC method name for an example `stream.type` value
+function rpcForStreamType(streamType) {
+  return Object.keys(RPCS).find((rpc) => RPCS[rpc].type === streamType);
+}
+
+// Load proto files from the directory that contains the `solana/` tree
+function loadProtos(protoDir) {
+  return protoLoader.loadSync(
+    [
+      "solana/corecast/corecast.proto",
+      "solana/corecast/request.proto",
+      "solana/corecast/stream_message.proto",
+      "solana/dex_block_message.proto",
+      "solana/block_message.proto",
+      "solana/token_block_message.proto",
+      "solana/parsed_idl_block_message.proto",
+    ],
+    {
+      keepCase: true,
+      longs: String,
+      enums: String,
+      defaults: true,
+      oneofs: true,
+      includeDirs: [protoDir],
+      bytes: Buffer,
+      arrays: true,
+      objects: true,
+    }
+  );
+}
+
+module.exports = {
+  RPCS,
+  loadProtos,
+  rpcForStreamType,
+};
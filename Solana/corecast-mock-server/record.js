@@ -0,0 +1,194 @@
+const grpc = require("@grpc/grpc-js");
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const { createCaptureWriter } = require("./capture");
+const { RPCS, loadProtos, rpcForStreamType } = require("./protos");
+
+// Record a live CoreCast session to a capture file for later replay with
+// `stream.source: "replay"`.
+//
+//   node record.js --config ../pumpfun-example/config.yaml \
+//     --out ./captures/pump_trades.ccap [--type dex_trades] \
+//     [--max-messages 1000] [--duration 60] [--proto-dir ../pumpfun-example]
+//
+// Server, token and filters are taken from the example's config.yaml so the
+// capture contains exactly what that example would have received.
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    const key = arg.slice(2);
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith("--")) {
+      throw new Error(`Missing value for --${key}`);
+    }
+    args[key] = value;
+    i++;
+  }
+  return args;
+}
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+if (!args.config || !args.out) {
+  console.error(
+    "Usage: node record.js --config <config.yaml> --out <file.ccap> [--type <stream type>] [--max-messages N] [--duration seconds] [--proto-dir dir]"
+  );
+  process.exit(1);
+}
+
+const config = yaml.load(fs.readFileSync(args.config, "utf8"));
+const filters = config.filters || {};
+const streamType = args.type || config.stream?.type || "dex_trades";
+const rpc = rpcForStreamType(streamType);
+const maxMessages = Number(args["max-messages"] || 0);
+const durationSeconds = Number(args.duration || 0);
+
+if (!rpc) {
+  console.error(
+    `Unsupported stream type: ${streamType}. Must be one of: ${Object.values(
+      RPCS
+    )
+      .map((entry) => entry.type)
+      .join(", ")}`
+  );
+  process.exit(1);
+}
+
+const protoDir = args["proto-dir"]
+  ? path.resolve(args["proto-dir"])
+  : path.join(__dirname, "../pumpfun-example");
+const packageDefinition = loadProtos(protoDir);
+const method = packageDefinition["solana_corecast.CoreCast"][rpc];
+
+// Same request shape the examples send
+function createRequest() {
+  const request = {};
+  const fields = {
+    programs: "program",
+    pool: "pool",
+    tokens: "token",
+    traders: "trader",
+    signers: "signer",
+  };
+
+  for (const [configKey, requestKey] of Object.entries(fields)) {
+    if (filters[configKey] && filters[configKey].length > 0) {
+      request[requestKey] = { addresses: filters[configKey] };
+    }
+  }
+
+  return request;
+}
+
+const client = new grpc.Client(
+  config.server.address,
+  config.server.insecure
+    ? grpc.credentials.createInsecure()
+    : grpc.credentials.createSsl(),
+  {
+    "grpc.max_receive_message_length": 4 * 1024 * 1024,
+  }
+);
+
+const metadata = new grpc.Metadata();
+metadata.add("authorization", config.server.authorization);
+
+const request = createRequest();
+fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+const writer = createCaptureWriter(args.out, {
+  rpc,
+  stream_type: streamType,
+  request,
+  server: config.server.address,
+  recorded_at: new Date().toISOString(),
+});
+
+console.log("=== Recording CoreCast Stream ===");
+console.log("Server:", config.server.address);
+console.log("RPC:", rpc);
+console.log("Request:", JSON.stringify(request));
+console.log("Output:", args.out);
+console.log("=================================\n");
+
+// Keep the raw response bytes; decode only to read Block.Slot
+const stream = client.makeServerStreamRequest(
+  method.path,
+  method.requestSerialize,
+  (buffer) => buffer,
+  request,
+  metadata
+);
+
+let lastSlot = null;
+let finishing = false;
+
+const progressTimer = setInterval(() => {
+  console.log(
+    `Recorded ${writer.recordCount} messages (${(
+      writer.byteCount / 1024
+    ).toFixed(2)} KB), last slot ${lastSlot}`
+  );
+}, 5000);
+
+function finish(reason) {
+  if (finishing) return;
+  finishing = true;
+
+  clearInterval(progressTimer);
+  stream.cancel();
+  writer.close(() => {
+    console.log(`\n${reason}`);
+    console.log(
+      `Saved ${writer.recordCount} messages (${(
+        writer.byteCount / 1024
+      ).toFixed(2)} KB) to ${args.out}`
+    );
+    process.exit(0);
+  });
+}
+
+stream.on("data", (payload) => {
+  if (finishing) return;
+
+  const receivedAt = Date.now();
+  lastSlot = method.responseDeserialize(payload).Block?.Slot || lastSlot;
+  writer.write(payload, lastSlot, receivedAt);
+
+  if (maxMessages > 0 && writer.recordCount >= maxMessages) {
+    finish(`Reached --max-messages ${maxMessages}`);
+  }
+});
+
+stream.on("error", (error) => {
+  if (finishing) return;
+  console.error("Stream error:", error.details || error.message);
+  console.error("Error code:", error.code);
+  finish("Stream failed, capture kept up to the error");
+});
+
+stream.on("end", () => {
+  finish("Stream ended");
+});
+
+if (durationSeconds > 0) {
+  setTimeout(
+    () => finish(`Reached --duration ${durationSeconds}s`),
+    durationSeconds * 1000
+  );
+}
+
+process.on("SIGINT", () => finish("Interrupted"));
+process.on("SIGTERM", () => finish("Terminated"));
@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+
+// Local HTTP receiver for the examples' `webhook` section and webhook alert
+// sinks. Checks the X-CoreCast-Signature of every batch, prints what it
+// received and can fail requests on purpose to exercise retries.
+//
+//   node webhook-receiver.js [--port 8080] [--secret <secret>] \
+//     [--fail-rate 0.3] [--status 503] [--out received.ndjson]
+//
+// The signature is the hex HMAC-SHA256 of `${X-CoreCast-Timestamp}.${body}`
+// with the shared secret, sent as "sha256=<hex>".
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    const key = arg.slice(2);
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith("--")) {
+      throw new Error(`Missing value for --${key}`);
+    }
+    args[key] = value;
+    i++;
+  }
+  return args;
+}
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  console.error(
+    "Usage: node webhook-receiver.js [--port 8080] [--secret <secret>] [--fail-rate 0-1] [--status 503] [--out file.ndjson]"
+  );
+  process.exit(1);
+}
+
+const port = Number(args.port || 8080);
+const secret = args.secret || process.env.WEBHOOK_SECRET || "";
+const failRate = Number(args["fail-rate"] || 0);
+const failStatus = Number(args.status || 503);
+const out = args.out ? fs.openSync(args.out, "a") : null;
+
+let batches = 0;
+let events = 0;
+let failed = 0;
+
+function verify(req, body) {
+  if (!secret) return true;
+  const timestamp = req.headers["x-corecast-timestamp"] || "";
+  const expected = `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+  const received = req.headers["x-corecast-signature"] || "";
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))
+  );
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+
+    if (req.method !== "POST") {
+      res.writeHead(405).end();
+      return;
+    }
+    if (!verify(req, body)) {
+      console.log("Rejected batch: bad or missing X-CoreCast-Signature");
+      res.writeHead(401).end();
+      return;
+    }
+    if (Math.random() < failRate) {
+      failed++;
+      console.log(`Failing batch on purpose with HTTP ${failStatus}`);
+      res.writeHead(failStatus).end();
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      res.writeHead(400).end();
+      return;
+    }
+
+    const received = payload.events || [];
+    const types = {};
+    for (const event of received) {
+      types[event.type] = (types[event.type] || 0) + 1;
+      if (out !== null) fs.writeSync(out, `${JSON.stringify(event)}\n`);
+    }
+    batches++;
+    events += received.length;
+    console.log(
+      `Batch ${batches}: ${received.length} events ${JSON.stringify(types)}${
+        secret ? " (signature ok)" : ""
+      }`
+    );
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end('{"ok":true}');
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+  if (secret) console.log("Verifying X-CoreCast-Signature");
+  if (failRate) {
+    console.log(`Failing ${failRate * 100}% of batches with ${failStatus}`);
+  }
+});
+
+process.on("SIGINT", () => {
+  console.log(
+    `\nReceived ${events} events in ${batches} batches, failed ${failed} on purpose`
+  );
+  if (out !== null) fs.closeSync(out);
+  process.exit(0);
+});
@@ -0,0 +1,102 @@
+// Runs the example against the CoreCast mock server replaying its
+// dex_trades fixtures; the mock server needs its own `npm install`
+const assert = require("node:assert/strict");
+const { spawn } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { test } = require("node:test");
+
+const EXAMPLE_DIR = path.join(__dirname, "..");
+const MOCK_SERVER_DIR = path.join(EXAMPLE_DIR, "..", "corecast-mock-server");
+const WAIT_MS = 15000;
+
+// Start a script, stopping it when the test ends. `output()` is what it
+// printed so far.
+function start(t, script, args, env = {}) {
+  const child = spawn(process.execPath, [script, ...args], {
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+  const exited = new Promise((resolve) => child.on("exit", resolve));
+  t.after(() => {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill("SIGKILL");
+    }
+  });
+  return { child, exited, output: () => output };
+}
+
+// Resolve with the first match of `pattern` in the output of start()
+async function waitForOutput(script, pattern) {
+  const end = Date.now() + WAIT_MS;
+  let match;
+  while (!(match = script.output().match(pattern))) {
+    if (Date.now() > end || script.child.exitCode !== null) {
+      throw new Error(`no ${pattern} in output:\n${script.output()}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  return match;
+}
+
+test("streams the mock server's trades and exits cleanly", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pumpfun-e2e-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const mockConfig = path.join(dir, "mock.yaml");
+  fs.writeFileSync(
+    mockConfig,
+    [
+      "server:",
+      '  address: "127.0.0.1:0"',
+      `proto_dir: ${JSON.stringify(EXAMPLE_DIR)}`,
+      "stream:",
+      '  source: "fixtures"',
+      `  fixtures_dir: ${JSON.stringify(path.join(MOCK_SERVER_DIR, "fixtures"))}`,
+      "  interval_ms: 50",
+      "  loop: false",
+      "",
+    ].join("\n")
+  );
+  const mock = start(t, path.join(MOCK_SERVER_DIR, "index.js"), [mockConfig]);
+  const [, address] = await waitForOutput(mock, /Listening on: (\S+)/);
+
+  const clientConfig = path.join(dir, "config.yaml");
+  fs.writeFileSync(
+    clientConfig,
+    [
+      "server:",
+      `  address: "${address}"`,
+      "  insecure: true",
+      "stream:",
+      "  type: dex_trades",
+      "",
+    ].join("\n")
+  );
+  const example = start(
+    t,
+    path.join(EXAMPLE_DIR, "index.js"),
+    ["--config", clientConfig],
+    { CORECAST_TOKEN: "ory_at_test" }
+  );
+
+  // The fixtures hold three trades, then the stream ends
+  await waitForOutput(example, /Stream ended/);
+  const output = example.output();
+  assert.equal(output.match(/ Trade\n/g).length, 3);
+  assert.match(output, /🟢 BUY Trade/);
+  assert.match(output, /🔴 SELL Trade/);
+  assert.match(output, /💱 Price: 1 PUMPTOKEN = 0\.005 WSOL/);
+  assert.match(output, /💵 Fee: 0\.0125 WSOL/);
+
+  example.child.kill("SIGINT");
+  assert.equal(await example.exited, 0);
+  assert.match(example.output(), /Total trades shown: 3\n/);
+
+  mock.child.kill("SIGINT");
+  await mock.exited;
+});